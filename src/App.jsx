@@ -18,6 +18,14 @@ const PricingPage = lazy(() => import('./pages/PricingPage'))
 const HowItWorksPage = lazy(() => import('./pages/HowItWorksPage'))
 const ProfilePage = lazy(() => import('./pages/ProfilePage'))
 const DashboardPage = lazy(() => import('./pages/DashboardPage'))
+const AnalysisDetailPage = lazy(() => import('./pages/AnalysisDetailPage'))
+const SolutionDetailPage = lazy(() => import('./pages/SolutionDetailPage'))
+const BookmarksPage = lazy(() => import('./pages/BookmarksPage'))
+const MySolutionsPage = lazy(() => import('./pages/MySolutionsPage'))
+const SettingsPage = lazy(() => import('./pages/SettingsPage'))
+const ModerationPage = lazy(() => import('./pages/ModerationPage'))
+const PublicProfilePage = lazy(() => import('./pages/PublicProfilePage'))
+const SharedAnalysisPage = lazy(() => import('./pages/SharedAnalysisPage'))
 const NotFoundPage = lazy(() => import('./pages/NotFoundPage'))
 
 // Error fallback component
@@ -54,6 +62,7 @@ function App() {
                   <Route path="/" element={<HomePage />} />
                   <Route path="/how-it-works" element={<HowItWorksPage />} />
                   <Route path="/pricing" element={<PricingPage />} />
+                  <Route path="/a/:shareId" element={<SharedAnalysisPage />} />
                   
                   {/* Protected Routes - Require Authentication */}
                   <Route path="/upload" element={
@@ -68,14 +77,47 @@ function App() {
                     </ProtectedRoute>
                   } />
                   
+                  <Route path="/analysis/:id" element={
+                    <ProtectedRoute requireAuth={true}>
+                      <AnalysisDetailPage />
+                    </ProtectedRoute>
+                  } />
+                  
                   <Route path="/profile" element={
                     <ProtectedRoute requireAuth={true}>
                       <ProfilePage />
                     </ProtectedRoute>
                   } />
                   
+                  <Route path="/settings" element={
+                    <ProtectedRoute requireAuth={true}>
+                      <SettingsPage />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/bookmarks" element={
+                    <ProtectedRoute requireAuth={true}>
+                      <BookmarksPage />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/my-solutions" element={
+                    <ProtectedRoute requireAuth={true}>
+                      <MySolutionsPage />
+                    </ProtectedRoute>
+                  } />
+                  
+                  {/* Moderator Routes */}
+                  <Route path="/moderation" element={
+                    <ProtectedRoute requireAuth={true} requireModerator={true}>
+                      <ModerationPage />
+                    </ProtectedRoute>
+                  } />
+
                   {/* Community Routes */}
                   <Route path="/community" element={<CommunityPage />} />
+                  <Route path="/community/:id" element={<SolutionDetailPage />} />
+                  <Route path="/u/:username" element={<PublicProfilePage />} />
                   
                   {/* Redirects */}
                   <Route path="/home" element={<Navigate to="/" replace />} />
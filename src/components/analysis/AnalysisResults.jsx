@@ -0,0 +1,439 @@
+// src/components/analysis/AnalysisResults.jsx - Solutions and details of a finished analysis
+
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  Upload, CheckCircle, AlertTriangle, Image as ImageIcon,
+  ArrowLeft, Download, Share2, Copy, Clock, ListChecks, PlayCircle,
+  FileCode, FileText, Printer, ChevronDown, Hash, Link2
+} from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu'
+import { useAuth } from '@/contexts/AuthContext'
+import { analysisAPI, getErrorMessage } from '@/lib/api'
+import { feedbackBySolution, isResolvedByFeedback } from '@/lib/utils/solutionFeedback'
+import { loadWalkthrough } from '@/lib/utils/walkthrough'
+import {
+  analysisToMarkdown,
+  analysisToHtml,
+  analysisToJson,
+  solutionToMarkdown,
+  printHtml,
+  downloadFile
+} from '@/lib/utils/analysisExport'
+import { SolutionFeedback } from '@/components/analysis/SolutionFeedback'
+import { FixWalkthrough } from '@/components/analysis/FixWalkthrough'
+import { FollowUpChat } from '@/components/analysis/FollowUpChat'
+import { SimilarSolutions } from '@/components/analysis/SimilarSolutions'
+import { ShareLinkDialog } from '@/components/analysis/ShareLinkDialog'
+import { ShareToCommunityDialog } from '@/components/community/ShareToCommunityDialog'
+
+/**
+ * AnalysisResults Component
+ * Renders a finished analysis. Used right after an upload, again when a
+ * past analysis is opened from the history (`/analysis/:id`), and read-only
+ * for public share links (`/a/:shareId`).
+ */
+export const AnalysisResults = ({
+  result,
+  screenshots = [],
+  onReset,
+  onBack = onReset,
+  backLabel = 'Back to Upload',
+  readOnly = false
+}) => {
+  const { trackResolution } = useAuth()
+  const [copiedSolution, setCopiedSolution] = useState(null)
+  const [feedback, setFeedback] = useState(() => feedbackBySolution(result.feedback))
+  const [walkthrough, setWalkthrough] = useState(null)
+  const [showShareDialog, setShowShareDialog] = useState(false)
+  const [showCommunityDialog, setShowCommunityDialog] = useState(false)
+  // Progress from an earlier session, e.g. before a reboot
+  const [savedWalkthrough, setSavedWalkthrough] = useState(() => loadWalkthrough(result.analysis_id))
+
+  // Solutions without an id are addressed by their position
+  const getSolutionId = (solution, index) => solution.id ?? String(index)
+
+  const submitFeedback = async (solutionId, entry) => {
+    try {
+      await analysisAPI.submitFeedback(result.analysis_id, solutionId, entry)
+    } catch (error) {
+      console.error('Failed to save feedback:', error)
+      toast.error(getErrorMessage(error))
+      throw error
+    }
+
+    const next = { ...feedback, [solutionId]: { outcome: entry.outcome, notes: entry.notes.trim() } }
+    const delta = Number(isResolvedByFeedback(next)) - Number(isResolvedByFeedback(feedback))
+    setFeedback(next)
+    trackResolution(delta)
+    toast.success(entry.outcome === 'worked' ? 'Glad it worked!' : 'Thanks for the feedback')
+  }
+
+  const copyToClipboard = (text, index) => {
+    navigator.clipboard.writeText(text)
+    setCopiedSolution(index)
+    toast.success('Copied to clipboard!')
+    setTimeout(() => setCopiedSolution(null), 2000)
+  }
+
+  const startWalkthrough = (progress) => {
+    setWalkthrough({ progress })
+    setSavedWalkthrough(null)
+  }
+
+  const exitWalkthrough = () => {
+    setWalkthrough(null)
+    setSavedWalkthrough(loadWalkthrough(result.analysis_id))
+  }
+
+  const renderFeedback = (solution, index) => result.analysis_id && !readOnly && (
+    <SolutionFeedback
+      feedback={feedback[getSolutionId(solution, index)]}
+      onSubmit={(entry) => submitFeedback(getSolutionId(solution, index), entry)}
+    />
+  )
+
+  const exportResults = async (format) => {
+    const filename = `error-analysis-${Date.now()}`
+    try {
+      if (format === 'json') {
+        downloadFile(analysisToJson(result), `${filename}.json`, 'application/json')
+      } else if (format === 'text') {
+        downloadFile(
+          `Error Analysis Results\n\n${result.error_detected}\n\nSolutions:\n${result.solutions.map((s, i) => `${i+1}. ${s.title}\n${s.description}\n\nSteps:\n${s.steps.join('\n')}`).join('\n\n')}`,
+          `${filename}.txt`,
+          'text/plain'
+        )
+      } else if (format === 'markdown') {
+        downloadFile(analysisToMarkdown(result), `${filename}.md`, 'text/markdown')
+      } else if (format === 'html') {
+        downloadFile(await analysisToHtml(result, screenshots), `${filename}.html`, 'text/html')
+      } else if (format === 'pdf') {
+        // Printed from the HTML export; the print dialog offers "Save as PDF"
+        printHtml(await analysisToHtml(result, screenshots))
+        return
+      }
+      toast.success(`Exported as ${format === 'markdown' ? 'Markdown' : format.toUpperCase()}`)
+    } catch (error) {
+      console.error('Export failed:', error)
+      toast.error('Export failed. Please try again.')
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8"
+    >
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <Button onClick={onBack} variant="ghost" className="flex items-center">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            {backLabel}
+          </Button>
+          
+          <div className="flex gap-2">
+            {result.analysis_id && !readOnly && (
+              <Button onClick={() => setShowShareDialog(true)} variant="outline" size="sm">
+                <Link2 className="h-4 w-4 mr-1" />
+                Share
+              </Button>
+            )}
+            <Button
+              onClick={() => copyToClipboard(analysisToMarkdown(result), 'analysis')}
+              variant="outline"
+              size="sm"
+            >
+              {copiedSolution === 'analysis' ? (
+                <CheckCircle className="h-4 w-4 mr-1 text-green-600" />
+              ) : (
+                <Hash className="h-4 w-4 mr-1" />
+              )}
+              Copy as Markdown
+            </Button>
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="outline" size="sm">
+                  <Download className="h-4 w-4 mr-1" />
+                  Export
+                  <ChevronDown className="h-4 w-4 ml-1" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuItem onClick={() => exportResults('markdown')}>
+                  <Hash className="h-4 w-4 mr-2" />
+                  Markdown (.md)
+                </DropdownMenuItem>
+                <DropdownMenuItem onClick={() => exportResults('html')}>
+                  <FileCode className="h-4 w-4 mr-2" />
+                  HTML with screenshots
+                </DropdownMenuItem>
+                <DropdownMenuItem onClick={() => exportResults('pdf')}>
+                  <Printer className="h-4 w-4 mr-2" />
+                  Print / Save as PDF
+                </DropdownMenuItem>
+                <DropdownMenuSeparator />
+                <DropdownMenuItem onClick={() => exportResults('json')}>
+                  <FileCode className="h-4 w-4 mr-2" />
+                  JSON
+                </DropdownMenuItem>
+                <DropdownMenuItem onClick={() => exportResults('text')}>
+                  <FileText className="h-4 w-4 mr-2" />
+                  Plain text
+                </DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+          </div>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-2xl">Analysis Complete</CardTitle>
+            {result.created_at && (
+              <p className="text-sm text-gray-500 flex items-center">
+                <Clock className="h-4 w-4 mr-1" />
+                Analyzed {formatDistanceToNow(new Date(result.created_at), { addSuffix: true })}
+              </p>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {/* Error Detection */}
+            {result.error_detected && (
+              <Alert>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  <strong>Problem Detected:</strong> {result.error_detected}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {/* Session Screenshots */}
+            {screenshots.length > 0 && (
+              <div className="space-y-3">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  {screenshots.length > 1 ? 'Screenshots in this session' : 'Screenshot'}
+                </h3>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                  {screenshots.map((shot, index) => {
+                    const finding = result.screenshot_findings?.find(f => f.screenshot === index)
+                    return (
+                      <div key={shot.id} className="space-y-1">
+                        <div className="relative">
+                          <img
+                            src={shot.previewUrl}
+                            alt={`Screenshot ${index + 1}`}
+                            className="w-full h-24 object-cover rounded-md border"
+                          />
+                          {screenshots.length > 1 && (
+                            <Badge className="absolute top-1 left-1">#{index + 1}</Badge>
+                          )}
+                        </div>
+                        {shot.caption && (
+                          <p className="text-xs font-medium text-gray-700 line-clamp-1">{shot.caption}</p>
+                        )}
+                        {finding?.summary && (
+                          <p className="text-xs text-gray-600 line-clamp-2">{finding.summary}</p>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Solutions */}
+            {result.solutions && result.solutions.length > 0 && (
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-xl font-semibold text-gray-900">Solutions</h3>
+                  {!walkthrough && (
+                    <Button size="sm" variant="outline" onClick={() => startWalkthrough(null)}>
+                      <ListChecks className="h-4 w-4 mr-2" />
+                      Guided Fix
+                    </Button>
+                  )}
+                </div>
+
+                {savedWalkthrough && !walkthrough && result.solutions[savedWalkthrough.solutionIndex] && (
+                  <Alert className="border-blue-200 bg-blue-50">
+                    <PlayCircle className="h-4 w-4" />
+                    <AlertDescription className="flex flex-wrap items-center justify-between gap-2">
+                      <span>
+                        You were on step {savedWalkthrough.stepIndex + 1} of "{result.solutions[savedWalkthrough.solutionIndex].title}".
+                      </span>
+                      <Button size="sm" onClick={() => startWalkthrough(savedWalkthrough)}>
+                        Resume
+                      </Button>
+                    </AlertDescription>
+                  </Alert>
+                )}
+
+                {walkthrough ? (
+                  <FixWalkthrough
+                    result={result}
+                    initialProgress={walkthrough.progress}
+                    onExit={exitWalkthrough}
+                    renderFeedback={renderFeedback}
+                  />
+                ) : result.solutions.map((solution, index) => (
+                  <motion.div
+                    key={index}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: index * 0.1 }}
+                  >
+                    <Card className="border-l-4 border-l-blue-500">
+                      <CardHeader>
+                        <div className="flex justify-between items-start">
+                          <h4 className="text-lg font-semibold">{solution.title}</h4>
+                          <div className="flex flex-shrink-0">
+                            <Button
+                              size="icon"
+                              variant="ghost"
+                              title="Copy as Markdown"
+                              onClick={() => copyToClipboard(solutionToMarkdown(solution, index), `md-${index}`)}
+                            >
+                              {copiedSolution === `md-${index}` ? (
+                                <CheckCircle className="h-4 w-4 text-green-600" />
+                              ) : (
+                                <Hash className="h-4 w-4" />
+                              )}
+                            </Button>
+                            <Button
+                              size="icon"
+                              variant="ghost"
+                              title="Copy"
+                              onClick={() => copyToClipboard(
+                                `${solution.title}\n\n${solution.description}\n\nSteps:\n${solution.steps.join('\n')}`,
+                                index
+                              )}
+                            >
+                              {copiedSolution === index ? (
+                                <CheckCircle className="h-4 w-4 text-green-600" />
+                              ) : (
+                                <Copy className="h-4 w-4" />
+                              )}
+                            </Button>
+                          </div>
+                        </div>
+                      </CardHeader>
+                      <CardContent>
+                        <p className="text-gray-600 mb-4">{solution.description}</p>
+                        {solution.steps && (
+                          <div>
+                            <h5 className="font-medium mb-2">Steps:</h5>
+                            <ol className="list-decimal list-inside space-y-1 text-sm">
+                              {solution.steps.map((step, stepIndex) => (
+                                <li key={stepIndex} className="text-gray-700">{step}</li>
+                              ))}
+                            </ol>
+                          </div>
+                        )}
+                        
+                        {screenshots.length > 1 && solution.source_screenshots?.length > 0 && (
+                          <div className="mt-4 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                            <ImageIcon className="h-3 w-3" />
+                            <span>Based on</span>
+                            {solution.source_screenshots.map((shotIndex) => (
+                              <Badge key={shotIndex} variant="outline" className="text-xs">
+                                Screenshot #{shotIndex + 1}
+                                {screenshots[shotIndex]?.caption && ` – ${screenshots[shotIndex].caption}`}
+                              </Badge>
+                            ))}
+                          </div>
+                        )}
+
+                        {solution.difficulty && (
+                          <div className="mt-4 flex gap-2">
+                            <Badge variant={
+                              solution.difficulty === 'Easy' ? 'default' :
+                              solution.difficulty === 'Medium' ? 'secondary' : 'destructive'
+                            }>
+                              {solution.difficulty}
+                            </Badge>
+                            {(solution.timeToComplete || solution.timeEstimate) && (
+                              <Badge variant="outline">
+                                ⏱️ {solution.timeToComplete || solution.timeEstimate}
+                              </Badge>
+                            )}
+                          </div>
+                        )}
+
+                        {renderFeedback(solution, index)}
+                      </CardContent>
+                    </Card>
+                  </motion.div>
+                ))}
+              </div>
+            )}
+
+            {/* Community fixes for the same error */}
+            {!readOnly && <SimilarSolutions result={result} />}
+
+            {/* Follow-up */}
+            {result.analysis_id && !readOnly && (
+              <FollowUpChat
+                analysisId={result.analysis_id}
+                initialMessages={result.conversation || []}
+              />
+            )}
+
+            {/* Actions */}
+            <div className="flex flex-col sm:flex-row gap-4 pt-6 border-t">
+              {!readOnly && (
+                <Button
+                  onClick={() => setShowCommunityDialog(true)}
+                  variant="outline"
+                  className="flex-1"
+                  disabled={!result.solutions?.length}
+                >
+                  <Share2 className="h-4 w-4 mr-2" />
+                  Share with Community
+                </Button>
+              )}
+              <Button
+                onClick={onReset}
+                className="flex-1"
+              >
+                <Upload className="h-4 w-4 mr-2" />
+                {readOnly ? 'Analyze Your Own Error' : 'New Analysis'}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {result.analysis_id && !readOnly && (
+        <ShareLinkDialog
+          isOpen={showShareDialog}
+          analysisId={result.analysis_id}
+          hasScreenshots={screenshots.length > 0}
+          onClose={() => setShowShareDialog(false)}
+        />
+      )}
+
+      {!readOnly && (
+        <ShareToCommunityDialog
+          isOpen={showCommunityDialog}
+          result={result}
+          feedback={feedback}
+          onClose={() => setShowCommunityDialog(false)}
+        />
+      )}
+    </motion.div>
+  )
+}
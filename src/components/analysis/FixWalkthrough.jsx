@@ -0,0 +1,241 @@
+// src/components/analysis/FixWalkthrough.jsx - Guided, one-step-at-a-time fix mode
+
+import React, { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import {
+  ArrowLeft, ArrowRight, CheckCircle, Clock, RotateCcw, X, XCircle, Lightbulb
+} from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Progress } from '@/components/ui/progress'
+import {
+  parseTimeToComplete,
+  formatElapsed,
+  saveWalkthrough,
+  clearWalkthrough
+} from '@/lib/utils/walkthrough'
+
+const EMPTY_PROGRESS = { solutionIndex: 0, stepIndex: 0, completed: {}, failed: [], elapsed: {} }
+
+/**
+ * FixWalkthrough Component
+ * Walks through the steps of one solution at a time. Progress is saved per
+ * analysis after every change, so a reboot in the middle of a fix resumes
+ * on the same step. `renderFeedback(solution, index)` is shown once all
+ * steps of a solution are done.
+ */
+export const FixWalkthrough = ({ result, initialProgress, onExit, renderFeedback }) => {
+  const solutions = result.solutions || []
+  const [progress, setProgress] = useState(initialProgress || EMPTY_PROGRESS)
+
+  const { solutionIndex, stepIndex } = progress
+  const solution = solutions[solutionIndex]
+  const steps = solution?.steps || []
+  const completed = progress.completed[solutionIndex] || []
+  const elapsed = progress.elapsed[solutionIndex] || 0
+  const allDone = steps.length > 0 && completed.length === steps.length
+  const exhausted = !solution
+  const estimate = parseTimeToComplete(solution?.timeToComplete || solution?.timeEstimate)
+  const overTime = estimate && elapsed > estimate.max
+
+  useEffect(() => {
+    saveWalkthrough(result.analysis_id, progress)
+  }, [result.analysis_id, progress])
+
+  // The clock only runs while a step is being worked on
+  useEffect(() => {
+    if (exhausted || allDone) return
+
+    const interval = setInterval(() => {
+      if (document.visibilityState !== 'visible') return
+      setProgress(prev => ({
+        ...prev,
+        elapsed: { ...prev.elapsed, [prev.solutionIndex]: (prev.elapsed[prev.solutionIndex] || 0) + 1 }
+      }))
+    }, 1000)
+    return () => clearInterval(interval)
+  }, [exhausted, allDone])
+
+  const toggleStep = (index, checked) => {
+    setProgress(prev => {
+      const done = new Set(prev.completed[prev.solutionIndex] || [])
+      if (checked) done.add(index)
+      else done.delete(index)
+
+      // Move on to the first step that is still open
+      const nextOpen = steps.findIndex((_step, i) => !done.has(i))
+      return {
+        ...prev,
+        completed: { ...prev.completed, [prev.solutionIndex]: [...done].sort((a, b) => a - b) },
+        stepIndex: checked ? (nextOpen === -1 ? index : nextOpen) : index
+      }
+    })
+  }
+
+  // A failed step means this solution does not apply; continue with the next one
+  const failStep = () => {
+    setProgress(prev => ({
+      ...prev,
+      failed: [...prev.failed, { solution: prev.solutionIndex, step: prev.stepIndex }],
+      solutionIndex: prev.solutionIndex + 1,
+      stepIndex: 0
+    }))
+    if (solutionIndex + 1 < solutions.length) {
+      toast(`Moving on to solution ${solutionIndex + 2}`, { icon: '➡️' })
+    }
+  }
+
+  const nextSolution = () => {
+    setProgress(prev => ({ ...prev, solutionIndex: prev.solutionIndex + 1, stepIndex: 0 }))
+  }
+
+  const restart = () => {
+    clearWalkthrough(result.analysis_id)
+    setProgress(EMPTY_PROGRESS)
+  }
+
+  if (exhausted) {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center space-y-4">
+          <XCircle className="h-12 w-12 text-gray-300 mx-auto" />
+          <h3 className="text-lg font-semibold text-gray-900">No more solutions to try</h3>
+          <p className="text-gray-600">
+            None of the suggested fixes worked. Try a new analysis with more context, or ask the community.
+          </p>
+          <div className="flex justify-center gap-2">
+            <Button variant="outline" onClick={restart}>
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Start Over
+            </Button>
+            <Button onClick={onExit}>Back to Solutions</Button>
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <Card className="border-l-4 border-l-blue-500">
+      <CardHeader className="space-y-3">
+        <div className="flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            <p className="text-sm text-gray-500">
+              Solution {solutionIndex + 1} of {solutions.length}
+            </p>
+            <h4 className="text-lg font-semibold">{solution.title}</h4>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <Badge
+              variant="outline"
+              className={overTime ? 'border-orange-300 text-orange-700' : ''}
+              title={overTime ? 'Taking longer than expected' : undefined}
+            >
+              <Clock className="h-3 w-3 mr-1" />
+              {formatElapsed(elapsed)}
+              {(solution.timeToComplete || solution.timeEstimate) && (
+                <span className="text-gray-500 ml-1">/ {solution.timeToComplete || solution.timeEstimate}</span>
+              )}
+            </Badge>
+            <Button size="icon" variant="ghost" onClick={onExit} title="Exit guided mode">
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+        <Progress value={steps.length ? (completed.length / steps.length) * 100 : 0} />
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <ol className="space-y-2">
+          {steps.map((step, index) => {
+            const isDone = completed.includes(index)
+            const isCurrent = index === stepIndex && !allDone
+            return (
+              <li
+                key={index}
+                className={`flex items-start gap-3 p-3 rounded-md border transition-colors ${
+                  isCurrent ? 'border-blue-300 bg-blue-50' : isDone ? 'bg-gray-50' : 'border-transparent'
+                }`}
+              >
+                <Checkbox
+                  checked={isDone}
+                  onCheckedChange={(checked) => toggleStep(index, checked === true)}
+                  className="mt-0.5"
+                  aria-label={`Step ${index + 1}`}
+                />
+                <button
+                  type="button"
+                  onClick={() => setProgress(prev => ({ ...prev, stepIndex: index }))}
+                  className={`text-left text-sm ${
+                    isDone ? 'text-gray-500 line-through' : isCurrent ? 'text-gray-900 font-medium' : 'text-gray-600'
+                  }`}
+                >
+                  <span className="mr-1">{index + 1}.</span>
+                  {step}
+                </button>
+              </li>
+            )
+          })}
+        </ol>
+
+        {allDone ? (
+          <div className="space-y-3">
+            <div className="flex items-center text-green-700">
+              <CheckCircle className="h-5 w-5 mr-2" />
+              <span className="font-medium">
+                All steps done in {formatElapsed(elapsed)}
+              </span>
+            </div>
+            {renderFeedback?.(solution, solutionIndex)}
+            <div className="flex flex-wrap justify-end gap-2">
+              {solutionIndex + 1 < solutions.length && (
+                <Button variant="outline" onClick={nextSolution}>
+                  Still broken? Try solution {solutionIndex + 2}
+                  <ArrowRight className="h-4 w-4 ml-2" />
+                </Button>
+              )}
+              <Button onClick={onExit}>Finish</Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center justify-between gap-2 pt-2 border-t">
+            <div className="flex gap-2">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setProgress(prev => ({ ...prev, stepIndex: prev.stepIndex - 1 }))}
+                disabled={stepIndex === 0}
+              >
+                <ArrowLeft className="h-4 w-4 mr-1" />
+                Previous
+              </Button>
+              <Button variant="ghost" size="sm" onClick={restart}>
+                <RotateCcw className="h-4 w-4 mr-1" />
+                Start Over
+              </Button>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={failStep}>
+                <XCircle className="h-4 w-4 mr-1" />
+                This step didn't work
+              </Button>
+              <Button size="sm" onClick={() => toggleStep(stepIndex, true)}>
+                <CheckCircle className="h-4 w-4 mr-1" />
+                Done, next step
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {progress.failed.some(entry => entry.solution < solutionIndex) && (
+          <p className="text-xs text-gray-500 flex items-center">
+            <Lightbulb className="h-3 w-3 mr-1" />
+            Skipped {new Set(progress.failed.map(entry => entry.solution)).size} solution(s) after a failed step
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,241 @@
+// src/components/analysis/FollowUpChat.jsx - Follow-up questions on a finished analysis
+
+import React, { useState, useRef, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { MessageSquare, Send, Paperclip, X, Loader2, Bot, User, Lightbulb } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Textarea } from '@/components/ui/textarea'
+import { analysisAPI, getErrorMessage } from '@/lib/api'
+import { processImageForUpload, confirmUnmaskedUpload } from '@/lib/utils/imageProcessor'
+
+const SUGGESTED_QUESTIONS = [
+  "I don't have admin access on this machine",
+  'I tried that and got a different error',
+  'Explain step 1 in more detail'
+]
+
+// One message in the thread
+const ChatMessage = ({ message }) => {
+  const isUser = message.role === 'user'
+  return (
+    <div className={`flex gap-3 ${isUser ? 'flex-row-reverse' : ''}`}>
+      <div className={`h-8 w-8 rounded-full flex items-center justify-center flex-shrink-0 ${
+        isUser ? 'bg-blue-100 text-blue-600' : 'bg-gray-100 text-gray-600'
+      }`}>
+        {isUser ? <User className="h-4 w-4" /> : <Bot className="h-4 w-4" />}
+      </div>
+      <div className={`max-w-[80%] rounded-lg px-4 py-2 space-y-2 ${
+        isUser ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'
+      }`}>
+        {message.image_url && (
+          <img src={message.image_url} alt="Attached screenshot" className="max-h-40 rounded-md border" />
+        )}
+        {message.content && (
+          <p className="text-sm whitespace-pre-wrap break-words">{message.content}</p>
+        )}
+        {message.solutions?.length > 0 && (
+          <div className="space-y-2">
+            {message.solutions.map((solution, index) => (
+              <div key={solution.id || index} className="bg-white rounded-md p-3 text-gray-900">
+                <p className="text-sm font-medium flex items-center">
+                  <Lightbulb className="h-4 w-4 mr-1 text-yellow-500" />
+                  {solution.title}
+                </p>
+                {solution.steps?.length > 0 && (
+                  <ol className="list-decimal list-inside text-xs text-gray-700 mt-1 space-y-0.5">
+                    {solution.steps.map((step, stepIndex) => (
+                      <li key={stepIndex}>{step}</li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * FollowUpChat Component
+ * Clarifying questions and new screenshots after trying a fix, threaded to
+ * the analysis so the conversation is there when it is reopened.
+ */
+export const FollowUpChat = ({ analysisId, initialMessages = [] }) => {
+  const [messages, setMessages] = useState(initialMessages)
+  const [draft, setDraft] = useState('')
+  const [attachment, setAttachment] = useState(null)
+  const [isPreparingImage, setIsPreparingImage] = useState(false)
+  const [isSending, setIsSending] = useState(false)
+  const fileInputRef = useRef(null)
+  const threadEndRef = useRef(null)
+  const controllerRef = useRef(null)
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+  }, [messages.length])
+
+  // Don't leave a request running after the results are closed
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const attachScreenshot = async (file) => {
+    setIsPreparingImage(true)
+    try {
+      const processed = await processImageForUpload(file, { maskSensitiveData: true })
+      if (processed.masking.failed && !confirmUnmaskedUpload(1)) return
+      setAttachment({ image: processed.base64, thumbnail: processed.thumbnail })
+      if (processed.masking.count > 0) {
+        toast.success(`Masked ${processed.masking.count} sensitive item(s) in the screenshot`)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setIsPreparingImage(false)
+    }
+  }
+
+  const handleFileSelect = (event) => {
+    const file = event.target.files?.[0]
+    if (file) attachScreenshot(file)
+    event.target.value = ''
+  }
+
+  const send = async (text = draft) => {
+    if ((!text.trim() && !attachment) || isSending) return
+
+    const sentAttachment = attachment
+    const outgoing = {
+      id: `local-${Date.now()}`,
+      role: 'user',
+      content: text.trim(),
+      image_url: sentAttachment?.thumbnail,
+      created_at: new Date().toISOString()
+    }
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    setMessages(prev => [...prev, outgoing])
+    setDraft('')
+    setAttachment(null)
+    setIsSending(true)
+
+    try {
+      const { reply } = await analysisAPI.followUp(
+        analysisId,
+        { message: outgoing.content, image: sentAttachment?.image },
+        { signal: controller.signal }
+      )
+      setMessages(prev => [...prev, reply])
+    } catch (error) {
+      if (error.cancelled) return
+      console.error('Follow-up failed:', error)
+      toast.error(getErrorMessage(error))
+      // Put the question back so it can be resent
+      setMessages(prev => prev.filter(m => m.id !== outgoing.id))
+      setDraft(outgoing.content)
+      setAttachment(sentAttachment)
+    } finally {
+      controllerRef.current = null
+      setIsSending(false)
+    }
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault()
+      send()
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center text-lg">
+          <MessageSquare className="h-5 w-5 mr-2" />
+          Still stuck? Ask a follow-up
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {messages.length > 0 ? (
+          <div className="space-y-4 max-h-96 overflow-y-auto pr-1">
+            {messages.map(message => (
+              <ChatMessage key={message.id} message={message} />
+            ))}
+            {isSending && (
+              <div className="flex items-center text-sm text-gray-500">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Thinking...
+              </div>
+            )}
+            <div ref={threadEndRef} />
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {SUGGESTED_QUESTIONS.map(question => (
+              <button
+                key={question}
+                type="button"
+                onClick={() => setDraft(question)}
+                className="text-xs px-3 py-1 rounded-full border text-gray-600 hover:bg-gray-50"
+              >
+                {question}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {attachment && (
+          <div className="relative inline-block">
+            <img src={attachment.thumbnail} alt="Screenshot to send" className="h-16 rounded-md border" />
+            <button
+              type="button"
+              onClick={() => setAttachment(null)}
+              className="absolute -top-2 -right-2 bg-white rounded-full border p-0.5 text-gray-600 hover:text-gray-900"
+              aria-label="Remove screenshot"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+        )}
+
+        <div className="flex items-end gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleFileSelect}
+            className="sr-only"
+          />
+          <Button
+            size="icon"
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isSending || isPreparingImage}
+            title="Attach a new screenshot"
+          >
+            {isPreparingImage ? <Loader2 className="h-4 w-4 animate-spin" /> : <Paperclip className="h-4 w-4" />}
+          </Button>
+          <Textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="e.g. I don't have Device Manager access"
+            className="min-h-[40px] max-h-32 text-sm"
+            maxLength={2000}
+            disabled={isSending}
+          />
+          <Button
+            size="icon"
+            onClick={() => send()}
+            disabled={isSending || isPreparingImage || (!draft.trim() && !attachment)}
+            title="Send"
+          >
+            <Send className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
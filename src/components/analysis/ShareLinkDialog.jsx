@@ -0,0 +1,165 @@
+// src/components/analysis/ShareLinkDialog.jsx - Create a public read-only link to an analysis
+
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { X, Link2, Copy, CheckCircle, Loader2, EyeOff } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Switch } from '@/components/ui/switch'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { shareAPI, getShareUrl, getErrorMessage } from '@/lib/api'
+import { useAuth } from '@/contexts/AuthContext'
+
+const EXPIRY_OPTIONS = [
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: 'never', label: 'Never' }
+]
+
+/**
+ * ShareLinkDialog Component
+ * Anyone with the link can view the analysis without signing in, until it
+ * expires or is revoked from the dashboard.
+ */
+export const ShareLinkDialog = ({ isOpen, analysisId, hasScreenshots = false, onClose }) => {
+  const { settings } = useAuth()
+  const [expiry, setExpiry] = useState('7')
+  const [redactScreenshots, setRedactScreenshots] = useState(settings.defaultRedaction)
+  const [isCreating, setIsCreating] = useState(false)
+  const [share, setShare] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setShare(null)
+      setCopied(false)
+    }
+  }, [isOpen])
+
+  const createLink = async () => {
+    setIsCreating(true)
+    try {
+      const created = await shareAPI.createShare(analysisId, {
+        expiresInDays: expiry === 'never' ? null : Number(expiry),
+        redactScreenshots
+      })
+      setShare(created)
+    } catch (error) {
+      console.error('Failed to create share link:', error)
+      toast.error(getErrorMessage(error))
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(getShareUrl(share.share_id))
+    setCopied(true)
+    toast.success('Link copied to clipboard!')
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-md"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Link2 className="h-5 w-5 mr-2 text-blue-600" />
+                Share Analysis
+              </h2>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-4">
+              {share ? (
+                <>
+                  <p className="text-sm text-gray-600">
+                    Anyone with this link can view the analysis
+                    {share.expires_at ? ` until ${new Date(share.expires_at).toLocaleDateString()}` : ''}.
+                    You can revoke it from your dashboard.
+                  </p>
+                  <div className="flex gap-2">
+                    <Input value={getShareUrl(share.share_id)} readOnly onFocus={(e) => e.target.select()} />
+                    <Button onClick={copyLink} variant="outline">
+                      {copied ? (
+                        <CheckCircle className="h-4 w-4 text-green-600" />
+                      ) : (
+                        <Copy className="h-4 w-4" />
+                      )}
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="flex items-center justify-between gap-4">
+                    <label className="text-sm font-medium text-gray-700">Link expires after</label>
+                    <Select value={expiry} onValueChange={setExpiry}>
+                      <SelectTrigger className="w-32">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {EXPIRY_OPTIONS.map(option => (
+                          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  {hasScreenshots && (
+                    <div className="flex items-center justify-between gap-4">
+                      <div>
+                        <label className="text-sm font-medium text-gray-700 flex items-center">
+                          <EyeOff className="h-4 w-4 mr-2" />
+                          Hide screenshots
+                        </label>
+                        <p className="text-xs text-gray-500">Only the text and solutions will be visible</p>
+                      </div>
+                      <Switch checked={redactScreenshots} onCheckedChange={setRedactScreenshots} />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <Button variant="outline" onClick={onClose}>
+                {share ? 'Done' : 'Cancel'}
+              </Button>
+              {!share && (
+                <Button onClick={createLink} disabled={isCreating}>
+                  {isCreating && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Create Link
+                </Button>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -0,0 +1,141 @@
+// src/components/analysis/SimilarSolutions.jsx - Community fixes for the same error
+
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Users, ThumbsUp, ThumbsDown, MessageSquare, Loader2, ExternalLink } from 'lucide-react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { communityAPI } from '@/lib/api'
+import { getDifficultyColor, toCommunityCategory } from '@/lib/utils/community'
+import { parseSearchQuery, rankSimilarSolutions } from '@/lib/utils/communitySearch'
+
+const MAX_SHOWN = 3
+const CANDIDATES_PER_QUERY = 10
+
+/**
+ * SimilarSolutions Component
+ * Looks up community solutions by the analysis' error codes, tags and
+ * category so the AI's advice can be compared with what worked for others.
+ * Renders nothing when there are no matches or the community can't be reached.
+ */
+export const SimilarSolutions = ({ result }) => {
+  const [matches, setMatches] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // Same notion of an error code as the community search box
+  const codes = parseSearchQuery(result.detected_text || result.error_detected).codes.slice(0, 5)
+  const tags = result.tags || []
+  const category = toCommunityCategory(result.category)
+  // Primitive dependency so a new result object with the same content doesn't refetch
+  const lookupKey = JSON.stringify({ codes, tags, category })
+
+  useEffect(() => {
+    const lookup = JSON.parse(lookupKey)
+    const controller = new AbortController()
+
+    const fetchSimilar = async () => {
+      setLoading(true)
+      const queries = [
+        lookup.codes.length > 0 && communityAPI.getSolutions(
+          { q: lookup.codes.join(' '), limit: CANDIDATES_PER_QUERY },
+          { signal: controller.signal }
+        ),
+        // A category alone would only bring back unrelated popular solutions
+        lookup.tags.length > 0 && communityAPI.getSolutions(
+          { category: lookup.category, q: lookup.tags.slice(0, 3).join(' '), sort: 'top', limit: CANDIDATES_PER_QUERY },
+          { signal: controller.signal }
+        )
+      ].filter(Boolean)
+
+      if (queries.length === 0) {
+        setMatches([])
+        setLoading(false)
+        return
+      }
+
+      // One query failing shouldn't hide what the other found
+      const pages = await Promise.allSettled(queries)
+      if (controller.signal.aborted) return
+
+      const candidates = new Map()
+      pages.forEach(page => {
+        if (page.status === 'fulfilled') {
+          page.value.solutions.forEach(solution => candidates.set(solution.id, solution))
+        } else {
+          console.warn('⚠️ Could not load similar community solutions:', page.reason?.message)
+        }
+      })
+
+      setMatches(rankSimilarSolutions([...candidates.values()], lookup).slice(0, MAX_SHOWN))
+      setLoading(false)
+    }
+
+    fetchSimilar()
+    return () => controller.abort()
+  }, [lookupKey])
+
+  if (!loading && matches.length === 0) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center text-lg">
+          <Users className="h-5 w-5 mr-2" />
+          Similar community solutions
+        </CardTitle>
+        <p className="text-sm text-gray-600">What worked for others with the same error</p>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 text-gray-400 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {matches.map(({ solution, reasons }) => (
+              <Link
+                key={solution.id}
+                to={`/community/${solution.id}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block border rounded-lg p-3 hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{solution.title}</p>
+                    <div className="flex flex-wrap items-center gap-2 mt-1">
+                      <Badge variant="secondary" className={getDifficultyColor(solution.difficulty)}>
+                        {solution.difficulty}
+                      </Badge>
+                      {reasons.codes.map(code => (
+                        <Badge key={code} variant="outline" className="font-mono text-xs">{code}</Badge>
+                      ))}
+                      {reasons.codes.length === 0 && reasons.tags.slice(0, 2).map(tag => (
+                        <Badge key={tag} variant="outline" className="text-xs">{tag}</Badge>
+                      ))}
+                    </div>
+                  </div>
+                  <ExternalLink className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                </div>
+                <div className="flex items-center gap-4 text-sm text-gray-500 mt-2">
+                  <span className="flex items-center gap-1" title="Upvotes">
+                    <ThumbsUp className="h-4 w-4" />
+                    {solution.upvoteCount || 0}
+                  </span>
+                  <span className="flex items-center gap-1" title="Downvotes">
+                    <ThumbsDown className="h-4 w-4" />
+                    {solution.downvoteCount || 0}
+                  </span>
+                  <span className="flex items-center gap-1" title="Comments">
+                    <MessageSquare className="h-4 w-4" />
+                    {solution.commentCount || 0}
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
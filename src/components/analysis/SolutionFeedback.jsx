@@ -0,0 +1,108 @@
+// src/components/analysis/SolutionFeedback.jsx - "Did this fix it?" for one solution
+
+import React, { useState } from 'react'
+import { Loader2, MessageSquare, Pencil } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Textarea } from '@/components/ui/textarea'
+import { SOLUTION_OUTCOMES, getOutcome } from '@/lib/utils/solutionFeedback'
+
+/**
+ * SolutionFeedback Component
+ * `feedback` is the saved { outcome, notes } for this solution, if any;
+ * `onSubmit({ outcome, notes })` persists a new report and may throw.
+ */
+export const SolutionFeedback = ({ feedback, onSubmit, disabled = false }) => {
+  const [editing, setEditing] = useState(!feedback)
+  const [outcome, setOutcome] = useState(feedback?.outcome || null)
+  const [notes, setNotes] = useState(feedback?.notes || '')
+  const [saving, setSaving] = useState(false)
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      await onSubmit({ outcome, notes })
+      setEditing(false)
+    } catch {
+      // The caller reports the failure; keep the form open to retry
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (feedback && !editing) {
+    const saved = getOutcome(feedback.outcome)
+    return (
+      <div className="mt-4 pt-4 border-t flex items-start justify-between gap-4">
+        <div className="text-sm space-y-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <span className="text-gray-600">Your result:</span>
+            <Badge className={saved?.className}>{saved?.label || feedback.outcome}</Badge>
+          </div>
+          {feedback.notes && (
+            <p className="text-gray-600 flex items-start">
+              <MessageSquare className="h-3 w-3 mr-1 mt-1 flex-shrink-0" />
+              <span className="break-words">{feedback.notes}</span>
+            </p>
+          )}
+        </div>
+        <Button size="sm" variant="ghost" onClick={() => setEditing(true)} disabled={disabled}>
+          <Pencil className="h-3 w-3 mr-1" />
+          Change
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t space-y-3">
+      <p className="text-sm font-medium text-gray-700">Did this fix it?</p>
+      <div className="flex flex-wrap gap-2">
+        {SOLUTION_OUTCOMES.map(option => (
+          <Button
+            key={option.value}
+            size="sm"
+            variant={outcome === option.value ? 'default' : 'outline'}
+            onClick={() => setOutcome(option.value)}
+            disabled={disabled || saving}
+          >
+            {option.label}
+          </Button>
+        ))}
+      </div>
+
+      {outcome && (
+        <>
+          <Textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Anything worth knowing? (optional)"
+            className="min-h-[60px] text-sm"
+            maxLength={500}
+            disabled={disabled || saving}
+          />
+          <div className="flex justify-end gap-2">
+            {feedback && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => {
+                  setOutcome(feedback.outcome)
+                  setNotes(feedback.notes || '')
+                  setEditing(false)
+                }}
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+            )}
+            <Button size="sm" onClick={save} disabled={disabled || saving}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save Feedback
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
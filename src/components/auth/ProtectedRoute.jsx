@@ -21,6 +21,7 @@ export const ProtectedRoute = ({
   requireEmailVerification = false,
   requirePro = false,
   requireAdmin = false,
+  requireModerator = false,
   fallback = null,
   showSignInButton = true,
   customMessage = null 
@@ -31,6 +32,7 @@ export const ProtectedRoute = ({
     isEmailVerified, 
     isPro, 
     isAdmin,
+    isModerator,
     loading,
     authReady
   } = useAuth()
@@ -111,6 +113,20 @@ export const ProtectedRoute = ({
     )
   }
 
+  // Check moderator requirement (admins are moderators too)
+  if (requireModerator && !isModerator) {
+    return (
+      <AccessDenied
+        icon={<Shield className="h-12 w-12 text-orange-600" />}
+        title="Moderator Access Required"
+        message={customMessage || "Only community moderators can access this page."}
+        showSignInButton={false}
+        actionText="Contact Support"
+        actionVariant="outline"
+      />
+    )
+  }
+
   // All checks passed, render children
   return children
 }
@@ -365,6 +381,11 @@ export const useAccessControl = () => {
   <AdminPanelComponent />
 </ProtectedRoute>
 
+// Moderator protection
+<ProtectedRoute requireAuth={true} requireModerator={true}>
+  <ModerationComponent />
+</ProtectedRoute>
+
 // Custom message
 <ProtectedRoute 
   requireAuth={true} 
@@ -14,6 +14,8 @@ import { Button } from '@/components/ui/button'
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
 import { Badge } from '@/components/ui/badge'
 import { Alert, AlertDescription } from '@/components/ui/alert'
+import { ReputationBadge } from '@/components/community/ReputationBadge'
+import { getReputationLevel } from '@/lib/utils/reputation'
 import { 
   User, LogOut, Settings, BookmarkIcon, 
   FileText, Crown, Shield, AlertCircle,
@@ -31,6 +33,7 @@ export const UserMenu = () => {
     analysisCount,
     analysisLimit,
     isPro,
+    isModerator,
     needsEmailVerification
   } = useAuth()
 
@@ -119,6 +122,9 @@ export const UserMenu = () => {
     )
   }
 
+  const reputation = userProfile?.reputation || 0
+  const reputationLevel = getReputationLevel(reputation)
+
   const getUsagePercentage = () => {
     if (isPro) return 0
     return Math.min((analysisCount / analysisLimit) * 100, 100)
@@ -254,6 +260,16 @@ export const UserMenu = () => {
               )}
             </div>
 
+            {/* Reputation Level */}
+            <div className="flex items-center justify-between text-xs">
+              <ReputationBadge reputation={reputation} />
+              <span className="text-muted-foreground">
+                {reputationLevel.next
+                  ? `${reputationLevel.next.min - reputation} points to ${reputationLevel.next.name}`
+                  : 'Highest level reached'}
+              </span>
+            </div>
+
             {/* User Stats */}
             {userProfile?.stats && (
               <div className="grid grid-cols-3 gap-2 text-center">
@@ -271,7 +287,7 @@ export const UserMenu = () => {
                 </div>
                 <div>
                   <p className="text-lg font-semibold text-gray-900">
-                    {userProfile.reputation || 0}
+                    {reputation}
                   </p>
                   <p className="text-xs text-gray-500">Reputation</p>
                 </div>
@@ -323,6 +339,16 @@ export const UserMenu = () => {
           <span>Settings</span>
         </DropdownMenuItem>
         
+        {isModerator && (
+          <DropdownMenuItem 
+            onClick={() => window.location.href = '/moderation'}
+            className="cursor-pointer"
+          >
+            <Shield className="mr-2 h-4 w-4" />
+            <span>Moderation</span>
+          </DropdownMenuItem>
+        )}
+        
         {/* Upgrade Section - Free Users Only */}
         {!isPro && (
           <>
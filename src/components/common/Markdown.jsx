@@ -0,0 +1,38 @@
+// src/components/common/Markdown.jsx - Render user-written markdown safely
+
+import React from 'react'
+import ReactMarkdown from 'react-markdown'
+
+// Links always open in a new tab
+const components = {
+  a: ({ href, title, children }) => (
+    <a href={href} title={title} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-600 hover:underline">
+      {children}
+    </a>
+  ),
+  img: ({ alt }) => <span className="text-gray-500">[image: {alt}]</span>
+}
+
+const PROSE_CLASSES = [
+  '[&_p]:mb-2 [&_p:last-child]:mb-0',
+  '[&_ul]:list-disc [&_ul]:list-inside [&_ul]:mb-2 [&_ol]:list-decimal [&_ol]:list-inside [&_ol]:mb-2',
+  '[&_h1]:font-semibold [&_h2]:font-semibold [&_h3]:font-semibold [&_h1]:mb-2 [&_h2]:mb-2 [&_h3]:mb-2',
+  '[&_blockquote]:border-l-4 [&_blockquote]:border-gray-200 [&_blockquote]:pl-3 [&_blockquote]:text-gray-600',
+  '[&_code]:bg-gray-100 [&_code]:rounded [&_code]:px-1 [&_code]:text-xs [&_code]:font-mono',
+  '[&_pre]:bg-gray-100 [&_pre]:rounded-md [&_pre]:p-3 [&_pre]:mb-2 [&_pre]:overflow-x-auto [&_pre_code]:p-0'
+].join(' ')
+
+/**
+ * Markdown Component
+ * Comments and solution text are user content, so images are shown as their
+ * alt text and raw HTML is dropped rather than rendered.
+ */
+export const Markdown = ({ children, className = '' }) => {
+  return (
+    <div className={`text-sm text-gray-700 break-words ${PROSE_CLASSES} ${className}`}>
+      <ReactMarkdown skipHtml components={components}>
+        {children || ''}
+      </ReactMarkdown>
+    </div>
+  )
+}
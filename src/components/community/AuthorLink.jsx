@@ -0,0 +1,29 @@
+// src/components/community/AuthorLink.jsx - Author name linking to their public profile
+
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { getProfilePath } from '@/lib/utils/publicProfile'
+
+/**
+ * AuthorLink Component
+ * Links to the author's public profile. Authors without a username have
+ * no profile page, so their name is plain text.
+ */
+export const AuthorLink = ({ author, className = '' }) => {
+  const name = author?.displayName || 'Anonymous'
+
+  if (!author?.username) {
+    return <span className={className}>{name}</span>
+  }
+
+  return (
+    <Link
+      to={getProfilePath(author.username)}
+      // Cards open the solution when clicked; the name should open the profile
+      onClick={(e) => e.stopPropagation()}
+      className={`hover:underline ${className}`}
+    >
+      {name}
+    </Link>
+  )
+}
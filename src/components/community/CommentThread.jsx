@@ -0,0 +1,375 @@
+// src/components/community/CommentThread.jsx - Threaded comments on a community solution
+
+import React, { useState, useEffect, useMemo } from 'react'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import { MessageSquare, Reply, Pencil, Trash2, Flag, Loader2, AlertCircle } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Textarea } from '@/components/ui/textarea'
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Markdown } from '@/components/common/Markdown'
+import { ReportDialog } from '@/components/community/ReportDialog'
+import { AuthorLink } from '@/components/community/AuthorLink'
+import { useAuth } from '@/contexts/AuthContext'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+
+const MAX_COMMENT_LENGTH = 2000
+// Deeper replies are still shown, just without more indentation
+const MAX_INDENT_DEPTH = 3
+
+// Group the flat comment list by parent so each comment can render its replies
+const buildReplyMap = (comments) => {
+  const ids = new Set(comments.map(comment => comment.id))
+  const map = {}
+  comments.forEach(comment => {
+    // Replies to a comment we don't have are shown at the top level
+    const parent = comment.parentId && ids.has(comment.parentId) ? comment.parentId : 'root'
+    ;(map[parent] = map[parent] || []).push(comment)
+  })
+  return map
+}
+
+const CommentForm = ({ initialValue = '', submitLabel, placeholder, onSubmit, onCancel, autoFocus = false }) => {
+  const [value, setValue] = useState(initialValue)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!value.trim()) return
+
+    setIsSubmitting(true)
+    try {
+      const saved = await onSubmit(value.trim())
+      if (saved !== false) setValue('')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-2">
+      <Textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        className="min-h-[80px] text-sm"
+        maxLength={MAX_COMMENT_LENGTH}
+        autoFocus={autoFocus}
+        disabled={isSubmitting}
+      />
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-500">Markdown is supported</p>
+        <div className="flex gap-2">
+          {onCancel && (
+            <Button type="button" size="sm" variant="ghost" onClick={onCancel} disabled={isSubmitting}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" size="sm" disabled={isSubmitting || !value.trim()}>
+            {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  )
+}
+
+const Comment = ({ comment, replyMap, depth, currentUserId, onReply, onEdit, onDelete, onReport }) => {
+  const [mode, setMode] = useState(null) // 'reply' | 'edit'
+  const replies = replyMap[comment.id] || []
+  const isOwn = !!currentUserId && comment.author?.uid === currentUserId
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-3">
+        <Avatar className="h-8 w-8 flex-shrink-0">
+          <AvatarImage src={comment.author?.avatarUrl} />
+          <AvatarFallback>{comment.author?.displayName?.[0] || 'U'}</AvatarFallback>
+        </Avatar>
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+            <span className="font-medium text-gray-900">
+              {comment.deleted ? 'Deleted' : <AuthorLink author={comment.author} />}
+            </span>
+            <span className="text-xs text-gray-500">
+              {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+              {comment.updatedAt && comment.updatedAt !== comment.createdAt && !comment.deleted && ' · edited'}
+            </span>
+          </div>
+
+          {mode === 'edit' ? (
+            <div className="mt-2">
+              <CommentForm
+                initialValue={comment.content}
+                submitLabel="Save"
+                autoFocus
+                onSubmit={async (content) => {
+                  const saved = await onEdit(comment, content)
+                  if (saved) setMode(null)
+                  return saved
+                }}
+                onCancel={() => setMode(null)}
+              />
+            </div>
+          ) : comment.deleted ? (
+            <p className="text-sm text-gray-400 italic mt-1">This comment was deleted.</p>
+          ) : (
+            <Markdown className="mt-1">{comment.content}</Markdown>
+          )}
+
+          {!comment.deleted && mode !== 'edit' && (
+            <div className="flex gap-3 mt-1 text-xs text-gray-500">
+              <button
+                type="button"
+                onClick={() => setMode(mode === 'reply' ? null : 'reply')}
+                className="flex items-center hover:text-gray-900"
+              >
+                <Reply className="h-3 w-3 mr-1" />
+                Reply
+              </button>
+              {isOwn && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => setMode('edit')}
+                    className="flex items-center hover:text-gray-900"
+                  >
+                    <Pencil className="h-3 w-3 mr-1" />
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDelete(comment, replies.length > 0)}
+                    className="flex items-center hover:text-red-600"
+                  >
+                    <Trash2 className="h-3 w-3 mr-1" />
+                    Delete
+                  </button>
+                </>
+              )}
+              {!isOwn && (
+                <button
+                  type="button"
+                  onClick={() => onReport(comment)}
+                  className="flex items-center hover:text-red-600"
+                >
+                  <Flag className="h-3 w-3 mr-1" />
+                  Report
+                </button>
+              )}
+            </div>
+          )}
+
+          {mode === 'reply' && (
+            <div className="mt-2">
+              <CommentForm
+                submitLabel="Reply"
+                placeholder={`Reply to ${comment.author?.displayName || 'this comment'}...`}
+                autoFocus
+                onSubmit={async (content) => {
+                  const saved = await onReply(content, comment.id)
+                  if (saved) setMode(null)
+                  return saved
+                }}
+                onCancel={() => setMode(null)}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {replies.length > 0 && (
+        <div className={depth < MAX_INDENT_DEPTH ? 'ml-11 pl-4 border-l space-y-3' : 'space-y-3'}>
+          {replies.map(reply => (
+            <Comment
+              key={reply.id}
+              comment={reply}
+              replyMap={replyMap}
+              depth={depth + 1}
+              currentUserId={currentUserId}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onReport={onReport}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * CommentThread Component
+ * Loads and shows the discussion under a solution. Anyone signed in can
+ * comment or reply; authors can edit and delete their own comments, and
+ * other people's comments can be reported to the moderators.
+ * `onCountChange(delta)` keeps the solution's comment count in sync.
+ */
+export const CommentThread = ({ solutionId, onCountChange }) => {
+  const { user } = useAuth()
+  const [comments, setComments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [reportedComment, setReportedComment] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchComments = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const data = await communityAPI.getComments(solutionId)
+        if (!cancelled) setComments(data.comments || [])
+      } catch (error) {
+        console.error('Failed to load comments:', error)
+        if (!cancelled) setError(error)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchComments()
+    return () => {
+      cancelled = true
+    }
+  }, [solutionId])
+
+  const replyMap = useMemo(() => buildReplyMap(comments), [comments])
+
+  const addComment = async (content, parentId = null) => {
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('showSignInModal'))
+      return false
+    }
+
+    try {
+      const { comment } = await communityAPI.addComment(solutionId, { content, parentId })
+      setComments(prev => [...prev, comment])
+      onCountChange?.(1)
+      return true
+    } catch (error) {
+      console.error('Failed to add comment:', error)
+      toast.error(getErrorMessage(error))
+      return false
+    }
+  }
+
+  const editComment = async (comment, content) => {
+    try {
+      const { comment: updated } = await communityAPI.updateComment(solutionId, comment.id, { content })
+      setComments(prev => prev.map(c => c.id === comment.id ? { ...c, ...updated } : c))
+      return true
+    } catch (error) {
+      console.error('Failed to edit comment:', error)
+      toast.error(getErrorMessage(error))
+      return false
+    }
+  }
+
+  const deleteComment = async (comment, hasReplies) => {
+    if (!window.confirm('Delete this comment?')) return
+
+    try {
+      await communityAPI.deleteComment(solutionId, comment.id)
+      // Keep a placeholder so the replies stay in their thread
+      setComments(prev => hasReplies
+        ? prev.map(c => c.id === comment.id ? { ...c, deleted: true, content: '' } : c)
+        : prev.filter(c => c.id !== comment.id)
+      )
+      onCountChange?.(-1)
+      toast.success('Comment deleted')
+    } catch (error) {
+      console.error('Failed to delete comment:', error)
+      toast.error(getErrorMessage(error))
+    }
+  }
+
+  const reportComment = (comment) => {
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('showSignInModal'))
+      return
+    }
+    setReportedComment(comment)
+  }
+
+  const visibleCount = comments.filter(comment => !comment.deleted).length
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center text-lg">
+          <MessageSquare className="h-5 w-5 mr-2" />
+          Comments {visibleCount > 0 && `(${visibleCount})`}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {user ? (
+          <CommentForm
+            submitLabel="Comment"
+            placeholder="Did this work for you? Share what you tried..."
+            onSubmit={(content) => addComment(content)}
+          />
+        ) : (
+          <div className="text-sm text-gray-600 bg-gray-50 rounded-md p-3">
+            <button
+              type="button"
+              onClick={() => window.dispatchEvent(new CustomEvent('showSignInModal'))}
+              className="text-blue-600 hover:underline font-medium"
+            >
+              Sign in
+            </button>
+            {' '}to join the discussion.
+          </div>
+        )}
+
+        {loading ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="flex gap-3">
+                <Skeleton className="h-8 w-8 rounded-full" />
+                <div className="flex-1 space-y-2">
+                  <Skeleton className="h-3 w-1/4" />
+                  <Skeleton className="h-3 w-3/4" />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : error ? (
+          <div className="flex items-center text-sm text-red-600">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            Could not load comments: {getErrorMessage(error)}
+          </div>
+        ) : comments.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No comments yet. Be the first to comment.</p>
+        ) : (
+          <div className="space-y-6">
+            {(replyMap.root || []).map(comment => (
+              <Comment
+                key={comment.id}
+                comment={comment}
+                replyMap={replyMap}
+                depth={0}
+                currentUserId={user?.uid}
+                onReply={addComment}
+                onEdit={editComment}
+                onDelete={deleteComment}
+                onReport={reportComment}
+              />
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <ReportDialog
+        isOpen={!!reportedComment}
+        target={reportedComment && { solutionId, commentId: reportedComment.id }}
+        onClose={() => setReportedComment(null)}
+      />
+    </Card>
+  )
+}
@@ -0,0 +1,140 @@
+// src/components/community/CommunitySearchBox.jsx - Community search with suggestions as you type
+
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Search, Hash, Tag, FileText } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { communityAPI } from '@/lib/api'
+
+const SUGGEST_DELAY = 250
+const MIN_SUGGEST_LENGTH = 2
+
+const SUGGESTION_ICONS = { code: Hash, tag: Tag, solution: FileText }
+
+/**
+ * CommunitySearchBox Component
+ * Suggests error codes, tags and solutions while typing. When the backend
+ * can't be reached, `getLocalSuggestions(query)` supplies them instead.
+ */
+export const CommunitySearchBox = ({ initialQuery = '', onSearch, getLocalSuggestions }) => {
+  const navigate = useNavigate()
+  const [value, setValue] = useState(initialQuery)
+  const [suggestions, setSuggestions] = useState([])
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const localSuggestionsRef = useRef(getLocalSuggestions)
+  localSuggestionsRef.current = getLocalSuggestions
+
+  useEffect(() => {
+    const query = value.trim()
+    if (query.length < MIN_SUGGEST_LENGTH || query === initialQuery) {
+      setSuggestions([])
+      return
+    }
+
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        setSuggestions(await communityAPI.suggestSolutions(query, { signal: controller.signal }))
+      } catch (error) {
+        if (error.cancelled) return
+        setSuggestions(localSuggestionsRef.current?.(query) || [])
+      }
+      setActiveIndex(-1)
+    }, SUGGEST_DELAY)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [value, initialQuery])
+
+  const choose = (suggestion) => {
+    setIsOpen(false)
+    if (suggestion.type === 'solution' && suggestion.id) {
+      navigate(`/community/${suggestion.id}`)
+      return
+    }
+    setValue(suggestion.value)
+    onSearch(suggestion.value)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setIsOpen(false)
+    onSearch(value.trim())
+  }
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(prev => (prev + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(prev => (prev <= 0 ? suggestions.length : prev) - 1)
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault()
+      choose(suggestions[activeIndex])
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-4">
+      <div className="flex-1 relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+        <Input
+          type="text"
+          placeholder="Search by error code or description, e.g. 0x0000003B or EACCES"
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value)
+            setIsOpen(true)
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
+          className="pl-10"
+          role="combobox"
+          aria-expanded={isOpen && suggestions.length > 0}
+          aria-autocomplete="list"
+        />
+
+        {isOpen && suggestions.length > 0 && (
+          <ul
+            role="listbox"
+            className="absolute z-20 left-0 right-0 mt-1 bg-white border rounded-md shadow-lg py-1 max-h-72 overflow-y-auto"
+          >
+            {suggestions.map((suggestion, index) => {
+              const Icon = SUGGESTION_ICONS[suggestion.type] || Search
+              return (
+                <li
+                  key={`${suggestion.type}-${suggestion.id || suggestion.value}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  // Keep focus in the input so onBlur doesn't close the list first
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => choose(suggestion)}
+                  className={`flex items-center px-3 py-2 text-sm cursor-pointer ${
+                    index === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <Icon className="h-4 w-4 mr-2 flex-shrink-0 text-gray-400" />
+                  <span className={`truncate ${suggestion.type === 'code' ? 'font-mono' : ''}`}>
+                    {suggestion.value}
+                  </span>
+                  <span className="ml-auto pl-2 text-xs text-gray-400 capitalize">{suggestion.type}</span>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+      <Button type="submit">Search</Button>
+    </form>
+  )
+}
@@ -0,0 +1,93 @@
+// src/components/community/EditSolutionDialog.jsx - Edit a solution you have shared
+
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { X, Pencil, Loader2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import { draftToSolutionData, solutionToDraft, validateSolutionData } from '@/lib/utils/community'
+import { SolutionFormFields } from '@/components/community/SolutionFormFields'
+
+/**
+ * EditSolutionDialog Component
+ * Changes are visible to the community as soon as they are saved.
+ * `onSaved(solution)` receives the updated solution.
+ */
+export const EditSolutionDialog = ({ isOpen, solution, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(() => solutionToDraft(solution || {}))
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && solution) setDraft(solutionToDraft(solution))
+  }, [isOpen, solution])
+
+  const updateDraft = (name, value) => {
+    setDraft(prev => ({ ...prev, [name]: value }))
+  }
+
+  const solutionData = draftToSolutionData(draft)
+  const validationError = validateSolutionData(solutionData)
+
+  const save = async () => {
+    setIsSaving(true)
+    try {
+      const { solution: updated } = await communityAPI.updateSolution(solution.id, solutionData)
+      toast.success('Solution updated')
+      onSaved({ ...solution, ...solutionData, ...updated })
+      onClose()
+    } catch (error) {
+      console.error('Failed to update solution:', error)
+      toast.error(getErrorMessage(error))
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && solution && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[95vh] flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Pencil className="h-5 w-5 mr-2 text-blue-600" />
+                Edit Solution
+              </h2>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+              <SolutionFormFields draft={draft} onChange={updateDraft} idPrefix="edit" />
+            </div>
+
+            <div className="flex items-center justify-between gap-2 p-4 border-t">
+              <p className="text-sm text-red-600">{validationError}</p>
+              <div className="flex gap-2">
+                <Button variant="outline" onClick={onClose} disabled={isSaving}>Cancel</Button>
+                <Button onClick={save} disabled={isSaving || !!validationError}>
+                  {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Save Changes
+                </Button>
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -0,0 +1,93 @@
+// src/components/community/Leaderboard.jsx - Top community contributors by period
+
+import React, { useState, useEffect } from 'react'
+import { Trophy, Loader2 } from 'lucide-react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { ReputationBadge } from '@/components/community/ReputationBadge'
+import { AuthorLink } from '@/components/community/AuthorLink'
+import { communityAPI } from '@/lib/api'
+import { LEADERBOARD_PERIODS } from '@/lib/utils/reputation'
+
+const RANK_COLORS = ['text-yellow-500', 'text-gray-400', 'text-amber-600']
+
+/**
+ * Leaderboard Component
+ * Contributors who earned the most reputation this week, this month or
+ * overall. Each period is fetched once and kept while the page is open.
+ */
+export const Leaderboard = () => {
+  const [period, setPeriod] = useState('week')
+  const [leadersByPeriod, setLeadersByPeriod] = useState({})
+  const [error, setError] = useState(null)
+  const leaders = leadersByPeriod[period]
+
+  useEffect(() => {
+    if (leadersByPeriod[period]) return
+
+    const controller = new AbortController()
+    setError(null)
+    communityAPI.getLeaderboard(period, { signal: controller.signal })
+      .then(result => setLeadersByPeriod(prev => ({ ...prev, [period]: result })))
+      .catch(error => {
+        if (error.cancelled) return
+        console.warn('⚠️ Could not load leaderboard:', error.message)
+        setError(error)
+      })
+
+    return () => controller.abort()
+  }, [period, leadersByPeriod])
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-4 space-y-0">
+        <CardTitle className="flex items-center text-lg">
+          <Trophy className="h-5 w-5 mr-2 text-yellow-500" />
+          Top Contributors
+        </CardTitle>
+        <Tabs value={period} onValueChange={setPeriod} className="w-auto">
+          <TabsList>
+            {LEADERBOARD_PERIODS.map(option => (
+              <TabsTrigger key={option.value} value={option.value}>{option.label}</TabsTrigger>
+            ))}
+          </TabsList>
+        </Tabs>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <p className="text-sm text-gray-500 text-center py-4">The leaderboard is not available right now</p>
+        ) : !leaders ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 text-gray-400 animate-spin" />
+          </div>
+        ) : leaders.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No reputation earned in this period yet</p>
+        ) : (
+          <ol className="grid sm:grid-cols-2 lg:grid-cols-5 gap-4">
+            {leaders.map((leader, index) => (
+              <li key={leader.uid} className="flex items-center gap-3 min-w-0">
+                <span className={`w-5 text-center font-bold ${RANK_COLORS[index] || 'text-gray-500'}`}>
+                  {index + 1}
+                </span>
+                <Avatar className="h-9 w-9">
+                  <AvatarImage src={leader.avatarUrl} />
+                  <AvatarFallback>{leader.displayName?.[0] || 'U'}</AvatarFallback>
+                </Avatar>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    <AuthorLink author={leader} />
+                  </p>
+                  <div className="flex items-center gap-2 mt-0.5">
+                    <ReputationBadge reputation={leader.reputation} className="text-xs" />
+                    <span className="text-xs text-gray-500">+{leader.points || 0}</span>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,136 @@
+// src/components/community/ReportDialog.jsx - Report a solution or comment to the moderators
+
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { X, Flag, Loader2 } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import { REPORT_REASONS } from '@/lib/utils/community'
+
+const MAX_DETAILS_LENGTH = 500
+
+/**
+ * ReportDialog Component
+ * `target` is `{ solutionId }` for a solution or `{ solutionId, commentId }`
+ * for a comment. Reports go to the moderation queue.
+ */
+export const ReportDialog = ({ isOpen, target, onClose }) => {
+  const [reason, setReason] = useState(null)
+  const [details, setDetails] = useState('')
+  const [isSending, setIsSending] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      setReason(null)
+      setDetails('')
+    }
+  }, [isOpen])
+
+  const isComment = !!target?.commentId
+  // "Something else" means nothing without an explanation
+  const canSend = !!reason && (reason !== 'other' || !!details.trim())
+
+  const send = async () => {
+    const reportData = { reason, details: details.trim() || undefined }
+    setIsSending(true)
+    try {
+      if (isComment) {
+        await communityAPI.reportComment(target.solutionId, target.commentId, reportData)
+      } else {
+        await communityAPI.reportSolution(target.solutionId, reportData)
+      }
+      toast.success('Thanks, a moderator will review this')
+      onClose()
+    } catch (error) {
+      if (error.status === 409) {
+        toast('You have already reported this')
+        onClose()
+        return
+      }
+      console.error('Failed to send report:', error)
+      toast.error(getErrorMessage(error))
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && target && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-md"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Flag className="h-5 w-5 mr-2 text-red-600" />
+                Report {isComment ? 'Comment' : 'Solution'}
+              </h2>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-4">
+              <fieldset className="space-y-2">
+                <legend className="text-sm text-gray-600 mb-2">What's wrong with this {isComment ? 'comment' : 'solution'}?</legend>
+                {REPORT_REASONS.map(option => (
+                  <label
+                    key={option.value}
+                    className={`flex items-center gap-3 border rounded-md px-3 py-2 text-sm cursor-pointer ${
+                      reason === option.value ? 'border-blue-500 bg-blue-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={option.value}
+                      checked={reason === option.value}
+                      onChange={() => setReason(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </fieldset>
+
+              <div className="space-y-2">
+                <Label htmlFor="report-details">
+                  Details {reason !== 'other' && <span className="text-gray-500 font-normal">(optional)</span>}
+                </Label>
+                <Textarea
+                  id="report-details"
+                  value={details}
+                  onChange={(e) => setDetails(e.target.value)}
+                  placeholder="Help the moderators understand the problem"
+                  maxLength={MAX_DETAILS_LENGTH}
+                  className="min-h-[80px]"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <Button variant="outline" onClick={onClose} disabled={isSending}>Cancel</Button>
+              <Button variant="destructive" onClick={send} disabled={isSending || !canSend}>
+                {isSending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Send Report
+              </Button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -0,0 +1,27 @@
+// src/components/community/ReputationBadge.jsx - Level badge for a user's reputation
+
+import React from 'react'
+import { Award } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+import { getReputationLevel } from '@/lib/utils/reputation'
+
+/**
+ * ReputationBadge Component
+ * Shows the level a reputation has reached. With `showPoints` the points
+ * are shown as well; otherwise they are in the tooltip.
+ */
+export const ReputationBadge = ({ reputation = 0, showPoints = false, className = '' }) => {
+  const level = getReputationLevel(reputation)
+
+  return (
+    <Badge
+      variant="secondary"
+      className={`${level.color} ${className}`}
+      title={`${reputation} reputation`}
+    >
+      <Award className="h-3 w-3 mr-1" />
+      {level.name}
+      {showPoints && <span className="ml-1 font-normal">· {reputation}</span>}
+    </Badge>
+  )
+}
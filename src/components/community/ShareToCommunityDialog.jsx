@@ -0,0 +1,213 @@
+// src/components/community/ShareToCommunityDialog.jsx - Publish an analysis as a community solution
+
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { X, Users, Loader2, ArrowLeft, Eye } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { useAuth } from '@/contexts/AuthContext'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import {
+  DIFFICULTIES,
+  draftToSolutionData,
+  toCommunityCategory,
+  validateSolutionData
+} from '@/lib/utils/community'
+import { parseSearchQuery } from '@/lib/utils/communitySearch'
+import { SolutionCard } from '@/components/community/SolutionCard'
+import { SolutionFormFields } from '@/components/community/SolutionFormFields'
+
+// Fields that come from the chosen solution
+const solutionFields = (result, index, feedback) => {
+  const solution = result.solutions?.[index] || {}
+  const solutionId = solution.id ?? String(index)
+  return {
+    solutionIndex: index,
+    description: solution.description || result.summary || '',
+    difficulty: DIFFICULTIES.includes(solution.difficulty) ? solution.difficulty : 'Medium',
+    steps: (solution.steps || []).join('\n'),
+    whatWorked: feedback[solutionId]?.notes || ''
+  }
+}
+
+const buildDraft = (result, feedback) => {
+  // Prefer the solution the user reported as working
+  const workedIndex = (result.solutions || []).findIndex((solution, index) =>
+    feedback[solution.id ?? String(index)]?.outcome === 'worked'
+  )
+
+  return {
+    title: result.title || result.solutions?.[0]?.title || '',
+    category: toCommunityCategory(result.category) || 'Application',
+    tags: [...new Set([...(result.tags || []), ...parseSearchQuery(result.detected_text).codes.slice(0, 3)])].join(', '),
+    ...solutionFields(result, Math.max(workedIndex, 0), feedback)
+  }
+}
+
+/**
+ * ShareToCommunityDialog Component
+ * Pre-fills a community solution from the analysis, lets the user edit it
+ * and add what actually worked, and previews the card before publishing.
+ */
+export const ShareToCommunityDialog = ({ isOpen, result, feedback = {}, onClose }) => {
+  const { user, userProfile, trackSolutionShared } = useAuth()
+  const [draft, setDraft] = useState(() => buildDraft(result, feedback))
+  const [showPreview, setShowPreview] = useState(false)
+  const [isPublishing, setIsPublishing] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(buildDraft(result, feedback))
+      setShowPreview(false)
+    }
+  }, [isOpen, result, feedback])
+
+  const updateDraft = (name, value) => {
+    setDraft(prev => ({ ...prev, [name]: value }))
+  }
+
+  const solutionData = { ...draftToSolutionData(draft), analysisId: result.analysis_id }
+  const validationError = validateSolutionData(solutionData)
+
+  const publish = async () => {
+    setIsPublishing(true)
+    try {
+      await communityAPI.shareSolution(solutionData)
+      await trackSolutionShared()
+      toast.success('Shared with the community. Thank you!')
+      onClose()
+    } catch (error) {
+      console.error('Failed to share solution:', error)
+      toast.error(getErrorMessage(error))
+    } finally {
+      setIsPublishing(false)
+    }
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[95vh] flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Users className="h-5 w-5 mr-2 text-blue-600" />
+                {showPreview ? 'Preview' : 'Share with Community'}
+              </h2>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+              {showPreview ? (
+                <>
+                  <div className="max-w-sm mx-auto">
+                    <SolutionCard
+                      preview
+                      solution={{
+                        ...solutionData,
+                        id: 'preview',
+                        author: {
+                          displayName: userProfile?.displayName || user?.email,
+                          avatarUrl: userProfile?.avatarUrl
+                        },
+                        createdAt: new Date().toISOString()
+                      }}
+                    />
+                  </div>
+                  <div className="text-sm space-y-2">
+                    <h4 className="font-medium text-gray-900">Steps</h4>
+                    <ol className="list-decimal list-inside space-y-1 text-gray-700">
+                      {solutionData.steps.map((step, index) => (
+                        <li key={index}>{step}</li>
+                      ))}
+                    </ol>
+                    {solutionData.whatWorked && (
+                      <>
+                        <h4 className="font-medium text-gray-900 pt-2">What worked</h4>
+                        <p className="text-gray-700 whitespace-pre-wrap">{solutionData.whatWorked}</p>
+                      </>
+                    )}
+                  </div>
+                </>
+              ) : (
+                <>
+                  {result.solutions?.length > 1 && (
+                    <div className="space-y-2">
+                      <Label>Solution to share</Label>
+                      <Select
+                        value={String(draft.solutionIndex)}
+                        onValueChange={(value) => setDraft(prev => ({
+                          ...prev,
+                          ...solutionFields(result, Number(value), feedback)
+                        }))}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {result.solutions.map((solution, index) => (
+                            <SelectItem key={index} value={String(index)}>{solution.title}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+
+                  <SolutionFormFields draft={draft} onChange={updateDraft} idPrefix="share" />
+                </>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between gap-2 p-4 border-t">
+              <p className="text-sm text-red-600">{!showPreview && validationError}</p>
+              <div className="flex gap-2">
+                {showPreview ? (
+                  <>
+                    <Button variant="outline" onClick={() => setShowPreview(false)} disabled={isPublishing}>
+                      <ArrowLeft className="h-4 w-4 mr-2" />
+                      Edit
+                    </Button>
+                    <Button onClick={publish} disabled={isPublishing}>
+                      {isPublishing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                      Publish
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <Button variant="outline" onClick={onClose}>Cancel</Button>
+                    <Button onClick={() => setShowPreview(true)} disabled={!!validationError}>
+                      <Eye className="h-4 w-4 mr-2" />
+                      Preview
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -0,0 +1,176 @@
+// src/components/community/SolutionCard.jsx - Card for a community solution
+
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
+import { MessageSquare, Bookmark, ThumbsUp, Flag } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import { Button } from '@/components/ui/button'
+import { Card, CardHeader, CardContent, CardFooter } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
+import { ReportDialog } from '@/components/community/ReportDialog'
+import { ReputationBadge } from '@/components/community/ReputationBadge'
+import { AuthorLink } from '@/components/community/AuthorLink'
+import { useAuth } from '@/contexts/AuthContext'
+import { getDifficultyColor } from '@/lib/utils/community'
+import { getHighlightParts } from '@/lib/utils/communitySearch'
+
+// Text with search matches marked
+const Highlighted = ({ text, terms }) => (
+  <>
+    {getHighlightParts(text, terms).map((part, index) => part.match ? (
+      <mark key={index} className="bg-yellow-100 text-inherit rounded-sm px-0.5">{part.text}</mark>
+    ) : (
+      <React.Fragment key={index}>{part.text}</React.Fragment>
+    ))}
+  </>
+)
+
+/**
+ * SolutionCard Component
+ * A community solution in a grid. With `preview` the card is inert, e.g.
+ * to show how a solution will look before it is published. Search results
+ * highlight `highlightTerms` and show the matching snippet when there is one.
+ * Other people's solutions can be reported to the moderators from the card.
+ */
+export const SolutionCard = ({ solution, onVote, onBookmark, preview = false, highlightTerms = [] }) => {
+  const navigate = useNavigate()
+  const { user } = useAuth()
+  const [isReportOpen, setIsReportOpen] = useState(false)
+  const terms = solution.highlight?.terms?.length ? solution.highlight.terms : highlightTerms
+  const snippet = solution.highlight?.snippet
+  const openSolution = () => {
+    if (!preview) navigate(`/community/${solution.id}`)
+  }
+  const canReport = !preview && (!user || solution.author?.uid !== user.uid)
+
+  const openReport = (e) => {
+    e.stopPropagation()
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('showSignInModal'))
+      return
+    }
+    setIsReportOpen(true)
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <Card className={`h-full flex flex-col transition-shadow ${preview ? '' : 'hover:shadow-lg cursor-pointer'}`}>
+        <CardHeader onClick={openSolution}>
+          <div className="flex items-start justify-between mb-2">
+            <Badge variant="secondary" className={getDifficultyColor(solution.difficulty)}>
+              {solution.difficulty}
+            </Badge>
+            <Badge variant="outline">{solution.category}</Badge>
+          </div>
+          <h3 className="text-lg font-semibold line-clamp-2">
+            <Highlighted text={solution.title} terms={terms} />
+          </h3>
+          <p className="text-sm text-gray-600 line-clamp-2 mt-1">
+            <Highlighted text={snippet || solution.description} terms={terms} />
+          </p>
+        </CardHeader>
+        
+        <CardContent className="flex-1" onClick={openSolution}>
+          <div className="flex items-center gap-4 text-sm text-gray-500">
+            <div className="flex items-center gap-1">
+              <ThumbsUp className="h-4 w-4" />
+              <span>{solution.upvoteCount || 0}</span>
+            </div>
+            <div className="flex items-center gap-1">
+              <MessageSquare className="h-4 w-4" />
+              <span>{solution.commentCount || 0}</span>
+            </div>
+            <div className="flex items-center gap-1">
+              <Bookmark className="h-4 w-4" />
+              <span>{solution.bookmarkCount || 0}</span>
+            </div>
+          </div>
+          
+          {solution.tags && solution.tags.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-3">
+              {solution.tags.slice(0, 3).map((tag, index) => (
+                <Badge key={index} variant="outline" className="text-xs">
+                  {tag}
+                </Badge>
+              ))}
+            </div>
+          )}
+        </CardContent>
+        
+        <CardFooter className="border-t pt-4">
+          <div className="flex items-center justify-between w-full">
+            <div className="flex items-center gap-2">
+              <Avatar className="h-8 w-8">
+                <AvatarImage src={solution.author?.avatarUrl} />
+                <AvatarFallback>
+                  {solution.author?.displayName?.[0] || 'U'}
+                </AvatarFallback>
+              </Avatar>
+              <div>
+                <p className="text-sm font-medium flex items-center gap-1">
+                  {preview ? solution.author?.displayName : <AuthorLink author={solution.author} />}
+                  {solution.author?.reputation != null && (
+                    <ReputationBadge reputation={solution.author.reputation} className="text-[10px] px-1.5 py-0" />
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDistanceToNow(new Date(solution.createdAt), { addSuffix: true })}
+                </p>
+              </div>
+            </div>
+            
+            <div className="flex gap-1">
+              <Button
+                size="icon"
+                variant={solution.userVote?.isUpvote ? "default" : "ghost"}
+                className="h-8 w-8"
+                disabled={preview}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onVote(solution.id, true)
+                }}
+              >
+                <ThumbsUp className="h-4 w-4" />
+              </Button>
+              <Button
+                size="icon"
+                variant={solution.isBookmarked ? "default" : "ghost"}
+                className="h-8 w-8"
+                disabled={preview}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onBookmark(solution.id)
+                }}
+              >
+                <Bookmark className="h-4 w-4" />
+              </Button>
+              {canReport && (
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-8 w-8 text-gray-400 hover:text-red-600"
+                  title="Report"
+                  onClick={openReport}
+                >
+                  <Flag className="h-4 w-4" />
+                </Button>
+              )}
+            </div>
+          </div>
+        </CardFooter>
+      </Card>
+
+      <ReportDialog
+        isOpen={isReportOpen}
+        target={{ solutionId: solution.id }}
+        onClose={() => setIsReportOpen(false)}
+      />
+    </motion.div>
+  )
+}
@@ -0,0 +1,109 @@
+// src/components/community/SolutionFormFields.jsx - Editable fields of a community solution
+
+import React from 'react'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { COMMUNITY_CATEGORIES, DIFFICULTIES } from '@/lib/utils/community'
+
+/**
+ * SolutionFormFields Component
+ * Used both when sharing a new solution and when editing one already
+ * published. `onChange(name, value)` updates a single draft field.
+ */
+export const SolutionFormFields = ({ draft, onChange, idPrefix = 'solution' }) => {
+  return (
+    <>
+      <div className="space-y-2">
+        <Label htmlFor={`${idPrefix}-title`}>Title</Label>
+        <Input
+          id={`${idPrefix}-title`}
+          value={draft.title}
+          onChange={(e) => onChange('title', e.target.value)}
+          maxLength={120}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor={`${idPrefix}-description`}>Description</Label>
+        <Textarea
+          id={`${idPrefix}-description`}
+          value={draft.description}
+          onChange={(e) => onChange('description', e.target.value)}
+          className="min-h-[80px]"
+          maxLength={1000}
+        />
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Category</Label>
+          <Select value={draft.category} onValueChange={(value) => onChange('category', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {COMMUNITY_CATEGORIES.map(category => (
+                <SelectItem key={category} value={category}>{category}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Difficulty</Label>
+          <Select value={draft.difficulty} onValueChange={(value) => onChange('difficulty', value)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {DIFFICULTIES.map(difficulty => (
+                <SelectItem key={difficulty} value={difficulty}>{difficulty}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor={`${idPrefix}-tags`}>Tags</Label>
+        <Input
+          id={`${idPrefix}-tags`}
+          value={draft.tags}
+          onChange={(e) => onChange('tags', e.target.value)}
+          placeholder="windows, bsod, 0x0000003b"
+        />
+        <p className="text-xs text-gray-500">Separate tags with commas</p>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor={`${idPrefix}-steps`}>Steps</Label>
+        <Textarea
+          id={`${idPrefix}-steps`}
+          value={draft.steps}
+          onChange={(e) => onChange('steps', e.target.value)}
+          className="min-h-[120px] text-sm"
+        />
+        <p className="text-xs text-gray-500">One step per line</p>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor={`${idPrefix}-worked`}>What actually worked (optional)</Label>
+        <Textarea
+          id={`${idPrefix}-worked`}
+          value={draft.whatWorked}
+          onChange={(e) => onChange('whatWorked', e.target.value)}
+          placeholder="e.g. Step 3 alone fixed it after a reboot"
+          className="min-h-[60px]"
+          maxLength={1000}
+        />
+      </div>
+    </>
+  )
+}
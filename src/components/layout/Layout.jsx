@@ -7,6 +7,8 @@ import { SignInModal } from '@/components/auth/SignInModal'
 import { UserMenu } from '@/components/auth/UserMenu'
 import { DevelopmentBanner } from '@/components/common/DevelopmentBanner'
 import { testConnection } from '@/lib/api'
+import { useOfflineQueue } from '@/hooks/useOfflineQueue'
+import toast from 'react-hot-toast'
 import { 
   Zap, Menu, X, Home, Upload, Crown, Wifi, WifiOff,
   User, Mail, CheckCircle, AlertCircle, Loader2,
@@ -55,6 +57,27 @@ export const Layout = ({ children }) => {
     return () => window.removeEventListener('showSignInModal', handleShowSignIn)
   }, [])
 
+  // Send analyses queued while the backend was unreachable
+  useOfflineQueue((item, result) => {
+    toast.success((t) => (
+      <span className="flex items-center gap-3">
+        <span>Your queued analysis{item.title ? ` of "${item.title}"` : ''} is ready</span>
+        {result?.analysis_id && (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => {
+              toast.dismiss(t.id)
+              navigate(`/analysis/${result.analysis_id}`)
+            }}
+          >
+            View
+          </Button>
+        )}
+      </span>
+    ), { duration: 10000 })
+  })
+
   // Close mobile menu on route change
   useEffect(() => {
     setMobileMenuOpen(false)
@@ -0,0 +1,120 @@
+// src/components/upload/AnalysisProgress.jsx - Live stages and solutions of a running analysis
+
+import React from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { CheckCircle, Circle, Loader2, X, Lightbulb } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Progress } from '@/components/ui/progress'
+import { ANALYSIS_STAGES } from '@/lib/api'
+
+/**
+ * AnalysisProgress Component
+ * `stages` maps a stage id to { status: 'active' | 'done', progress };
+ * `partial` holds whatever the server has streamed so far (title, category, solutions).
+ */
+export const AnalysisProgress = ({ stages, partial, isCancelling = false, onCancel }) => {
+  const solutions = partial?.solutions || []
+
+  // Each stage is an equal share of the bar
+  const progress = ANALYSIS_STAGES.reduce((total, stage) => {
+    const state = stages[stage.id]
+    if (state?.status === 'done') return total + 100 / ANALYSIS_STAGES.length
+    if (state?.status === 'active') return total + ((state.progress || 0) * 100) / ANALYSIS_STAGES.length
+    return total
+  }, 0)
+
+  return (
+    <Card>
+      <CardContent className="p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Analyzing Your Error...
+            </h3>
+            {partial?.title ? (
+              <p className="text-gray-600">
+                {partial.title}
+                {partial.category && (
+                  <Badge variant="outline" className="ml-2">{partial.category}</Badge>
+                )}
+              </p>
+            ) : (
+              <p className="text-gray-600">Our AI is examining your error and finding solutions</p>
+            )}
+          </div>
+          <Button variant="outline" size="sm" onClick={onCancel} disabled={isCancelling}>
+            {isCancelling ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <X className="h-4 w-4 mr-2" />
+            )}
+            Cancel
+          </Button>
+        </div>
+
+        <Progress value={progress} />
+
+        <ol className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          {ANALYSIS_STAGES.map(stage => {
+            const status = stages[stage.id]?.status
+            return (
+              <li
+                key={stage.id}
+                className={`flex items-center text-sm ${
+                  status === 'done' ? 'text-green-700' : status === 'active' ? 'text-blue-700 font-medium' : 'text-gray-400'
+                }`}
+              >
+                {status === 'done' ? (
+                  <CheckCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+                ) : status === 'active' ? (
+                  <Loader2 className="h-4 w-4 mr-2 flex-shrink-0 animate-spin" />
+                ) : (
+                  <Circle className="h-4 w-4 mr-2 flex-shrink-0" />
+                )}
+                <span>
+                  {stage.label}
+                  {status === 'active' && stages[stage.id].total > 0 && (
+                    <span className="block text-xs font-normal text-gray-500">
+                      {(stages[stage.id].loaded / 1024 / 1024).toFixed(1)} / {(stages[stage.id].total / 1024 / 1024).toFixed(1)} MB
+                    </span>
+                  )}
+                </span>
+              </li>
+            )
+          })}
+        </ol>
+
+        {solutions.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium text-gray-700">Solutions found so far</h4>
+            <AnimatePresence initial={false}>
+              {solutions.map((solution, index) => (
+                <motion.div
+                  key={solution.id || index}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="flex items-start p-3 rounded-md border bg-gray-50"
+                >
+                  <Lightbulb className="h-4 w-4 mr-2 mt-0.5 text-yellow-500 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">{solution.title}</p>
+                    {solution.description && (
+                      <p className="text-xs text-gray-600 line-clamp-2">{solution.description}</p>
+                    )}
+                  </div>
+                  {solution.difficulty && (
+                    <Badge variant="secondary" className="ml-auto text-xs flex-shrink-0">
+                      {solution.difficulty}
+                    </Badge>
+                  )}
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,120 @@
+// src/components/upload/DetectedTextPanel.jsx - Editable OCR text for each screenshot
+
+import React from 'react'
+import { ScanText, Loader2, RefreshCw, AlertTriangle } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Progress } from '@/components/ui/progress'
+import { Textarea } from '@/components/ui/textarea'
+
+/**
+ * DetectedTextPanel Component
+ * Lets the user read text out of their screenshots on-device and correct
+ * OCR mistakes (e.g. 0x0000003B read as 0x000003B) before analysis.
+ */
+export const DetectedTextPanel = ({
+  screenshots,
+  disabled = false,
+  onExtract,
+  onRetry,
+  onTextChange
+}) => {
+  const pending = screenshots.filter(shot => !shot.ocr || shot.ocr.status === 'failed')
+  const isRunning = screenshots.some(shot => shot.ocr?.status === 'running')
+
+  return (
+    <Card className="bg-gray-50">
+      <CardContent className="p-4 space-y-4">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 flex items-center">
+              <ScanText className="h-4 w-4 mr-2" />
+              Error Text (Optional)
+            </h3>
+            <p className="text-xs text-gray-500 mt-1">
+              Text is read on your device. Fix any misread error codes before analysing.
+            </p>
+          </div>
+          {pending.length > 0 && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={onExtract}
+              disabled={disabled || isRunning}
+            >
+              {isRunning ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <ScanText className="h-4 w-4 mr-2" />
+              )}
+              Extract Text
+            </Button>
+          )}
+        </div>
+
+        {screenshots.filter(shot => shot.ocr).map(shot => {
+          const index = screenshots.indexOf(shot)
+          return (
+            <div key={shot.id} className="space-y-2">
+              <div className="flex items-center justify-between text-xs">
+                <span className="font-medium text-gray-700 truncate">
+                  Screenshot #{index + 1}{shot.caption ? ` – ${shot.caption}` : ''}
+                </span>
+                <div className="flex gap-2 flex-shrink-0 ml-2">
+                  {shot.ocr.status === 'done' && shot.ocr.edited && (
+                    <Badge variant="outline" className="text-xs">Corrected</Badge>
+                  )}
+                  {shot.ocr.status === 'done' && (
+                    <Badge
+                      variant="secondary"
+                      className={`text-xs ${shot.ocr.confidence < 70 ? 'text-orange-700' : ''}`}
+                    >
+                      {Math.round(shot.ocr.confidence)}% confidence
+                    </Badge>
+                  )}
+                </div>
+              </div>
+
+              {shot.ocr.status === 'running' && (
+                <div className="flex items-center gap-3">
+                  <Loader2 className="h-4 w-4 text-blue-500 animate-spin" />
+                  <Progress value={shot.ocr.progress * 100} className="flex-1" />
+                </div>
+              )}
+
+              {shot.ocr.status === 'done' && (
+                <Textarea
+                  value={shot.ocr.text}
+                  onChange={(e) => onTextChange(shot.id, e.target.value)}
+                  placeholder="No text found in this screenshot"
+                  className="min-h-[80px] font-mono text-xs bg-white"
+                  maxLength={5000}
+                  disabled={disabled}
+                />
+              )}
+
+              {shot.ocr.status === 'failed' && (
+                <div className="flex items-center justify-between text-xs text-orange-700">
+                  <span className="flex items-center">
+                    <AlertTriangle className="h-3 w-3 mr-1" />
+                    Could not read text from this screenshot
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => onRetry(shot.id)}
+                    disabled={disabled}
+                  >
+                    <RefreshCw className="h-3 w-3 mr-1" />
+                    Retry
+                  </Button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,151 @@
+// src/components/upload/ErrorTextInput.jsx - Paste error text or upload a log file
+
+import React, { useRef, useState } from 'react'
+import toast from 'react-hot-toast'
+import { Terminal, FileText, Upload, X, Scissors } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  TEXT_FILE_EXTENSIONS,
+  MAX_TEXT_LENGTH,
+  readTextFile,
+  trimToTail
+} from '@/lib/utils/textProcessor'
+
+/**
+ * ErrorTextInput Component
+ * Terminal output, stack traces and log files. Long files and pastes keep
+ * only their tail, since that is where the failure is usually reported.
+ */
+export const ErrorTextInput = ({ value, source, disabled = false, onChange }) => {
+  const fileInputRef = useRef(null)
+  const [dragOver, setDragOver] = useState(false)
+
+  const loadFile = async (file) => {
+    try {
+      const result = await readTextFile(file)
+      onChange(result.text, {
+        name: file.name,
+        size: file.size,
+        truncated: result.truncated,
+        removedLines: result.removedLines
+      })
+      if (result.truncated) {
+        toast(`Kept the last ${MAX_TEXT_LENGTH.toLocaleString()} characters of ${file.name}`, { icon: '✂️' })
+      } else {
+        toast.success(`Loaded ${file.name}`)
+      }
+    } catch (error) {
+      console.error('Failed to read text file:', error)
+      toast.error(error.message)
+    }
+  }
+
+  // Edits keep the file name and trimming note of the text they change
+  const handleTextChange = (text) => {
+    onChange(text, text ? source : null)
+  }
+
+  // Long text is trimmed once, as it comes in; typing is capped by maxLength
+  const handlePaste = (event) => {
+    const { selectionStart, selectionEnd } = event.target
+    const pasted = event.clipboardData.getData('text').replace(/\r\n/g, '\n')
+    const text = value.slice(0, selectionStart) + pasted + value.slice(selectionEnd)
+    if (text.length <= MAX_TEXT_LENGTH) return
+
+    event.preventDefault()
+    const result = trimToTail(text)
+    onChange(result.text, { name: 'Pasted text', truncated: true, removedLines: result.removedLines })
+    toast(`Kept the last ${MAX_TEXT_LENGTH.toLocaleString()} characters`, { icon: '✂️' })
+  }
+
+  const handleFileSelect = (event) => {
+    const file = event.target.files?.[0]
+    if (file) loadFile(file)
+    event.target.value = ''
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setDragOver(false)
+    const file = event.dataTransfer.files?.[0]
+    if (file && !disabled) loadFile(file)
+  }
+
+  return (
+    <div className="space-y-3">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={TEXT_FILE_EXTENSIONS.join(',')}
+        onChange={handleFileSelect}
+        className="sr-only"
+        disabled={disabled}
+      />
+
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragOver(true) }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+        className={`rounded-xl border-2 border-dashed transition-colors ${
+          dragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+        }`}
+      >
+        <div className="flex items-center justify-between px-4 py-2 border-b border-dashed border-gray-300">
+          <span className="text-sm font-medium text-gray-700 flex items-center">
+            <Terminal className="h-4 w-4 mr-2" />
+            Error output
+          </span>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled}
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Upload .txt / .log / .json
+          </Button>
+        </div>
+        <Textarea
+          value={value}
+          onChange={(e) => handleTextChange(e.target.value)}
+          onPaste={handlePaste}
+          maxLength={MAX_TEXT_LENGTH}
+          placeholder="Paste the error message, stack trace or terminal output here, or drop a log file..."
+          className="min-h-[240px] font-mono text-xs border-0 shadow-none focus-visible:ring-0 rounded-none rounded-b-xl"
+          disabled={disabled}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+        <div className="flex flex-wrap items-center gap-2">
+          {source?.size != null && (
+            <Badge variant="outline" className="text-xs">
+              <FileText className="h-3 w-3 mr-1" />
+              {source.name} • {(source.size / 1024).toFixed(1)} KB
+            </Badge>
+          )}
+          {source?.truncated && (
+            <Badge variant="secondary" className="text-xs">
+              <Scissors className="h-3 w-3 mr-1" />
+              {source.removedLines} earlier lines trimmed
+            </Badge>
+          )}
+          {value && (
+            <button
+              type="button"
+              onClick={() => onChange('', null)}
+              className="flex items-center text-gray-500 hover:text-gray-700"
+              disabled={disabled}
+            >
+              <X className="h-3 w-3 mr-1" />
+              Clear
+            </button>
+          )}
+        </div>
+        <span>{value.length.toLocaleString()}/{MAX_TEXT_LENGTH.toLocaleString()}</span>
+      </div>
+    </div>
+  )
+}
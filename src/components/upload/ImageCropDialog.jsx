@@ -0,0 +1,151 @@
+// src/components/upload/ImageCropDialog.jsx - Select the part of a capture to keep
+
+import React, { useState, useRef, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, Crop, Maximize } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+
+/**
+ * ImageCropDialog Component
+ * Lets the user drag a rectangle over an image. `onConfirm` receives the
+ * rectangle in natural image pixels, or null to keep the whole image.
+ */
+export const ImageCropDialog = ({ isOpen, file, title = 'Crop Screenshot', onConfirm, onCancel }) => {
+  const [imageUrl, setImageUrl] = useState(null)
+  const [selection, setSelection] = useState(null)
+  const imageRef = useRef(null)
+  const dragStartRef = useRef(null)
+
+  useEffect(() => {
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    setImageUrl(url)
+    setSelection(null)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  const getPoint = (event) => {
+    const bounds = imageRef.current.getBoundingClientRect()
+    return {
+      x: Math.min(Math.max(event.clientX - bounds.left, 0), bounds.width),
+      y: Math.min(Math.max(event.clientY - bounds.top, 0), bounds.height)
+    }
+  }
+
+  const handlePointerDown = (event) => {
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    dragStartRef.current = getPoint(event)
+    setSelection({ ...dragStartRef.current, width: 0, height: 0 })
+  }
+
+  const handlePointerMove = (event) => {
+    if (!dragStartRef.current) return
+    const start = dragStartRef.current
+    const point = getPoint(event)
+    setSelection({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    })
+  }
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null
+    // Treat a click without a drag as "no selection"
+    setSelection(prev => (prev && prev.width > 5 && prev.height > 5 ? prev : null))
+  }
+
+  const handleConfirm = () => {
+    if (!selection || !imageRef.current) {
+      onConfirm(null)
+      return
+    }
+
+    const img = imageRef.current
+    const scale = img.naturalWidth / img.clientWidth
+    onConfirm({
+      x: selection.x * scale,
+      y: selection.y * scale,
+      width: selection.width * scale,
+      height: selection.height * scale
+    })
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={onCancel}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between p-4 border-b">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+                <p className="text-sm text-gray-600">Drag over the part of the screen that shows the error</p>
+              </div>
+              <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-auto p-4 bg-gray-100 flex items-center justify-center">
+              {imageUrl && (
+                <div
+                  className="relative inline-block select-none cursor-crosshair touch-none"
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                >
+                  <img
+                    ref={imageRef}
+                    src={imageUrl}
+                    alt="Captured screen"
+                    className="max-w-full max-h-[60vh] block"
+                    draggable={false}
+                  />
+                  {selection && (
+                    <div
+                      className="absolute border-2 border-blue-500 bg-blue-500/10 shadow-[0_0_0_9999px_rgba(0,0,0,0.4)] pointer-events-none"
+                      style={{
+                        left: selection.x,
+                        top: selection.y,
+                        width: selection.width,
+                        height: selection.height
+                      }}
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <Button variant="outline" onClick={onCancel}>
+                Cancel
+              </Button>
+              <Button variant="outline" onClick={() => onConfirm(null)}>
+                <Maximize className="h-4 w-4 mr-2" />
+                Use Full Image
+              </Button>
+              <Button onClick={handleConfirm} disabled={!selection}>
+                <Crop className="h-4 w-4 mr-2" />
+                Crop & Add
+              </Button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
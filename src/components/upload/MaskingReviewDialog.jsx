@@ -0,0 +1,164 @@
+// src/components/upload/MaskingReviewDialog.jsx - Review automatically masked regions
+
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, ShieldCheck, Eye, EyeOff } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { obscureText } from '@/lib/utils/piiDetector'
+
+/**
+ * MaskingReviewDialog Component
+ * Shows the unmasked screenshot with every detected region outlined.
+ * Masked regions are drawn black; clicking a region toggles it.
+ */
+export const MaskingReviewDialog = ({ isOpen, file, regions = [], onSave, onCancel }) => {
+  const [imageUrl, setImageUrl] = useState(null)
+  const [naturalSize, setNaturalSize] = useState(null)
+  const [draft, setDraft] = useState(regions)
+
+  useEffect(() => {
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    setImageUrl(url)
+    setNaturalSize(null)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  useEffect(() => {
+    setDraft(regions)
+  }, [regions])
+
+  const toggleRegion = (id) => {
+    setDraft(prev => prev.map(region => (
+      region.id === id ? { ...region, masked: !region.masked } : region
+    )))
+  }
+
+  const setAll = (masked) => {
+    setDraft(prev => prev.map(region => ({ ...region, masked })))
+  }
+
+  const maskedCount = draft.filter(r => r.masked).length
+
+  return (
+    <AnimatePresence>
+      {isOpen && file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={onCancel}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[95vh] flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between p-4 border-b">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <ShieldCheck className="h-5 w-5 mr-2 text-green-600" />
+                  Review Masked Information
+                </h2>
+                <p className="text-sm text-gray-600">
+                  Click a region to unmask it if the AI needs to see it. Only masked regions are hidden from the analysis.
+                </p>
+              </div>
+              <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-auto grid md:grid-cols-3 gap-4 p-4">
+              {/* Image with regions */}
+              <div className="md:col-span-2 bg-gray-100 rounded-md flex items-center justify-center p-2">
+                {imageUrl && (
+                  <div className="relative inline-block">
+                    <img
+                      src={imageUrl}
+                      alt="Screenshot with detected sensitive information"
+                      className="max-w-full max-h-[60vh] block"
+                      onLoad={(e) => setNaturalSize({
+                        width: e.currentTarget.naturalWidth,
+                        height: e.currentTarget.naturalHeight
+                      })}
+                    />
+                    {naturalSize && (
+                      <svg
+                        className="absolute inset-0 w-full h-full"
+                        viewBox={`0 0 ${naturalSize.width} ${naturalSize.height}`}
+                        preserveAspectRatio="none"
+                      >
+                        {draft.map(region => (
+                          <rect
+                            key={region.id}
+                            x={region.bbox.x}
+                            y={region.bbox.y}
+                            width={region.bbox.width}
+                            height={region.bbox.height}
+                            fill={region.masked ? '#000' : 'rgba(250, 204, 21, 0.15)'}
+                            stroke={region.masked ? '#000' : '#eab308'}
+                            strokeWidth={Math.max(2, naturalSize.width / 400)}
+                            className="cursor-pointer"
+                            onClick={() => toggleRegion(region.id)}
+                          >
+                            <title>{region.label}</title>
+                          </rect>
+                        ))}
+                      </svg>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Region list */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium">
+                    {maskedCount} of {draft.length} masked
+                  </span>
+                  <div className="flex gap-1">
+                    <Button size="sm" variant="ghost" onClick={() => setAll(true)}>Mask all</Button>
+                    <Button size="sm" variant="ghost" onClick={() => setAll(false)}>Unmask all</Button>
+                  </div>
+                </div>
+                {draft.map(region => (
+                  <button
+                    key={region.id}
+                    onClick={() => toggleRegion(region.id)}
+                    className={`w-full flex items-center justify-between p-2 rounded-md border text-left text-sm transition-colors ${
+                      region.masked ? 'bg-gray-50 border-gray-200' : 'bg-yellow-50 border-yellow-300'
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <Badge variant="outline" className="text-xs mb-1">{region.label}</Badge>
+                      <p className="font-mono text-xs text-gray-700 truncate">{obscureText(region.text)}</p>
+                    </div>
+                    {region.masked ? (
+                      <EyeOff className="h-4 w-4 text-gray-600 flex-shrink-0 ml-2" />
+                    ) : (
+                      <Eye className="h-4 w-4 text-yellow-600 flex-shrink-0 ml-2" />
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <Button variant="outline" onClick={onCancel}>
+                Cancel
+              </Button>
+              <Button onClick={() => onSave(draft)}>
+                Apply
+              </Button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -0,0 +1,325 @@
+// src/components/upload/ScreenshotEditor.jsx - Crop, redact and annotate a screenshot before analysis
+
+import React, { useState, useRef, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
+import {
+  X, Crop, Square, EyeOff, Droplets, ArrowUpRight,
+  Undo2, Trash2, Save, Loader2
+} from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { applyImageEdits } from '@/lib/utils/imageProcessor'
+
+const TOOLS = [
+  { id: 'blackout', label: 'Black Out', icon: EyeOff, hint: 'Hide usernames, hostnames and tokens' },
+  { id: 'blur', label: 'Blur', icon: Droplets, hint: 'Blur a region beyond recognition' },
+  { id: 'box', label: 'Box', icon: Square, hint: 'Highlight the important part' },
+  { id: 'arrow', label: 'Arrow', icon: ArrowUpRight, hint: 'Point at the error' },
+  { id: 'crop', label: 'Crop', icon: Crop, hint: 'Keep only the selected area' }
+]
+
+const COLORS = ['#ef4444', '#f59e0b', '#3b82f6']
+
+/**
+ * ScreenshotEditor Component
+ * All shapes are kept in natural image pixels; the SVG overlay uses the
+ * image size as its viewBox so the preview matches the exported file.
+ */
+export const ScreenshotEditor = ({ isOpen, file, onSave, onCancel }) => {
+  const [imageUrl, setImageUrl] = useState(null)
+  const [naturalSize, setNaturalSize] = useState(null)
+  const [tool, setTool] = useState('blackout')
+  const [color, setColor] = useState(COLORS[0])
+  const [shapes, setShapes] = useState([])
+  const [crop, setCrop] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const surfaceRef = useRef(null)
+  const startRef = useRef(null)
+
+  useEffect(() => {
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    setImageUrl(url)
+    setNaturalSize(null)
+    setShapes([])
+    setCrop(null)
+    setDraft(null)
+    return () => URL.revokeObjectURL(url)
+  }, [file])
+
+  const toImagePoint = (event) => {
+    const bounds = surfaceRef.current.getBoundingClientRect()
+    const x = Math.min(Math.max(event.clientX - bounds.left, 0), bounds.width)
+    const y = Math.min(Math.max(event.clientY - bounds.top, 0), bounds.height)
+    return {
+      x: (x / bounds.width) * naturalSize.width,
+      y: (y / bounds.height) * naturalSize.height
+    }
+  }
+
+  const buildShape = (start, end) => {
+    if (tool === 'arrow') {
+      return { type: 'arrow', x1: start.x, y1: start.y, x2: end.x, y2: end.y, color }
+    }
+    return {
+      type: tool,
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y),
+      color
+    }
+  }
+
+  const handlePointerDown = (event) => {
+    if (!naturalSize) return
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    startRef.current = toImagePoint(event)
+  }
+
+  const handlePointerMove = (event) => {
+    if (!startRef.current) return
+    setDraft(buildShape(startRef.current, toImagePoint(event)))
+  }
+
+  const handlePointerUp = (event) => {
+    if (!startRef.current) return
+    const shape = buildShape(startRef.current, toImagePoint(event))
+    startRef.current = null
+    setDraft(null)
+
+    // Ignore accidental clicks
+    const minSize = naturalSize.width / 100
+    const isTiny = shape.type === 'arrow'
+      ? Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < minSize
+      : shape.width < minSize || shape.height < minSize
+    if (isTiny) return
+
+    if (shape.type === 'crop') {
+      setCrop(shape)
+    } else {
+      setShapes(prev => [...prev, shape])
+    }
+  }
+
+  const undo = () => {
+    if (shapes.length > 0) {
+      setShapes(prev => prev.slice(0, -1))
+    } else {
+      setCrop(null)
+    }
+  }
+
+  const clearAll = () => {
+    setShapes([])
+    setCrop(null)
+  }
+
+  const handleSave = async () => {
+    if (shapes.length === 0 && !crop) {
+      onCancel()
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      const edited = await applyImageEdits(file, { shapes, crop })
+      await onSave(edited)
+    } catch (error) {
+      console.error('Failed to apply edits:', error)
+      toast.error(error.message || 'Failed to apply edits')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const strokeWidth = naturalSize
+    ? Math.max(2, Math.round(Math.max(naturalSize.width, naturalSize.height) / 400))
+    : 2
+
+  const renderShape = (shape, key, isDraft = false) => {
+    const opacity = isDraft ? 0.7 : 1
+    switch (shape.type) {
+      case 'blackout':
+        return <rect key={key} x={shape.x} y={shape.y} width={shape.width} height={shape.height} fill="#000" opacity={opacity} />
+      case 'blur':
+        return (
+          <rect
+            key={key}
+            x={shape.x} y={shape.y} width={shape.width} height={shape.height}
+            fill="rgba(156, 163, 175, 0.85)" stroke="#6b7280" strokeWidth={strokeWidth}
+            strokeDasharray={`${strokeWidth * 3} ${strokeWidth * 2}`} opacity={opacity}
+          />
+        )
+      case 'box':
+        return (
+          <rect
+            key={key}
+            x={shape.x} y={shape.y} width={shape.width} height={shape.height}
+            fill="none" stroke={shape.color} strokeWidth={strokeWidth} opacity={opacity}
+          />
+        )
+      case 'arrow':
+        return (
+          <line
+            key={key}
+            x1={shape.x1} y1={shape.y1} x2={shape.x2} y2={shape.y2}
+            stroke={shape.color} strokeWidth={strokeWidth} strokeLinecap="round"
+            markerEnd={`url(#arrowhead-${shape.color.slice(1)})`} opacity={opacity}
+          />
+        )
+      case 'crop':
+        return (
+          <rect
+            key={key}
+            x={shape.x} y={shape.y} width={shape.width} height={shape.height}
+            fill="none" stroke="#3b82f6" strokeWidth={strokeWidth}
+            strokeDasharray={`${strokeWidth * 4} ${strokeWidth * 2}`}
+          />
+        )
+      default:
+        return null
+    }
+  }
+
+  const activeTool = TOOLS.find(t => t.id === tool)
+
+  return (
+    <AnimatePresence>
+      {isOpen && file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[95vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Edit Screenshot</h2>
+                <p className="text-sm text-gray-600">
+                  Remove private details before the image leaves your browser
+                </p>
+              </div>
+              <button onClick={onCancel} className="text-gray-400 hover:text-gray-600" disabled={isSaving}>
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {/* Toolbar */}
+            <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b bg-gray-50">
+              {TOOLS.map((option) => (
+                <Button
+                  key={option.id}
+                  size="sm"
+                  variant={tool === option.id ? 'default' : 'outline'}
+                  onClick={() => setTool(option.id)}
+                >
+                  <option.icon className="h-4 w-4 mr-1" />
+                  {option.label}
+                </Button>
+              ))}
+
+              {(tool === 'box' || tool === 'arrow') && (
+                <div className="flex items-center gap-1 ml-2">
+                  {COLORS.map(c => (
+                    <button
+                      key={c}
+                      onClick={() => setColor(c)}
+                      className={`h-6 w-6 rounded-full border-2 ${color === c ? 'border-gray-900' : 'border-white'}`}
+                      style={{ backgroundColor: c }}
+                      aria-label={`Use colour ${c}`}
+                    />
+                  ))}
+                </div>
+              )}
+
+              <div className="ml-auto flex gap-2">
+                <Button size="sm" variant="ghost" onClick={undo} disabled={shapes.length === 0 && !crop}>
+                  <Undo2 className="h-4 w-4 mr-1" />
+                  Undo
+                </Button>
+                <Button size="sm" variant="ghost" onClick={clearAll} disabled={shapes.length === 0 && !crop}>
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Clear
+                </Button>
+              </div>
+            </div>
+
+            {/* Canvas */}
+            <div className="flex-1 overflow-auto p-4 bg-gray-100 flex items-center justify-center">
+              {imageUrl && (
+                <div
+                  ref={surfaceRef}
+                  className="relative inline-block select-none cursor-crosshair touch-none"
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                >
+                  <img
+                    src={imageUrl}
+                    alt="Screenshot being edited"
+                    className="max-w-full max-h-[60vh] block"
+                    draggable={false}
+                    onLoad={(e) => setNaturalSize({
+                      width: e.currentTarget.naturalWidth,
+                      height: e.currentTarget.naturalHeight
+                    })}
+                  />
+                  {naturalSize && (
+                    <svg
+                      className="absolute inset-0 w-full h-full pointer-events-none"
+                      viewBox={`0 0 ${naturalSize.width} ${naturalSize.height}`}
+                      preserveAspectRatio="none"
+                    >
+                      <defs>
+                        {COLORS.map(c => (
+                          <marker
+                            key={c}
+                            id={`arrowhead-${c.slice(1)}`}
+                            markerWidth="4" markerHeight="4" refX="2.5" refY="2" orient="auto"
+                          >
+                            <path d="M0,0 L4,2 L0,4 z" fill={c} />
+                          </marker>
+                        ))}
+                      </defs>
+                      {shapes.map((shape, index) => renderShape(shape, index))}
+                      {crop && renderShape(crop, 'crop')}
+                      {draft && renderShape(draft, 'draft', true)}
+                    </svg>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Footer */}
+            <div className="flex items-center justify-between gap-2 p-4 border-t">
+              <p className="text-sm text-gray-600 hidden sm:block">{activeTool?.hint}</p>
+              <div className="flex gap-2 ml-auto">
+                <Button variant="outline" onClick={onCancel} disabled={isSaving}>
+                  Cancel
+                </Button>
+                <Button onClick={handleSave} disabled={isSaving}>
+                  {isSaving ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Save className="h-4 w-4 mr-2" />
+                  )}
+                  Apply Edits
+                </Button>
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -0,0 +1,178 @@
+// src/components/upload/ScreenshotList.jsx - Ordered screenshots of one analysis session
+
+import React from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { ChevronUp, ChevronDown, X, Plus, Pencil, Loader2, ShieldCheck, ShieldAlert } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+
+/**
+ * ScreenshotList Component
+ * Shows each screenshot with its position, a caption field, reorder and edit controls
+ */
+export const ScreenshotList = ({
+  screenshots,
+  maxScreenshots,
+  disabled = false,
+  onMove,
+  onRemove,
+  onCaptionChange,
+  onEdit,
+  onReviewMasking,
+  onAdd
+}) => {
+  return (
+    <div className="space-y-3" onClick={(e) => e.stopPropagation()}>
+      <AnimatePresence initial={false}>
+        {screenshots.map((shot, index) => (
+          <motion.div
+            key={shot.id}
+            layout
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="flex items-start gap-4 p-3 bg-white rounded-lg border text-left"
+          >
+            <div className="relative flex-shrink-0">
+              <img
+                src={shot.previewUrl}
+                alt={`Screenshot ${index + 1} preview`}
+                className="h-20 w-28 object-cover rounded-md shadow-sm"
+              />
+              <Badge className="absolute -top-2 -left-2">#{index + 1}</Badge>
+            </div>
+
+            <div className="flex-1 min-w-0 space-y-2">
+              <div className="flex items-center justify-between text-xs text-gray-500">
+                <span className="truncate">{shot.file.name}</span>
+                <span className="ml-2 flex-shrink-0">
+                  {(shot.file.size / 1024 / 1024).toFixed(2)} MB
+                  {shot.validation?.dimensions && (
+                    <> • {shot.validation.dimensions.width} × {shot.validation.dimensions.height}</>
+                  )}
+                </span>
+              </div>
+              <Input
+                value={shot.caption}
+                onChange={(e) => onCaptionChange(shot.id, e.target.value)}
+                placeholder={index === 0 ? 'e.g. Warning shown before the crash' : 'What does this screenshot show?'}
+                maxLength={200}
+                disabled={disabled}
+                className="h-8 text-sm"
+              />
+              <div className="flex flex-wrap gap-2">
+                {shot.masking?.status === 'scanning' && (
+                  <Badge variant="outline" className="text-xs">
+                    <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                    Checking for private info
+                  </Badge>
+                )}
+                {shot.masking?.status === 'done' && shot.masking.regions.length > 0 && (
+                  <button type="button" onClick={() => onReviewMasking(shot.id)} disabled={disabled}>
+                    <Badge className="text-xs bg-green-100 text-green-800 hover:bg-green-200">
+                      <ShieldCheck className="h-3 w-3 mr-1" />
+                      {shot.masking.regions.filter(r => r.masked).length}/{shot.masking.regions.length} items masked • Review
+                    </Badge>
+                  </button>
+                )}
+                {shot.masking?.status === 'done' && shot.masking.summary?.count > 0 && (
+                  <Badge className="text-xs bg-green-100 text-green-800">
+                    <ShieldCheck className="h-3 w-3 mr-1" />
+                    {shot.masking.summary.count} items masked
+                  </Badge>
+                )}
+                {shot.masking?.status === 'done' && shot.masking.regions.length === 0 && !shot.masking.summary && (
+                  <Badge variant="outline" className="text-xs">
+                    <ShieldCheck className="h-3 w-3 mr-1" />
+                    No private info found
+                  </Badge>
+                )}
+                {shot.masking?.status === 'failed' && (
+                  <Badge variant="outline" className="text-xs text-orange-700 border-orange-300">
+                    <ShieldAlert className="h-3 w-3 mr-1" />
+                    Scan failed – check manually
+                  </Badge>
+                )}
+                {shot.edited && (
+                  <Badge variant="outline" className="text-xs">
+                    Edited
+                  </Badge>
+                )}
+                {shot.validation?.needsCompression && (
+                  <Badge variant="secondary" className="text-xs">
+                    Will be compressed
+                  </Badge>
+                )}
+              </div>
+            </div>
+
+            <div className="flex flex-col gap-1">
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-7 w-7"
+                onClick={() => onMove(shot.id, -1)}
+                disabled={disabled || index === 0}
+                aria-label="Move screenshot up"
+              >
+                <ChevronUp className="h-4 w-4" />
+              </Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-7 w-7"
+                onClick={() => onMove(shot.id, 1)}
+                disabled={disabled || index === screenshots.length - 1}
+                aria-label="Move screenshot down"
+              >
+                <ChevronDown className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <div className="flex flex-col gap-1">
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-7 w-7"
+                onClick={() => onEdit(shot.id)}
+                disabled={disabled || shot.masking?.status === 'scanning'}
+                aria-label="Crop, redact or annotate screenshot"
+                title="Crop, redact or annotate"
+              >
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-7 w-7 text-red-500 hover:text-red-600"
+                onClick={() => onRemove(shot.id)}
+                disabled={disabled}
+                aria-label="Remove screenshot"
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-600">
+          {screenshots.length}/{maxScreenshots} screenshots • analysed in this order
+        </span>
+        {screenshots.length < maxScreenshots && (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={onAdd}
+            disabled={disabled}
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Screenshot
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -17,8 +17,15 @@ import {
   subscribeToUserProfile,
   resendVerificationEmail,
   incrementAnalysisCount,
+  updateErrorsResolved,
+  updateSolutionsShared,
+  linkGoogleAccount,
+  unlinkProvider,
+  checkUsernameAvailability,
   getAuthErrorMessage
 } from '@/lib/firebase'
+import { getUserSettings, applyDocumentSettings } from '@/lib/utils/userSettings'
+import { normalizeUsername, validateUsername } from '@/lib/utils/publicProfile'
 
 const AuthContext = createContext({})
 
@@ -113,6 +120,13 @@ export const AuthProvider = ({ children }) => {
     }
   }, [user?.uid])
 
+  const settings = getUserSettings(userProfile)
+
+  // Apply theme and language as soon as they change (and reset them on sign out)
+  useEffect(() => {
+    applyDocumentSettings({ darkMode: settings.darkMode, language: settings.language })
+  }, [settings.darkMode, settings.language])
+
   // Sync with backend (optional)
   const syncWithBackend = async (firebaseUser, profile) => {
     try {
@@ -318,6 +332,18 @@ export const AuthProvider = ({ children }) => {
         }
       })
       
+      // The username addresses the public profile, so it must be valid and unique
+      if (updateData.username) {
+        updateData.username = normalizeUsername(updateData.username)
+        const usernameError = validateUsername(updateData.username)
+        if (usernameError) {
+          throw new Error(usernameError)
+        }
+        if (updateData.username !== userProfile?.username && !await checkUsernameAvailability(updateData.username)) {
+          throw new Error('That username is already taken')
+        }
+      }
+      
       await updateUserProfile(user.uid, updateData)
       
       console.log('✅ Profile updated successfully')
@@ -334,6 +360,38 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Settings are applied immediately and rolled back if saving fails
+  const updateSettings = async (changes) => {
+    if (!user?.uid) {
+      throw new Error('No user is currently signed in')
+    }
+    
+    const previousProfile = userProfile
+    const nextSettings = { ...settings, ...changes }
+    console.log('⚙️ Updating settings:', changes)
+    
+    setUserProfile(prev => prev ? { ...prev, settings: nextSettings } : prev)
+    try {
+      await updateUserProfile(user.uid, { settings: nextSettings })
+      return nextSettings
+    } catch (error) {
+      console.error('❌ Settings update error:', error)
+      setUserProfile(previousProfile)
+      throw new Error('Failed to save settings')
+    }
+  }
+
+  // Both return the providers now connected to the account
+  const connectGoogle = async () => {
+    const updatedUser = await linkGoogleAccount()
+    return updatedUser.providerData
+  }
+
+  const disconnectProvider = async (providerId) => {
+    const updatedUser = await unlinkProvider(providerId)
+    return updatedUser.providerData
+  }
+
   const resendVerification = async () => {
     try {
       setError(null)
@@ -400,6 +458,42 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // delta is +1 when feedback marks an analysis resolved, -1 when that is undone
+  const trackResolution = async (delta) => {
+    try {
+      if (user?.uid && delta !== 0) {
+        const { errorsResolved, reputation } = await updateErrorsResolved(user.uid, delta) || {}
+        if (errorsResolved !== undefined) {
+          setUserProfile(prev => prev ? {
+            ...prev,
+            reputation,
+            stats: { ...prev.stats, errorsResolved }
+          } : prev)
+        }
+        return errorsResolved
+      }
+    } catch (error) {
+      console.error('❌ Failed to track resolution:', error)
+      // Don't throw error for analytics
+    }
+  }
+
+  // delta is +1 when a solution is shared or published again, -1 when it is unpublished
+  const trackSolutionShared = async (delta = 1) => {
+    try {
+      if (user?.uid && delta !== 0) {
+        const solutionsShared = await updateSolutionsShared(user.uid, delta)
+        if (solutionsShared !== undefined) {
+          setUserProfile(prev => prev ? { ...prev, solutionsShared } : prev)
+        }
+        return solutionsShared
+      }
+    } catch (error) {
+      console.error('❌ Failed to track shared solution:', error)
+      // Don't throw error for analytics
+    }
+  }
+
   const refreshAuth = async () => {
     try {
       if (user) {
@@ -431,6 +525,7 @@ export const AuthProvider = ({ children }) => {
     // State
     user,
     userProfile,
+    settings,
     loading,
     error,
     authReady,
@@ -442,9 +537,14 @@ export const AuthProvider = ({ children }) => {
     logout,
     forgotPassword,
     updateProfile,
+    updateSettings,
+    connectGoogle,
+    disconnectProvider,
     resendVerification,
     getAuthHeader,
     trackAnalysis,
+    trackResolution,
+    trackSolutionShared,
     refreshAuth,
     clearError,
     
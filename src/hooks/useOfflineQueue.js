@@ -0,0 +1,87 @@
+import * as React from "react"
+import { useAuth } from "@/contexts/AuthContext"
+import { analysisAPI, checkNetworkStatus, getErrorMessage, isNetworkError, withRetry } from "@/lib/api"
+import {
+  MAX_QUEUE_ATTEMPTS,
+  PROCESS_QUEUE_EVENT,
+  getQueuedAnalyses,
+  isOfflineQueueSupported,
+  removeQueuedAnalysis,
+  updateQueuedAnalysis,
+  withQueueLock
+} from "@/lib/utils/offlineQueue"
+
+// While anything is queued, also retry on this interval in case the
+// backend comes back without the browser noticing a connectivity change
+const RETRY_INTERVAL = 60 * 1000
+
+const submitQueuedAnalysis = (item) => {
+  if (item.type === "text") {
+    return analysisAPI.analyzeText(item.text, item.context, item.source)
+  }
+  return analysisAPI.analyzeError(item.images, item.context)
+}
+
+/**
+ * Send the signed-in user's queued analyses once the backend is reachable.
+ * `onComplete(item, result)` is called for every analysis that finishes.
+ */
+export function useOfflineQueue(onComplete) {
+  const { user, trackAnalysis } = useAuth()
+  const processingRef = React.useRef(false)
+  // Callbacks change on every render; the queue worker should not restart
+  const callbacksRef = React.useRef({ onComplete, trackAnalysis })
+  callbacksRef.current = { onComplete, trackAnalysis }
+
+  const processQueue = React.useCallback(async () => {
+    if (!user?.uid || processingRef.current || !checkNetworkStatus().online) return
+
+    processingRef.current = true
+    try {
+      // Another tab may already be sending the same queue
+      await withQueueLock(async () => {
+        const items = await getQueuedAnalyses(user.uid)
+        for (const item of items) {
+          if (item.status === "failed") continue
+          if (!checkNetworkStatus().online) break
+
+          try {
+            const result = await withRetry(() => submitQueuedAnalysis(item), 3, 2000)
+            await removeQueuedAnalysis(item.id)
+            await callbacksRef.current.trackAnalysis()
+            callbacksRef.current.onComplete?.(item, result)
+          } catch (error) {
+            const attempts = item.attempts + 1
+            await updateQueuedAnalysis(item.id, {
+              attempts,
+              lastError: getErrorMessage(error),
+              // Keep retrying while the backend is unreachable; a request it
+              // rejects will not succeed by itself
+              status: !isNetworkError(error) || attempts >= MAX_QUEUE_ATTEMPTS ? "failed" : "pending"
+            })
+            // The rest of the queue would fail the same way
+            if (isNetworkError(error)) break
+          }
+        }
+      })
+    } catch (error) {
+      console.error("Failed to process offline queue:", error)
+    } finally {
+      processingRef.current = false
+    }
+  }, [user?.uid])
+
+  React.useEffect(() => {
+    if (!user?.uid || !isOfflineQueueSupported()) return
+
+    processQueue()
+    window.addEventListener("online", processQueue)
+    window.addEventListener(PROCESS_QUEUE_EVENT, processQueue)
+    const interval = setInterval(processQueue, RETRY_INTERVAL)
+    return () => {
+      window.removeEventListener("online", processQueue)
+      window.removeEventListener(PROCESS_QUEUE_EVENT, processQueue)
+      clearInterval(interval)
+    }
+  }, [user?.uid, processQueue])
+}
@@ -0,0 +1,68 @@
+import * as React from "react"
+import toast from "react-hot-toast"
+import { useAuth } from "@/contexts/AuthContext"
+import { communityAPI, getErrorMessage } from "@/lib/api"
+
+/**
+ * Vote, bookmark and accept handlers for community solutions, shared by the list and
+ * detail pages. `updateSolution(id, changes)` merges the server's counts back
+ * into whatever state holds the solution.
+ */
+export function useSolutionActions(updateSolution) {
+  const { user } = useAuth()
+
+  const requireSignIn = React.useCallback(() => {
+    if (user) return false
+    window.dispatchEvent(new CustomEvent("showSignInModal"))
+    return true
+  }, [user])
+
+  const handleVote = React.useCallback(async (solutionId, isUpvote) => {
+    if (requireSignIn()) return
+
+    try {
+      const data = await communityAPI.voteSolution(solutionId, isUpvote)
+      updateSolution(solutionId, {
+        upvoteCount: data.upvoteCount,
+        downvoteCount: data.downvoteCount,
+        userVote: data.userVote !== undefined ? data.userVote : { isUpvote }
+      })
+    } catch (error) {
+      console.error("Error voting:", error)
+      toast.error(getErrorMessage(error))
+    }
+  }, [requireSignIn, updateSolution])
+
+  const handleBookmark = React.useCallback(async (solutionId) => {
+    if (requireSignIn()) return
+
+    try {
+      const data = await communityAPI.bookmarkSolution(solutionId)
+      updateSolution(solutionId, {
+        isBookmarked: data.isBookmarked,
+        bookmarkCount: data.bookmarkCount
+      })
+    } catch (error) {
+      console.error("Error bookmarking:", error)
+      toast.error(getErrorMessage(error))
+    }
+  }, [requireSignIn, updateSolution])
+
+  const handleAccept = React.useCallback(async (solutionId) => {
+    if (requireSignIn()) return
+
+    try {
+      const data = await communityAPI.acceptSolution(solutionId)
+      updateSolution(solutionId, {
+        acceptedCount: data.acceptedCount,
+        userAccepted: data.userAccepted
+      })
+      if (data.userAccepted) toast.success("Thanks! The author has been credited")
+    } catch (error) {
+      console.error("Error accepting solution:", error)
+      toast.error(getErrorMessage(error))
+    }
+  }, [requireSignIn, updateSolution])
+
+  return { handleVote, handleBookmark, handleAccept }
+}
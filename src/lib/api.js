@@ -5,28 +5,174 @@ import { getCurrentUserToken } from './firebase'
 // API Configuration with fallback
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8082'
 const API_TIMEOUT = 30000 // 30 seconds
+// Streams may run for minutes; they only fail if the server goes quiet
+const STREAM_IDLE_TIMEOUT = 30000
 
-// Create a fetch wrapper with timeout and better error handling
+// Error thrown when the caller cancels a request through its AbortSignal
+const createCancelledError = () => {
+  const error = new Error('Request cancelled')
+  error.cancelled = true
+  return error
+}
+
+// Create a fetch wrapper with timeout and better error handling.
+// Pass `signal` to let the caller cancel; the timeout covers the wait for
+// response headers, not reading the body.
 const fetchWithTimeout = async (url, options = {}) => {
+  const { signal, ...fetchOptions } = options
   const controller = new AbortController()
   const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT)
+  const abortFromCaller = () => controller.abort()
+
+  if (signal?.aborted) throw createCancelledError()
+  signal?.addEventListener('abort', abortFromCaller)
   
   try {
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       signal: controller.signal
     })
-    clearTimeout(timeoutId)
     return response
   } catch (error) {
-    clearTimeout(timeoutId)
     if (error.name === 'AbortError') {
+      if (signal?.aborted) throw createCancelledError()
       throw new Error('Request timeout - please check your connection')
     }
     throw error
+  } finally {
+    clearTimeout(timeoutId)
+    signal?.removeEventListener('abort', abortFromCaller)
+  }
+}
+
+// Read a streamed response as Server-Sent Events or newline-delimited JSON,
+// calling `onMessage` with every parsed event object
+const readEventStream = async (response, onMessage, signal) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  const isSSE = (response.headers.get('content-type') || '').includes('text/event-stream')
+  let buffer = ''
+  let idleTimer = null
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => reader.cancel(new Error('Stream idle timeout')), STREAM_IDLE_TIMEOUT)
+  }
+  const cancelOnAbort = () => reader.cancel(createCancelledError())
+  signal?.addEventListener('abort', cancelOnAbort)
+
+  const parseChunk = (chunk) => {
+    if (!chunk.trim()) return
+
+    if (!isSSE) {
+      onMessage(JSON.parse(chunk))
+      return
+    }
+
+    // SSE block: optional `event:` name and one or more `data:` lines
+    let eventName = null
+    const data = []
+    chunk.split(/\r?\n/).forEach(line => {
+      if (line.startsWith(':')) return // heartbeat comment
+      if (line.startsWith('event:')) eventName = line.slice(6).trim()
+      if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''))
+    })
+    if (data.length === 0) return
+
+    const message = JSON.parse(data.join('\n'))
+    onMessage(eventName && !message.type ? { ...message, type: eventName } : message)
+  }
+
+  const separator = isSSE ? /\r?\n\r?\n/ : /\r?\n/
+
+  try {
+    let done = false
+    resetIdleTimer()
+    while (!done) {
+      const chunk = await reader.read()
+      if (signal?.aborted) throw createCancelledError()
+      if (chunk.done) {
+        done = true
+        continue
+      }
+
+      const { value } = chunk
+      resetIdleTimer()
+      buffer += decoder.decode(value, { stream: true })
+      const chunks = buffer.split(separator)
+      buffer = chunks.pop()
+      chunks.forEach(parseChunk)
+    }
+    parseChunk(buffer + decoder.decode())
+  } catch (error) {
+    if (signal?.aborted) throw createCancelledError()
+    if (error.message === 'Stream idle timeout') {
+      throw new Error('The analysis stopped responding - please try again')
+    }
+    throw error
+  } finally {
+    clearTimeout(idleTimer)
+    signal?.removeEventListener('abort', cancelOnAbort)
+    // Release the connection when parsing or a handler failed mid-stream
+    reader.cancel().catch(() => {})
   }
 }
 
+// Send a request with XMLHttpRequest, which unlike fetch reports upload
+// progress. Resolves with a fetch-style Response so handleResponse applies.
+const sendWithProgress = (method, url, { headers = {}, body, onUploadProgress, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError())
+      return
+    }
+
+    const xhr = new XMLHttpRequest()
+    const abort = () => xhr.abort()
+    const cleanup = () => signal?.removeEventListener('abort', abort)
+
+    xhr.open(method, url)
+    xhr.timeout = API_TIMEOUT
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onUploadProgress?.(event.loaded)
+    }
+    xhr.onload = () => {
+      cleanup()
+      const hasBody = ![204, 205, 304].includes(xhr.status)
+      resolve(new Response(hasBody ? xhr.responseText : null, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: { 'content-type': xhr.getResponseHeader('content-type') || '' }
+      }))
+    }
+    xhr.onerror = () => {
+      cleanup()
+      reject(new Error('Network error during upload - please check your connection'))
+    }
+    xhr.ontimeout = () => {
+      cleanup()
+      reject(new Error('Request timeout - please check your connection'))
+    }
+    xhr.onabort = () => {
+      cleanup()
+      reject(createCancelledError())
+    }
+
+    signal?.addEventListener('abort', abort)
+    xhr.send(body)
+  })
+}
+
+// Build a query string from params, skipping empty values
+const buildQueryString = (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value != null && value !== '')
+  ).toString()
+  return query ? `?${query}` : ''
+}
+
 // Helper function to get auth headers with better error handling
 const getAuthHeaders = async () => {
   try {
@@ -169,34 +315,238 @@ export const authAPI = {
   }
 }
 
+// Build the /api/analyze-error body from a data URL or ordered screenshots.
+// Session screenshots carry either an inline data URL (`image`) or the id
+// of a finished upload (`uploadId`).
+const buildImageRequestBody = (imageData, context) => {
+  // Validate input
+  if (!imageData || (Array.isArray(imageData) && imageData.length === 0)) {
+    throw new Error('No image data provided')
+  }
+
+  const isSession = Array.isArray(imageData)
+  const images = isSession ? imageData.filter(shot => !shot.uploadId).map(shot => shot.image) : [imageData]
+
+  if (images.some(image => typeof image !== 'string' || !image.startsWith('data:image/'))) {
+    throw new Error('Invalid image data format')
+  }
+
+  if (images.length > 0) {
+    console.log('Image data format:', images[0].substring(0, 50) + '...')
+  }
+  console.log('Screenshots in request:', isSession ? imageData.length : 1)
+  console.log('Context length:', context.length)
+
+  return isSession
+    ? {
+        images: imageData.map((shot, index) => ({
+          image: shot.uploadId ? undefined : shot.image,
+          upload_id: shot.uploadId,
+          caption: shot.caption?.trim() || undefined,
+          position: index,
+          detected_text: shot.detectedText?.trim() || undefined,
+          masking: shot.masking
+            ? { applied: true, regions_masked: shot.masking.count, types: shot.masking.types }
+            : undefined
+        })),
+        context: context || undefined
+      }
+    : {
+        image: imageData,
+        context: context || undefined
+      }
+}
+
+// Build the /api/analyze-text body
+const buildTextRequestBody = (text, context, source) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('No error text provided')
+  }
+
+  console.log('Text length:', text.length)
+  console.log('Context length:', context.length)
+
+  return {
+    text,
+    context: context || undefined,
+    source: source
+      ? {
+          filename: source.size != null ? source.name : undefined,
+          truncated: !!source.truncated,
+          removed_lines: source.removedLines || undefined
+        }
+      : undefined
+  }
+}
+
+// Turn HTTP failures of an image analysis into user-facing messages
+const toImageAnalysisError = (error) => {
+  if (error.status === 400) {
+    return new Error('Invalid image format or corrupted file. Please try a different image.')
+  } else if (error.status === 413) {
+    return new Error('Image file is too large. Please use an image smaller than 10MB.')
+  } else if (error.status === 429) {
+    return new Error('Rate limit exceeded. Please wait a moment before trying again.')
+  } else if (error.status === 503) {
+    return new Error('Analysis service is temporarily unavailable. Please try again later.')
+  }
+  return error
+}
+
+// Turn HTTP failures of a text analysis into user-facing messages
+const toTextAnalysisError = (error) => {
+  if (error.status === 400) {
+    return new Error('The error text could not be processed. Please check it and try again.')
+  } else if (error.status === 413) {
+    return new Error('Error text is too long. Please trim it to the relevant part.')
+  }
+  return toImageAnalysisError(error)
+}
+
+// Stages reported by the streaming analysis protocol, in order
+export const ANALYSIS_STAGES = [
+  { id: 'upload', label: 'Uploading' },
+  { id: 'text_extraction', label: 'Extracting text' },
+  { id: 'classification', label: 'Classifying the error' },
+  { id: 'solution_matching', label: 'Matching solutions' }
+]
+
+// Run an analysis over the streaming protocol. The server answers with SSE
+// or NDJSON events:
+//   { type: 'started', analysis_id }
+//   { type: 'stage', stage, status: 'started' | 'completed', progress }
+//   { type: 'analysis', ...partial result fields }
+//   { type: 'solution', solution }
+//   { type: 'complete', result }
+//   { type: 'error', message, code }
+// Returns null when the backend has no streaming endpoint.
+const streamAnalysis = async (path, requestBody, { onEvent, signal } = {}) => {
+  const emit = (event) => onEvent?.(event)
+  let analysisId = null
+
+  const response = await fetchWithTimeout(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      ...(await getAuthHeaders()),
+      'Accept': 'text/event-stream, application/x-ndjson'
+    },
+    body: JSON.stringify(requestBody),
+    signal
+  })
+
+  if ([404, 405, 501].includes(response.status)) {
+    console.warn('Streaming analysis not supported by backend, falling back')
+    return null
+  }
+
+  emit({ type: 'stage', stage: 'upload', status: 'completed' })
+
+  // A backend that ignores the Accept header just sends the whole result
+  const contentType = response.headers.get('content-type') || ''
+  if (!response.ok || contentType.includes('application/json')) {
+    const result = await handleResponse(response)
+    emit({ type: 'complete', result })
+    return result
+  }
+
+  const partial = { solutions: [] }
+  let result = null
+
+  // Closing the connection is not enough for every backend; ask it to stop
+  const cancelOnServer = () => {
+    analysisAPI.cancelAnalysis(analysisId).catch(cancelError => {
+      console.warn('Failed to cancel analysis on server:', cancelError.message)
+    })
+  }
+
+  // The analysis id only arrives with the 'started' event. When the user
+  // cancels before that, the caller is released right away but the stream is
+  // read on in the background until the id arrives and the server can be
+  // told to stop.
+  const streamController = new AbortController()
+  let rejectCancelled
+  const cancelled = new Promise((resolve, reject) => {
+    rejectCancelled = reject
+  })
+  const handleAbort = () => {
+    rejectCancelled(createCancelledError())
+    if (analysisId) streamController.abort()
+  }
+  if (signal?.aborted) handleAbort()
+  signal?.addEventListener('abort', handleAbort)
+
+  const reading = readEventStream(response, (event) => {
+    if (signal?.aborted) {
+      if (event.type !== 'started') return
+      analysisId = event.analysis_id
+      cancelOnServer()
+      throw createCancelledError()
+    }
+
+    switch (event.type) {
+      case 'started':
+        analysisId = event.analysis_id
+        partial.analysis_id = event.analysis_id
+        break
+      case 'analysis': {
+        const fields = { ...event }
+        delete fields.type
+        Object.assign(partial, fields)
+        break
+      }
+      case 'solution':
+        partial.solutions = [...partial.solutions, event.solution]
+        break
+      case 'complete':
+        result = event.result || partial
+        break
+      case 'error': {
+        const error = new Error(event.message || 'Analysis failed')
+        error.code = event.code
+        error.status = event.status
+        throw error
+      }
+      default:
+        break
+    }
+    emit(event)
+  }, streamController.signal)
+  // Whatever the background read ends with, the caller has moved on
+  reading.catch(() => {})
+
+  try {
+    await Promise.race([reading, cancelled])
+  } catch (error) {
+    if (error.cancelled && analysisId) cancelOnServer()
+    throw error
+  } finally {
+    signal?.removeEventListener('abort', handleAbort)
+  }
+
+  if (!result) {
+    throw new Error('The analysis ended before a result was returned')
+  }
+  return result
+}
+
 // Error Analysis API with better handling
 export const analysisAPI = {
-  // Analyze error from image with improved error handling
-  analyzeError: async (imageData, context = '') => {
+  // Analyze error from image with improved error handling.
+  // `imageData` is either a single data URL or an ordered array of
+  // `{ image | uploadId, caption, masking, detectedText }` screenshots analysed
+  // together as one session. `masking` ({ count, types }) records what was blacked out
+  // before upload; `detectedText` is on-device OCR text as corrected by the user.
+  analyzeError: async (imageData, context = '', { signal } = {}) => {
     console.log('Sending error analysis request to backend')
-    
-    // Validate input
-    if (!imageData) {
-      throw new Error('No image data provided')
-    }
-    
-    if (typeof imageData !== 'string' || !imageData.startsWith('data:image/')) {
-      throw new Error('Invalid image data format')
-    }
-    
-    console.log('Image data format:', imageData.substring(0, 50) + '...')
-    console.log('Context length:', context.length)
-    
-    const requestBody = {
-      image: imageData,
-      context: context || undefined
-    }
+
+    const requestBody = buildImageRequestBody(imageData, context)
     
     try {
       const response = await fetchWithTimeout(`${API_BASE_URL}/api/analyze-error`, {
         method: 'POST',
         headers: await getAuthHeaders(),
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal
       })
       
       const result = await handleResponse(response)
@@ -218,34 +568,438 @@ export const analysisAPI = {
       console.error('❌ Analysis request failed:', error.message)
       
       // Enhance error with context
-      if (error.status === 400) {
-        throw new Error('Invalid image format or corrupted file. Please try a different image.')
-      } else if (error.status === 413) {
-        throw new Error('Image file is too large. Please use an image smaller than 10MB.')
-      } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please wait a moment before trying again.')
-      } else if (error.status === 503) {
-        throw new Error('Analysis service is temporarily unavailable. Please try again later.')
+      throw toImageAnalysisError(error)
+    }
+  },
+
+  // Analyze pasted error text or the contents of a log file.
+  // `source` describes where it came from: { name, truncated, removedLines }.
+  analyzeText: async (text, context = '', source = null, { signal } = {}) => {
+    console.log('Sending text analysis request to backend')
+
+    const requestBody = buildTextRequestBody(text, context, source)
+
+    try {
+      const response = await fetchWithTimeout(`${API_BASE_URL}/api/analyze-text`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify(requestBody),
+        signal
+      })
+
+      const result = await handleResponse(response)
+
+      if (!result.analysis_id) {
+        console.warn('Analysis result missing analysis_id:', result)
       }
-      
-      throw error
+
+      console.log('✅ Text analysis completed:', {
+        analysis_id: result.analysis_id,
+        category: result.category,
+        solutions_count: result.solutions?.length || 0
+      })
+
+      return result
+    } catch (error) {
+      console.error('❌ Text analysis request failed:', error.message)
+      throw toTextAnalysisError(error)
+    }
+  },
+
+  // Streaming variant of analyzeError. `onEvent` receives stage, partial
+  // analysis and solution events as they arrive; aborting `signal` cancels
+  // the analysis on the server as well.
+  analyzeErrorStream: async (imageData, context = '', { onEvent, signal } = {}) => {
+    console.log('Sending streaming error analysis request to backend')
+
+    const requestBody = buildImageRequestBody(imageData, context)
+
+    try {
+      const result = await streamAnalysis('/api/analyze-error/stream', requestBody, { onEvent, signal })
+      if (result) {
+        console.log('✅ Streaming analysis completed:', {
+          analysis_id: result.analysis_id,
+          solutions_count: result.solutions?.length || 0
+        })
+        return result
+      }
+    } catch (error) {
+      if (!error.cancelled) console.error('❌ Streaming analysis failed:', error.message)
+      throw toImageAnalysisError(error)
+    }
+
+    return analysisAPI.analyzeError(imageData, context, { signal })
+  },
+
+  // Streaming variant of analyzeText
+  analyzeTextStream: async (text, context = '', source = null, { onEvent, signal } = {}) => {
+    console.log('Sending streaming text analysis request to backend')
+
+    const requestBody = buildTextRequestBody(text, context, source)
+
+    try {
+      const result = await streamAnalysis('/api/analyze-text/stream', requestBody, { onEvent, signal })
+      if (result) {
+        console.log('✅ Streaming text analysis completed:', {
+          analysis_id: result.analysis_id,
+          solutions_count: result.solutions?.length || 0
+        })
+        return result
+      }
+    } catch (error) {
+      if (!error.cancelled) console.error('❌ Streaming text analysis failed:', error.message)
+      throw toTextAnalysisError(error)
+    }
+
+    return analysisAPI.analyzeText(text, context, source, { signal })
+  },
+
+  // Get the user's past analyses, newest first.
+  // Params: { page, pageSize, category, status, from, to } (dates as YYYY-MM-DD).
+  // Returns { items, total, page, page_size, has_more }.
+  getHistory: async ({ page = 1, pageSize = 10, category, status, from, to } = {}) => {
+    console.log('Getting analysis history:', { page, pageSize, category, status, from, to })
+
+    const query = buildQueryString({ page, page_size: pageSize, category, status, from, to })
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/history${query}`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+
+    const result = await handleResponse(response)
+    return {
+      items: result.items || [],
+      total: result.total || 0,
+      page: result.page || page,
+      page_size: result.page_size || pageSize,
+      has_more: result.has_more ?? (page * pageSize < (result.total || 0))
+    }
+  },
+
+  // Get aggregate statistics for the dashboard: totals, success rate,
+  // category distribution and activity over the last seven days
+  getStats: async () => {
+    console.log('Getting analysis stats')
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/stats`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+
+    return handleResponse(response)
+  },
+
+  // Get one past analysis with its full result and screenshot thumbnails
+  getAnalysis: async (analysisId) => {
+    console.log('Getting analysis:', analysisId)
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/${analysisId}`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+
+    return handleResponse(response)
+  },
+
+  // Stop a running analysis on the server
+  cancelAnalysis: async (analysisId) => {
+    console.log('Cancelling analysis:', analysisId)
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/${analysisId}/cancel`, {
+      method: 'POST',
+      headers: await getAuthHeaders()
+    })
+
+    return handleResponse(response)
+  },
+
+  // Report whether a solution fixed the error. Posting again for the same
+  // solution replaces the earlier outcome.
+  submitFeedback: async (analysisId, solutionId, { outcome, notes }) => {
+    console.log('📝 Submitting solution feedback:', analysisId, solutionId, outcome)
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/${analysisId}/feedback`, {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify({
+        solution_id: solutionId,
+        outcome,
+        notes: notes?.trim() || undefined
+      })
+    })
+
+    const result = await handleResponse(response)
+    console.log('✅ Feedback saved')
+    return result
+  },
+
+  // Ask a follow-up question about an analysis, optionally with a new
+  // screenshot (data URL). The server keeps the thread with the analysis
+  // (returned as `conversation` by getAnalysis) and answers with
+  // { reply: { id, role: 'assistant', content, solutions?, created_at } }.
+  followUp: async (analysisId, { message, image }, { signal } = {}) => {
+    console.log('💬 Sending follow-up for analysis:', analysisId)
+
+    try {
+      const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/${analysisId}/follow-up`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({
+          message: message.trim(),
+          image: image || undefined
+        }),
+        signal
+      })
+
+      const result = await handleResponse(response)
+      console.log('✅ Follow-up answered')
+      return result
+    } catch (error) {
+      if (error.cancelled) throw error
+      console.error('❌ Follow-up failed:', error)
+      throw toImageAnalysisError(error)
+    }
+  }
+}
+
+// Uploads are remembered by content so an interrupted upload can be resumed,
+// even after a page reload
+const UPLOAD_STORAGE_PREFIX = 'upload:'
+const UPLOAD_CHUNK_SIZE = 1024 * 1024 // 1MB
+const UPLOAD_MAX_RETRIES = 3
+
+// Content hash identifying a file across attempts
+const fingerprintFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Resumable binary uploads. Protocol:
+//   POST /api/uploads { filename, size, content_type, fingerprint } -> { upload_id, offset, chunk_size }
+//   PUT  /api/uploads/:id  (Content-Range: bytes start-end/size, raw bytes) -> { offset, complete }
+//   GET  /api/uploads/:id  -> { offset, complete, chunk_size }
+export const uploadAPI = {
+  // Start an upload, or pick up one the server already knows by fingerprint
+  createUpload: async (file, fingerprint) => {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/uploads`, {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify({
+        filename: file.name,
+        size: file.size,
+        content_type: file.type,
+        fingerprint
+      })
+    })
+
+    return handleResponse(response)
+  },
+
+  // How many bytes of an upload the server has stored
+  getUploadStatus: async (uploadId) => {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/uploads/${uploadId}`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+
+    return handleResponse(response)
+  },
+
+  // Upload a file in binary chunks, reporting bytes sent and resuming from
+  // the server's offset after a failure. Returns null when the backend has
+  // no upload endpoint, so callers can fall back to inline images.
+  uploadFile: async (file, { onProgress, signal } = {}) => {
+    console.log('Uploading file:', file.name, `${(file.size / 1024 / 1024).toFixed(2)}MB`)
+
+    const fingerprint = await fingerprintFile(file)
+    const storageKey = `${UPLOAD_STORAGE_PREFIX}${fingerprint}`
+    let uploadId = localStorage.getItem(storageKey)
+    let offset = 0
+    let chunkSize = UPLOAD_CHUNK_SIZE
+
+    try {
+      if (uploadId) {
+        const status = await uploadAPI.getUploadStatus(uploadId)
+        if (status.complete) {
+          localStorage.removeItem(storageKey)
+          onProgress?.(file.size)
+          return { uploadId, resumed: true }
+        }
+        offset = status.offset || 0
+        chunkSize = status.chunk_size || UPLOAD_CHUNK_SIZE
+        console.log(`Resuming upload ${uploadId} at ${offset} bytes`)
+      }
+    } catch (error) {
+      // Expired or unknown upload; start again
+      console.warn('Could not resume upload:', error.message)
+      uploadId = null
+    }
+
+    if (!uploadId) {
+      try {
+        const created = await uploadAPI.createUpload(file, fingerprint)
+        uploadId = created.upload_id
+        offset = created.offset || 0
+        chunkSize = created.chunk_size || UPLOAD_CHUNK_SIZE
+      } catch (error) {
+        if ([404, 405, 501].includes(error.status)) {
+          console.warn('Upload endpoint not supported by backend, falling back')
+          return null
+        }
+        throw error
+      }
+      localStorage.setItem(storageKey, uploadId)
     }
+
+    const resumedFrom = offset
+    let failures = 0
+    onProgress?.(offset)
+
+    while (offset < file.size) {
+      const end = Math.min(offset + chunkSize, file.size)
+
+      try {
+        const response = await sendWithProgress('PUT', `${API_BASE_URL}/api/uploads/${uploadId}`, {
+          headers: {
+            ...(await getAuthHeaders()),
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${offset}-${end - 1}/${file.size}`
+          },
+          body: file.slice(offset, end),
+          onUploadProgress: (loaded) => onProgress?.(offset + loaded),
+          signal
+        })
+        const result = await handleResponse(response)
+        offset = result.offset ?? end
+        failures = 0
+      } catch (error) {
+        if (error.cancelled || ++failures > UPLOAD_MAX_RETRIES) throw error
+
+        console.warn(`Upload chunk failed, retrying (${failures}/${UPLOAD_MAX_RETRIES}):`, error.message)
+        await new Promise(resolve => setTimeout(resolve, 1000 * failures))
+
+        // Ask the server where it got to before sending more. If that fails
+        // too it uses up an attempt and the chunk is sent again as it was.
+        try {
+          const status = await uploadAPI.getUploadStatus(uploadId)
+          offset = status.offset || 0
+          onProgress?.(offset)
+        } catch (statusError) {
+          if (++failures > UPLOAD_MAX_RETRIES) throw statusError
+          console.warn(`Upload status failed, retrying (${failures}/${UPLOAD_MAX_RETRIES}):`, statusError.message)
+        }
+      }
+    }
+
+    localStorage.removeItem(storageKey)
+    console.log('✅ Upload completed:', uploadId)
+    return { uploadId, resumed: resumedFrom > 0 }
   }
 }
 
+// Public, read-only links to an analysis
+export const shareAPI = {
+  // Create a link. `expiresInDays` null means the link never expires;
+  // `redactScreenshots` leaves the screenshots out of the public view.
+  createShare: async (analysisId, { expiresInDays = null, redactScreenshots = false } = {}) => {
+    console.log('Creating share link for analysis:', analysisId)
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/analysis/${analysisId}/shares`, {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify({
+        expires_in_days: expiresInDays,
+        redact_screenshots: redactScreenshots
+      })
+    })
+
+    return handleResponse(response)
+  },
+
+  // The signed-in user's links, newest first:
+  // { items: [{ share_id, analysis_id, analysis_title, created_at, expires_at, redact_screenshots }] }
+  getShares: async () => {
+    console.log('Getting share links')
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/shares`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+
+    return handleResponse(response)
+  },
+
+  // Revoke a link; it stops working immediately
+  revokeShare: async (shareId) => {
+    console.log('Revoking share link:', shareId)
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/shares/${shareId}`, {
+      method: 'DELETE',
+      headers: await getAuthHeaders()
+    })
+
+    return handleResponse(response)
+  },
+
+  // Read a shared analysis; works without signing in. Answers
+  // { analysis, redact_screenshots, expires_at }; expired or revoked links
+  // answer 410.
+  getSharedAnalysis: async (shareId) => {
+    console.log('Getting shared analysis:', shareId)
+
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/shared/${shareId}`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+    return handleResponse(response)
+  }
+}
+
+// Public URL of a share link
+export const getShareUrl = (shareId) => `${window.location.origin}/a/${shareId}`
+
 // Community APIs
 export const communityAPI = {
-  // Get community solutions
-  getSolutions: async (params = {}) => {
-    console.log('Getting community solutions:', params)
+  // Get a page of community solutions. `q` is matched against titles, steps
+  // and error codes; results then carry `highlight: { terms, snippet }`.
+  // Pass the returned nextCursor to get the following page; it is null on
+  // the last page.
+  getSolutions: async ({ q, category, difficulty, sort, cursor, limit = 20 } = {}, { signal } = {}) => {
+    console.log('Getting community solutions:', { q, category, difficulty, sort, cursor })
     
-    const queryParams = new URLSearchParams(
-      Object.entries(params).filter(([_, v]) => v != null && v !== '')
-    ).toString()
+    const query = buildQueryString({ q, category, difficulty, sort, cursor, limit })
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions${query}`, {
+      method: 'GET',
+      headers: await getAuthHeaders(),
+      signal
+    })
+    
+    const result = await handleResponse(response)
+    return {
+      solutions: result.solutions || [],
+      nextCursor: result.nextCursor ?? result.pagination?.nextCursor ?? null,
+      total: result.total ?? result.pagination?.total ?? null
+    }
+  },
+
+  // Search-as-you-type suggestions: matching error codes, tags and solution titles
+  suggestSolutions: async (q, { signal } = {}) => {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/search/suggest${buildQueryString({ q })}`, {
+      method: 'GET',
+      headers: await getAuthHeaders(),
+      signal
+    })
     
-    const url = `${API_BASE_URL}/api/community/solutions${queryParams ? `?${queryParams}` : ''}`
+    const result = await handleResponse(response)
+    return result.suggestions || []
+  },
+
+  // Get one solution with its full steps and author
+  getSolution: async (solutionId) => {
+    console.log('Getting community solution:', solutionId)
     
-    const response = await fetchWithTimeout(url, {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}`, {
       method: 'GET',
       headers: await getAuthHeaders()
     })
@@ -291,6 +1045,107 @@ export const communityAPI = {
     return handleResponse(response)
   },
 
+  // Mark a solution as the one that fixed your error, or undo that. The author
+  // earns reputation for it. Returns { acceptedCount, userAccepted }.
+  acceptSolution: async (solutionId) => {
+    console.log('Accepting solution:', solutionId)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/accept`, {
+      method: 'POST',
+      headers: await getAuthHeaders()
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Top contributors by reputation earned in a period: week, month or all.
+  // Each leader has their total `reputation` and the `points` earned in the period.
+  getLeaderboard: async (period = 'week', { limit = 10, signal } = {}) => {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/leaderboard${buildQueryString({ period, limit })}`, {
+      method: 'GET',
+      headers: await getAuthHeaders(),
+      signal
+    })
+    
+    const result = await handleResponse(response)
+    return result.leaders || []
+  },
+
+  // Public profile and published solutions of a user. Fails with 403 when the
+  // user has turned off their public profile, unless it is your own.
+  getPublicProfile: async (username) => {
+    console.log('Getting public profile:', username)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/users/${encodeURIComponent(username)}`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Edit or unpublish/republish one of your own solutions
+  updateSolution: async (solutionId, solutionData) => {
+    console.log('Updating solution:', solutionId, solutionData)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}`, {
+      method: 'PUT',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify(solutionData)
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Solutions shared by the current user, including unpublished ones, with vote/comment stats
+  getMySolutions: async () => {
+    console.log('Getting my community solutions')
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/my-solutions`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Bookmarked solutions with their folder and note
+  getBookmarks: async () => {
+    console.log('Getting bookmarks')
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/bookmarks`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Move a bookmark to a folder or change its note
+  updateBookmark: async (solutionId, bookmarkData) => {
+    console.log('Updating bookmark:', solutionId, bookmarkData)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/bookmark`, {
+      method: 'PUT',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify(bookmarkData)
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Get all comments of a solution; replies point at their parent with parentId
+  getComments: async (solutionId) => {
+    console.log('Getting comments for solution:', solutionId)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/comments`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+    
+    return handleResponse(response)
+  },
+
   // Add comment to solution
   addComment: async (solutionId, commentData) => {
     console.log('Adding comment to solution:', solutionId, commentData)
@@ -301,6 +1156,101 @@ export const communityAPI = {
       body: JSON.stringify(commentData)
     })
     
+    return handleResponse(response)
+  },
+
+  // Edit one of your own comments
+  updateComment: async (solutionId, commentId, commentData) => {
+    console.log('Updating comment:', solutionId, commentId)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/comments/${commentId}`, {
+      method: 'PUT',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify(commentData)
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Delete one of your own comments
+  deleteComment: async (solutionId, commentId) => {
+    console.log('Deleting comment:', solutionId, commentId)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/comments/${commentId}`, {
+      method: 'DELETE',
+      headers: await getAuthHeaders()
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Report a solution to the moderators. Reporting the same thing twice fails with 409.
+  reportSolution: async (solutionId, reportData) => {
+    console.log('Reporting solution:', solutionId, reportData.reason)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/report`, {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify(reportData)
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Report a comment to the moderators
+  reportComment: async (solutionId, commentId, reportData) => {
+    console.log('Reporting comment:', solutionId, commentId, reportData.reason)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/community/solutions/${solutionId}/comments/${commentId}/report`, {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify(reportData)
+    })
+    
+    return handleResponse(response)
+  }
+}
+
+// Moderation API - moderator and admin accounts only
+export const moderationAPI = {
+  // Reported solutions and comments. Reports on the same content are grouped
+  // into one item with all of its `reports`.
+  getReports: async ({ status = 'open', type } = {}, { signal } = {}) => {
+    console.log('Getting moderation queue:', { status, type })
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/moderation/reports${buildQueryString({ status, type })}`, {
+      method: 'GET',
+      headers: await getAuthHeaders(),
+      signal
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Resolve a reported item: approve, hide, edit_tags (with `tags`) or ban.
+  // Every action needs a reason, which goes into the moderation log.
+  // Returns { report, logEntry }.
+  resolveReport: async (reportId, actionData) => {
+    console.log('Resolving report:', reportId, actionData.action)
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/moderation/reports/${reportId}/actions`, {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+      body: JSON.stringify(actionData)
+    })
+    
+    return handleResponse(response)
+  },
+
+  // Recent moderation actions with their reasons, newest first
+  getLog: async ({ limit = 50 } = {}) => {
+    console.log('Getting moderation log')
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/moderation/log${buildQueryString({ limit })}`, {
+      method: 'GET',
+      headers: await getAuthHeaders()
+    })
+    
     return handleResponse(response)
   }
 }
@@ -366,6 +1316,15 @@ export const isAPIError = (error) => {
   return error && typeof error.status === 'number'
 }
 
+// True when the request never reached the backend (offline, server down, CORS)
+export const isNetworkError = (error) => {
+  if (error?.cancelled) return false
+  if (!checkNetworkStatus().online) return true
+  // fetch() rejects with a TypeError when there is no connection. Timeouts
+  // and error responses are not connectivity problems, so they don't count.
+  return error instanceof TypeError && /fetch|network|load failed/i.test(error.message || '')
+}
+
 export const getErrorMessage = (error) => {
   if (isAPIError(error)) {
     switch (error.status) {
@@ -434,9 +1393,14 @@ export const API_URLS = {
     PROFILE: `${API_BASE_URL}/api/auth/profile`
   },
   ANALYSIS: `${API_BASE_URL}/api/analyze-error`,
+  HISTORY: `${API_BASE_URL}/api/analysis/history`,
+  STATS: `${API_BASE_URL}/api/analysis/stats`,
+  UPLOADS: `${API_BASE_URL}/api/uploads`,
+  SHARES: `${API_BASE_URL}/api/shares`,
   COMMUNITY: {
     SOLUTIONS: `${API_BASE_URL}/api/community/solutions`
-  }
+  },
+  MODERATION: `${API_BASE_URL}/api/moderation`
 }
 
 // Development mode helpers
@@ -0,0 +1,221 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { File as NodeFile } from 'node:buffer'
+import { analysisAPI, uploadAPI } from './api'
+
+vi.mock('./firebase', () => ({ getCurrentUserToken: vi.fn().mockResolvedValue(null) }))
+
+// A streamed SSE response whose events the test pushes one at a time
+const createEventStream = () => {
+  const encoder = new TextEncoder()
+  let controller
+  const cancel = vi.fn()
+  const body = new ReadableStream({
+    start(c) {
+      controller = c
+    },
+    cancel
+  })
+
+  return {
+    cancel,
+    response: new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } }),
+    send: (event) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`)),
+    sendRaw: (text) => controller.enqueue(encoder.encode(text)),
+    close: () => controller.close()
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('analysisAPI.analyzeTextStream', () => {
+  let stream
+
+  beforeEach(() => {
+    stream = createEventStream()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.stubGlobal('fetch', vi.fn(async (url) => (
+      url.endsWith('/cancel') ? Response.json({ cancelled: true }) : stream.response
+    )))
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  const cancelCalls = () => fetch.mock.calls.filter(([url]) => url.endsWith('/cancel'))
+
+  it('returns the completed result', async () => {
+    const running = analysisAPI.analyzeTextStream('boom')
+    await flush()
+    stream.send({ type: 'started', analysis_id: 'a1' })
+    stream.send({ type: 'complete', result: { analysis_id: 'a1', solutions: [] } })
+    stream.close()
+
+    await expect(running).resolves.toEqual({ analysis_id: 'a1', solutions: [] })
+  })
+
+  it('cancels on the server when the id arrives after the user cancelled', async () => {
+    const controller = new AbortController()
+    const running = analysisAPI.analyzeTextStream('boom', '', null, { signal: controller.signal })
+    await flush()
+
+    controller.abort()
+    await expect(running).rejects.toMatchObject({ cancelled: true })
+    expect(cancelCalls()).toHaveLength(0)
+
+    stream.send({ type: 'started', analysis_id: 'late-1' })
+    await flush()
+
+    expect(cancelCalls()).toHaveLength(1)
+    expect(cancelCalls()[0][0]).toContain('/api/analysis/late-1/cancel')
+    expect(stream.cancel).toHaveBeenCalled()
+  })
+
+  it('cancels on the server once when the id is already known', async () => {
+    const controller = new AbortController()
+    const running = analysisAPI.analyzeTextStream('boom', '', null, { signal: controller.signal })
+    await flush()
+    stream.send({ type: 'started', analysis_id: 'a2' })
+    await flush()
+
+    controller.abort()
+    await expect(running).rejects.toMatchObject({ cancelled: true })
+    await flush()
+
+    expect(cancelCalls()).toHaveLength(1)
+    expect(stream.cancel).toHaveBeenCalled()
+  })
+
+  it('releases the connection when an event cannot be parsed', async () => {
+    const running = analysisAPI.analyzeTextStream('boom')
+    await flush()
+    stream.sendRaw('data: {not json\n\n')
+
+    await expect(running).rejects.toThrow()
+    expect(stream.cancel).toHaveBeenCalled()
+  })
+})
+
+// XMLHttpRequest stand-in; `respond(xhr, body)` decides how each chunk PUT ends
+class FakeXHR {
+  static respond = null
+  static sent = []
+
+  upload = {}
+  headers = {}
+
+  open(method, url) {
+    this.method = method
+    this.url = url
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value
+  }
+
+  getResponseHeader() {
+    return 'application/json'
+  }
+
+  send(body) {
+    FakeXHR.sent.push(this)
+    queueMicrotask(() => FakeXHR.respond(this, body))
+  }
+}
+
+const acceptChunk = (xhr) => {
+  const [, end] = xhr.headers['Content-Range'].match(/-(\d+)\//)
+  xhr.status = 200
+  xhr.responseText = JSON.stringify({ offset: Number(end) + 1 })
+  xhr.onload()
+}
+
+const storageKeyFor = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return `upload:${Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')}`
+}
+
+// Let the upload's retry back-off run without waiting for real
+const settle = async (promise) => {
+  let done = false
+  promise.then(() => { done = true }, () => { done = true })
+  while (!done) await vi.advanceTimersByTimeAsync(1000)
+  return promise
+}
+
+describe('uploadAPI.uploadFile', () => {
+  // jsdom's File has no arrayBuffer(), which fingerprinting needs
+  const file = new NodeFile(['0123456789'], 'shot.png', { type: 'image/png' })
+  let status
+
+  beforeEach(() => {
+    localStorage.clear()
+    vi.useFakeTimers({ toFake: ['setTimeout'] })
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    FakeXHR.sent = []
+    FakeXHR.respond = acceptChunk
+    status = vi.fn(async () => Response.json({ offset: 0, chunk_size: 4 }))
+    vi.stubGlobal('XMLHttpRequest', FakeXHR)
+    vi.stubGlobal('fetch', vi.fn(async (url, options) => (
+      options.method === 'POST' ? Response.json({ upload_id: 'new', offset: 0, chunk_size: 4 }) : status()
+    )))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  const ranges = () => FakeXHR.sent.map(xhr => xhr.headers['Content-Range'])
+
+  it('forgets an upload the server already completed', async () => {
+    const key = await storageKeyFor(file)
+    localStorage.setItem(key, 'u1')
+    status.mockResolvedValueOnce(Response.json({ offset: 10, complete: true }))
+
+    await expect(uploadAPI.uploadFile(file)).resolves.toEqual({ uploadId: 'u1', resumed: true })
+    expect(localStorage.getItem(key)).toBeNull()
+    expect(FakeXHR.sent).toHaveLength(0)
+  })
+
+  it('resumes with the chunk size the server reports', async () => {
+    const key = await storageKeyFor(file)
+    localStorage.setItem(key, 'u1')
+    status.mockResolvedValueOnce(Response.json({ offset: 4, chunk_size: 3 }))
+
+    await expect(uploadAPI.uploadFile(file)).resolves.toEqual({ uploadId: 'u1', resumed: true })
+    expect(ranges()).toEqual(['bytes 4-6/10', 'bytes 7-9/10'])
+    expect(localStorage.getItem(key)).toBeNull()
+  })
+
+  it('keeps retrying when a status check fails between chunks', async () => {
+    let failed = false
+    FakeXHR.respond = (xhr) => {
+      if (!failed) {
+        failed = true
+        xhr.onerror()
+      } else {
+        acceptChunk(xhr)
+      }
+    }
+    status.mockResolvedValueOnce(new Response('{}', { status: 500 }))
+
+    await expect(settle(uploadAPI.uploadFile(file))).resolves.toEqual({ uploadId: 'new', resumed: false })
+    expect(ranges()).toEqual(['bytes 0-3/10', 'bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10'])
+  })
+
+  it('counts failed status checks towards the retry limit', async () => {
+    FakeXHR.respond = (xhr) => xhr.onerror()
+    status.mockImplementation(async () => new Response('{}', { status: 500 }))
+
+    await expect(settle(uploadAPI.uploadFile(file))).rejects.toBeTruthy()
+    // chunk, status, chunk, status: four failed attempts against a limit of three retries
+    expect(FakeXHR.sent).toHaveLength(2)
+    expect(status).toHaveBeenCalledTimes(2)
+  })
+})
@@ -12,6 +12,8 @@ import {
   updateProfile,
   sendPasswordResetEmail,
   sendEmailVerification,
+  linkWithPopup,
+  unlink,
   connectAuthEmulator
 } from 'firebase/auth'
 import { 
@@ -28,6 +30,7 @@ import {
   getDocs,
   addDoc,
   serverTimestamp,
+  increment,
   onSnapshot,
   connectFirestoreEmulator
 } from 'firebase/firestore'
@@ -38,6 +41,8 @@ import {
   getDownloadURL,
   connectStorageEmulator
 } from 'firebase/storage'
+import { DEFAULT_SETTINGS } from '@/lib/utils/userSettings'
+import { REPUTATION_POINTS } from '@/lib/utils/reputation'
 
 // Firebase configuration with validation
 const firebaseConfig = {
@@ -142,7 +147,10 @@ export const getAuthErrorMessage = (errorCode) => {
     'auth/invalid-action-code': 'The verification link is invalid or has expired.',
     'auth/expired-action-code': 'The verification link has expired. Please request a new one.',
     'auth/missing-email': 'Please enter your email address.',
-    'auth/requires-recent-login': 'Please sign in again to complete this action.'
+    'auth/requires-recent-login': 'Please sign in again to complete this action.',
+    'auth/credential-already-in-use': 'This account is already connected to another user.',
+    'auth/provider-already-linked': 'This sign-in method is already connected.',
+    'auth/no-such-provider': 'This sign-in method is not connected.'
   }
   
   return errorMessages[errorCode] || 'An unexpected error occurred. Please try again.'
@@ -202,15 +210,12 @@ export const createUser = async (email, password, displayName) => {
       bio: '',
       avatarUrl: '',
       username: '',
-      settings: {
-        emailNotifications: true,
-        communityNotifications: true,
-        darkMode: false,
-        language: 'en'
-      },
+      settings: { ...DEFAULT_SETTINGS },
       stats: {
         errorsResolved: 0,
         solutionsHelpful: 0,
+        upvotesReceived: 0,
+        downvotesReceived: 0,
         communityPoints: 0
       }
     }
@@ -297,15 +302,12 @@ export const signInWithGoogle = async () => {
           bio: '',
           avatarUrl: user.photoURL || '',
           username: '',
-          settings: {
-            emailNotifications: true,
-            communityNotifications: true,
-            darkMode: false,
-            language: 'en'
-          },
+          settings: { ...DEFAULT_SETTINGS },
           stats: {
             errorsResolved: 0,
             solutionsHelpful: 0,
+            upvotesReceived: 0,
+            downvotesReceived: 0,
             communityPoints: 0
           }
         }
@@ -401,6 +403,49 @@ export const resendVerificationEmail = async () => {
   }
 }
 
+export const linkGoogleAccount = async () => {
+  try {
+    const user = auth.currentUser
+    
+    if (!user) {
+      throw new Error('No user is currently signed in')
+    }
+    
+    console.log('🔗 Connecting Google account')
+    const result = await linkWithPopup(user, googleProvider)
+    console.log('✅ Google account connected')
+    return result.user
+  } catch (error) {
+    console.error('❌ Error connecting Google account:', error)
+    const message = error.code ? getAuthErrorMessage(error.code) : error.message
+    throw new Error(message)
+  }
+}
+
+export const unlinkProvider = async (providerId) => {
+  try {
+    const user = auth.currentUser
+    
+    if (!user) {
+      throw new Error('No user is currently signed in')
+    }
+    
+    // Keep at least one way to sign in
+    if (user.providerData.length <= 1) {
+      throw new Error('You need at least one sign-in method')
+    }
+    
+    console.log('🔗 Disconnecting sign-in provider:', providerId)
+    const updatedUser = await unlink(user, providerId)
+    console.log('✅ Sign-in provider disconnected')
+    return updatedUser
+  } catch (error) {
+    console.error('❌ Error disconnecting provider:', error)
+    const message = error.code ? getAuthErrorMessage(error.code) : error.message
+    throw new Error(message)
+  }
+}
+
 // User profile functions
 export const getUserProfile = async (uid, retries = 1) => {
   for (let attempt = 0; attempt <= retries; attempt++) {
@@ -604,6 +649,65 @@ export const incrementAnalysisCount = async (uid) => {
   }
 }
 
+// Adjust solutionsShared when a solution is shared (+1), unpublished (-1) or
+// published again (+1). Incremented in place so concurrent shares all count.
+export const updateSolutionsShared = async (uid, delta = 1) => {
+  try {
+    console.log('📊 Updating shared solutions for user:', uid, delta)
+    const userRef = doc(db, 'users', uid)
+    const userDoc = await getDoc(userRef)
+    
+    if (userDoc.exists()) {
+      // Never go below zero
+      const change = Math.max(delta, -(userDoc.data().solutionsShared || 0))
+      if (change !== 0) {
+        await updateDoc(userRef, {
+          solutionsShared: increment(change),
+          updatedAt: serverTimestamp()
+        })
+      }
+
+      const solutionsShared = (await getDoc(userRef)).data().solutionsShared || 0
+      console.log('✅ Shared solutions updated to:', solutionsShared)
+      return solutionsShared
+    }
+  } catch (error) {
+    console.error('❌ Error updating shared solutions:', error)
+    throw new Error('Failed to track shared solution')
+  }
+}
+
+// Adjust stats.errorsResolved when an analysis becomes (un)resolved through solution
+// feedback. Each verified fix is worth REPUTATION_POINTS.verifiedFix; both fields are
+// incremented in place so points the backend awarded for votes are never overwritten.
+export const updateErrorsResolved = async (uid, delta) => {
+  try {
+    console.log('📊 Updating resolved errors for user:', uid, delta)
+    const userRef = doc(db, 'users', uid)
+    const userDoc = await getDoc(userRef)
+    
+    if (userDoc.exists()) {
+      // Never take back more fixes than were counted
+      const change = Math.max(delta, -(userDoc.data().stats?.errorsResolved || 0))
+      if (change !== 0) {
+        await updateDoc(userRef, {
+          'stats.errorsResolved': increment(change),
+          reputation: increment(change * REPUTATION_POINTS.verifiedFix),
+          updatedAt: serverTimestamp()
+        })
+      }
+
+      const updated = (await getDoc(userRef)).data()
+      const errorsResolved = updated.stats?.errorsResolved || 0
+      console.log('✅ Resolved errors updated to:', errorsResolved)
+      return { errorsResolved, reputation: updated.reputation || 0 }
+    }
+  } catch (error) {
+    console.error('❌ Error updating resolved errors:', error)
+    throw new Error('Failed to update resolved errors')
+  }
+}
+
 export const updateUserActivity = async (uid, activity) => {
   try {
     console.log('📝 Logging user activity:', uid, activity)
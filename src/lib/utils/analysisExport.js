@@ -0,0 +1,233 @@
+// src/lib/utils/analysisExport.js - Turn an analysis result into Markdown, HTML or a printable page
+
+const BREAKDOWN_LABELS = {
+  text_extraction: 'Text extraction',
+  error_classification: 'Error classification',
+  solution_matching: 'Solution matching'
+}
+
+// Confidence comes as 0-1 and effectiveness as 0-100, so callers pass the scale
+const formatPercent = (value, scale = 1) => {
+  if (value == null) return null
+  return `${Math.round((value / scale) * 100)}%`
+}
+
+// Code fence longer than any run of backticks in the text, so it can't be closed early
+const fenceFor = (text) => {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length))
+  return '`'.repeat(Math.max(3, longestRun + 1))
+}
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Format one solution as Markdown
+ * @param {Object} solution - Solution from the analysis
+ * @param {number} index - Position in the list (0-based)
+ * @returns {string}
+ */
+export const solutionToMarkdown = (solution, index) => {
+  const details = [
+    solution.difficulty && `**Difficulty:** ${solution.difficulty}`,
+    (solution.timeToComplete || solution.timeEstimate) && `**Time:** ${solution.timeToComplete || solution.timeEstimate}`,
+    solution.effectiveness != null && `**Effectiveness:** ${formatPercent(solution.effectiveness, 100)}`
+  ].filter(Boolean)
+
+  return [
+    `### ${index + 1}. ${solution.title}`,
+    details.length > 0 && details.join(' · '),
+    solution.description,
+    solution.steps?.length > 0 && solution.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')
+  ].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Format a whole analysis as Markdown, e.g. for a support ticket
+ * @param {Object} result - Analysis result
+ * @returns {string}
+ */
+export const analysisToMarkdown = (result) => {
+  const sections = [`# ${result.title || 'Error Analysis'}`]
+
+  const overview = [
+    result.category && `- **Category:** ${result.category}`,
+    result.severity && `- **Severity:** ${result.severity}`,
+    result.confidence != null && `- **Confidence:** ${formatPercent(result.confidence)}`,
+    result.analysis_id && `- **Analysis ID:** ${result.analysis_id}`
+  ].filter(Boolean)
+  if (overview.length > 0) sections.push(overview.join('\n'))
+
+  if (result.summary) sections.push(result.summary)
+  if (result.error_detected) sections.push(`**Problem detected:** ${result.error_detected}`)
+
+  if (result.detected_text) {
+    const fence = fenceFor(result.detected_text)
+    sections.push(`## Detected Text\n\n${fence}\n${result.detected_text}\n${fence}`)
+  }
+
+  if (result.causes?.length > 0) {
+    sections.push(`## Likely Causes\n\n${result.causes.map(cause => `- ${cause}`).join('\n')}`)
+  }
+
+  if (result.solutions?.length > 0) {
+    sections.push(`## Solutions\n\n${result.solutions.map(solutionToMarkdown).join('\n\n')}`)
+  }
+
+  if (result.prevention_tips?.length > 0) {
+    sections.push(`## Prevention Tips\n\n${result.prevention_tips.map(tip => `- ${tip}`).join('\n')}`)
+  }
+
+  const breakdown = result.metadata?.confidence_breakdown
+  if (breakdown) {
+    const rows = Object.entries(breakdown).map(([key, value]) =>
+      `| ${BREAKDOWN_LABELS[key] || key} | ${formatPercent(value)} |`
+    )
+    sections.push(`## Confidence Breakdown\n\n| Stage | Confidence |\n| --- | --- |\n${rows.join('\n')}`)
+  }
+
+  return sections.join('\n\n') + '\n'
+}
+
+/**
+ * Format a whole analysis as pretty-printed JSON
+ * @param {Object} result - Analysis result
+ * @returns {string}
+ */
+export const analysisToJson = (result) => JSON.stringify(result, null, 2)
+
+/**
+ * Read an image URL (blob: or same-origin) into a data URL so it can be
+ * embedded in a standalone file. Falls back to the original URL.
+ * @param {string} url - Image URL
+ * @returns {Promise<string>}
+ */
+const toDataUrl = async (url) => {
+  if (!url || url.startsWith('data:')) return url
+
+  try {
+    const blob = await (await fetch(url)).blob()
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.onerror = reject
+      reader.readAsDataURL(blob)
+    })
+  } catch {
+    return url
+  }
+}
+
+/**
+ * Build a self-contained HTML document for an analysis, with screenshots embedded
+ * @param {Object} result - Analysis result
+ * @param {Array} screenshots - [{ previewUrl, caption }]
+ * @returns {Promise<string>}
+ */
+export const analysisToHtml = async (result, screenshots = []) => {
+  const images = await Promise.all(screenshots.map(shot => toDataUrl(shot.previewUrl)))
+  const list = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+
+  const breakdown = result.metadata?.confidence_breakdown
+  const body = [
+    `<h1>${escapeHtml(result.title || 'Error Analysis')}</h1>`,
+    `<p class="meta">${[
+      result.category,
+      result.severity && `${result.severity} severity`,
+      result.confidence != null && `${formatPercent(result.confidence)} confidence`
+    ].filter(Boolean).map(escapeHtml).join(' · ')}</p>`,
+    result.summary && `<p>${escapeHtml(result.summary)}</p>`,
+    result.error_detected && `<p class="problem"><strong>Problem detected:</strong> ${escapeHtml(result.error_detected)}</p>`,
+    images.length > 0 && `<h2>Screenshots</h2><div class="shots">${images.map((src, index) => `
+      <figure>
+        <img src="${escapeHtml(src)}" alt="Screenshot ${index + 1}">
+        ${screenshots[index].caption ? `<figcaption>${escapeHtml(screenshots[index].caption)}</figcaption>` : ''}
+      </figure>`).join('')}</div>`,
+    result.detected_text && `<h2>Detected Text</h2><pre>${escapeHtml(result.detected_text)}</pre>`,
+    result.causes?.length > 0 && `<h2>Likely Causes</h2>${list(result.causes)}`,
+    result.solutions?.length > 0 && `<h2>Solutions</h2>${result.solutions.map((solution, index) => `
+      <section class="solution">
+        <h3>${index + 1}. ${escapeHtml(solution.title)}</h3>
+        <p class="meta">${[
+          solution.difficulty,
+          solution.timeToComplete || solution.timeEstimate,
+          solution.effectiveness != null && `${formatPercent(solution.effectiveness, 100)} effective`
+        ].filter(Boolean).map(escapeHtml).join(' · ')}</p>
+        ${solution.description ? `<p>${escapeHtml(solution.description)}</p>` : ''}
+        ${solution.steps?.length > 0 ? `<ol>${solution.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+      </section>`).join('')}`,
+    result.prevention_tips?.length > 0 && `<h2>Prevention Tips</h2>${list(result.prevention_tips)}`,
+    breakdown && `<h2>Confidence Breakdown</h2><table>${Object.entries(breakdown).map(([key, value]) =>
+      `<tr><td>${escapeHtml(BREAKDOWN_LABELS[key] || key)}</td><td>${formatPercent(value)}</td></tr>`
+    ).join('')}</table>`,
+    `<p class="footer">Exported from Error Screen Fix on ${new Date().toLocaleString()}</p>`
+  ].filter(Boolean).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(result.title || 'Error Analysis')}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; color: #111827; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: #6b7280; font-size: 0.9rem; }
+  .problem { background: #fef2f2; border-left: 4px solid #ef4444; padding: 0.75rem; }
+  .shots { display: flex; flex-wrap: wrap; gap: 1rem; }
+  figure { margin: 0; max-width: 100%; }
+  figure img { max-width: 100%; max-height: 400px; border: 1px solid #e5e7eb; border-radius: 4px; }
+  figcaption { font-size: 0.85rem; color: #4b5563; }
+  pre { background: #f3f4f6; padding: 0.75rem; white-space: pre-wrap; word-break: break-word; font-size: 0.8rem; }
+  .solution { border-left: 4px solid #3b82f6; padding-left: 1rem; margin-bottom: 1.5rem; break-inside: avoid; }
+  table { border-collapse: collapse; }
+  td { border: 1px solid #e5e7eb; padding: 0.25rem 0.75rem; }
+  .footer { color: #9ca3af; font-size: 0.8rem; margin-top: 3rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`
+}
+
+/**
+ * Open the browser's print dialog for an HTML document, where it can be
+ * saved as PDF
+ * @param {string} html - Complete HTML document
+ */
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe')
+  frame.style.position = 'fixed'
+  frame.style.width = '0'
+  frame.style.height = '0'
+  frame.style.border = '0'
+  document.body.appendChild(frame)
+
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove())
+    frame.contentWindow.focus()
+    frame.contentWindow.print()
+  }
+  frame.srcdoc = html
+}
+
+/**
+ * Save text content as a file download
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,86 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { analysisToMarkdown, analysisToHtml, analysisToJson, solutionToMarkdown } from './analysisExport'
+
+const RESULT = {
+  analysis_id: 'a1',
+  title: 'Blue screen <0x3B>',
+  category: 'System Error',
+  severity: 'high',
+  confidence: 1,
+  summary: 'A driver crashed the system.',
+  detected_text: 'SYSTEM_SERVICE_EXCEPTION',
+  causes: ['Outdated graphics driver'],
+  solutions: [
+    {
+      title: 'Roll back the driver',
+      difficulty: 'Easy',
+      timeToComplete: '10 minutes',
+      effectiveness: 1,
+      description: 'Go back to the previous version.',
+      steps: ['Open Device Manager', 'Roll back']
+    }
+  ],
+  metadata: { confidence_breakdown: { text_extraction: 0.9, error_classification: 0.75 } }
+}
+
+describe('analysisToMarkdown', () => {
+  it('formats the overview, text, causes, solutions and breakdown', () => {
+    const markdown = analysisToMarkdown(RESULT)
+
+    expect(markdown).toContain('# Blue screen <0x3B>')
+    expect(markdown).toContain('- **Confidence:** 100%')
+    expect(markdown).toContain('- **Analysis ID:** a1')
+    expect(markdown).toContain('## Detected Text\n\n```\nSYSTEM_SERVICE_EXCEPTION\n```')
+    expect(markdown).toContain('## Likely Causes\n\n- Outdated graphics driver')
+    expect(markdown).toContain('| Text extraction | 90% |')
+    expect(markdown).toContain('| Error classification | 75% |')
+  })
+
+  it('reads confidence as 0-1 and effectiveness as 0-100', () => {
+    expect(analysisToMarkdown({ ...RESULT, confidence: 0.01 })).toContain('**Confidence:** 1%')
+    expect(solutionToMarkdown({ ...RESULT.solutions[0], effectiveness: 1 }, 0)).toContain('**Effectiveness:** 1%')
+    expect(solutionToMarkdown({ ...RESULT.solutions[0], effectiveness: 85 }, 0)).toContain('**Effectiveness:** 85%')
+  })
+
+  it('numbers solutions and their steps', () => {
+    expect(solutionToMarkdown(RESULT.solutions[0], 1)).toBe([
+      '### 2. Roll back the driver',
+      '**Difficulty:** Easy · **Time:** 10 minutes · **Effectiveness:** 1%',
+      'Go back to the previous version.',
+      '1. Open Device Manager\n2. Roll back'
+    ].join('\n\n'))
+  })
+
+  it('fences detected text that contains backticks with a longer fence', () => {
+    const markdown = analysisToMarkdown({ detected_text: 'before\n```\ninside ````\nafter' })
+    expect(markdown).toContain('`````\nbefore\n```\ninside ````\nafter\n`````')
+  })
+
+  it('falls back to a default title and skips empty sections', () => {
+    expect(analysisToMarkdown({})).toBe('# Error Analysis\n')
+  })
+})
+
+describe('analysisToHtml', () => {
+  it('escapes text and embeds screenshots with captions', async () => {
+    const html = await analysisToHtml(RESULT, [{ previewUrl: 'data:image/png;base64,AAAA', caption: 'After <reboot>' }])
+
+    expect(html).toMatch(/^<!DOCTYPE html>/)
+    expect(html).toContain('<h1>Blue screen &lt;0x3B&gt;</h1>')
+    expect(html).toContain('<img src="data:image/png;base64,AAAA" alt="Screenshot 1">')
+    expect(html).toContain('<figcaption>After &lt;reboot&gt;</figcaption>')
+    expect(html).toContain('100% confidence')
+    expect(html).toContain('1% effective')
+    expect(html).toContain('<ol><li>Open Device Manager</li><li>Roll back</li></ol>')
+    expect(html).not.toContain('<0x3B>')
+  })
+})
+
+describe('analysisToJson', () => {
+  it('round-trips the full result', () => {
+    const json = analysisToJson(RESULT)
+    expect(JSON.parse(json)).toEqual(RESULT)
+    expect(json).toContain('\n  "analysis_id": "a1"')
+  })
+})
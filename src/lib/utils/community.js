@@ -0,0 +1,118 @@
+// src/lib/utils/community.js - Shared values for community solutions
+
+export const COMMUNITY_CATEGORIES = [
+  'System',
+  'Application',
+  'Network',
+  'Hardware',
+  'Security',
+  'Web',
+  'Mobile'
+]
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard']
+
+/**
+ * Tailwind classes for a difficulty badge
+ * @param {string} difficulty - Easy, Medium or Hard
+ * @returns {string}
+ */
+export const getDifficultyColor = (difficulty) => {
+  switch (difficulty) {
+    case 'Easy': return 'bg-green-100 text-green-800'
+    case 'Medium': return 'bg-yellow-100 text-yellow-800'
+    case 'Hard': return 'bg-red-100 text-red-800'
+    default: return 'bg-gray-100 text-gray-800'
+  }
+}
+
+/**
+ * Match an analysis category ("System Error") to a community category ("System")
+ * @param {string} category - Category from the analysis
+ * @returns {string|null} - null when no community category fits
+ */
+export const toCommunityCategory = (category = '') => {
+  if (!category) return null
+  return COMMUNITY_CATEGORIES.find(name => category.toLowerCase().includes(name.toLowerCase())) || null
+}
+
+const MIN_TITLE_LENGTH = 10
+const MAX_TAGS = 8
+
+/**
+ * Parse comma-separated tags the way they are stored: lowercase, no duplicates
+ * @param {string} text - e.g. "Windows, BSOD, drivers"
+ * @returns {string[]}
+ */
+export const parseTags = (text = '') => {
+  const tags = text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+  return [...new Set(tags)].slice(0, MAX_TAGS)
+}
+
+/**
+ * Turn an editable draft (tags and steps as text) into the payload the API expects
+ * @param {Object} draft - { title, description, category, difficulty, tags, steps, whatWorked }
+ * @returns {Object}
+ */
+export const draftToSolutionData = (draft) => ({
+  title: draft.title.trim(),
+  description: draft.description.trim(),
+  category: draft.category,
+  difficulty: draft.difficulty,
+  tags: parseTags(draft.tags),
+  steps: draft.steps.split('\n').map(step => step.trim()).filter(Boolean),
+  whatWorked: draft.whatWorked.trim() || undefined
+})
+
+/**
+ * Editable draft of an existing solution
+ * @param {Object} solution - Community solution
+ * @returns {Object}
+ */
+export const solutionToDraft = (solution) => ({
+  title: solution.title || '',
+  description: solution.description || '',
+  category: solution.category || 'Application',
+  difficulty: DIFFICULTIES.includes(solution.difficulty) ? solution.difficulty : 'Medium',
+  tags: (solution.tags || []).join(', '),
+  steps: (solution.steps || []).join('\n'),
+  whatWorked: solution.whatWorked || ''
+})
+
+/**
+ * First problem that stops a solution from being published, if any
+ * @param {Object} solutionData - Output of draftToSolutionData
+ * @returns {string|null}
+ */
+export const validateSolutionData = (solutionData) => {
+  if (solutionData.title.length < MIN_TITLE_LENGTH) return `Title must be at least ${MIN_TITLE_LENGTH} characters`
+  if (!solutionData.description) return 'Please add a description'
+  if (solutionData.steps.length === 0) return 'Please add at least one step'
+  return null
+}
+
+// Why a solution or comment can be reported
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'harmful', label: 'Harmful or dangerous steps' },
+  { value: 'incorrect', label: 'Incorrect or misleading' },
+  { value: 'offensive', label: 'Offensive or abusive' },
+  { value: 'other', label: 'Something else' }
+]
+
+/**
+ * Readable label for a report reason
+ * @param {string} reason - Value from REPORT_REASONS
+ * @returns {string}
+ */
+export const getReportReasonLabel = (reason) => {
+  return REPORT_REASONS.find(option => option.value === reason)?.label || reason
+}
+
+// What a moderator can do with a reported item; `done` is used in the log
+export const MODERATION_ACTIONS = {
+  approve: { label: 'Approve', done: 'approved' },
+  hide: { label: 'Hide', done: 'hid' },
+  edit_tags: { label: 'Edit tags', done: 'edited tags of' },
+  ban: { label: 'Ban author', done: 'banned the author of' }
+}
@@ -0,0 +1,308 @@
+// src/lib/utils/communitySearch.js - Local search over community solutions
+//
+// The backend does the real search. This index covers solutions that are
+// already loaded, so search keeps working while the backend is unreachable,
+// and it provides the highlighting and snippets shown on solution cards.
+
+const HEX_CODE = /^0x[0-9a-f]{1,16}$/i
+// ERR_CONNECTION_RESET, E_ACCESSDENIED, DRIVER_IRQL_NOT_LESS_OR_EQUAL
+const SYMBOL_CODE = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)+$/
+// EACCES, ENOENT, ECONNREFUSED
+const ERRNO_CODE = /^E[A-Z0-9]{3,}$/
+// 404, CS0246, TS2339
+const NUMERIC_CODE = /^[A-Z]{0,4}\d{3,5}$/i
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'how', 'i', 'in', 'is', 'it', 'my', 'of', 'on', 'or', 'the', 'to', 'with'])
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1, steps: 1 }
+const CODE_MATCH_SCORE = 10
+const SNIPPET_BEFORE = 60
+const SNIPPET_AFTER = 100
+
+const splitTokens = (text = '') => text.split(/[^A-Za-z0-9_]+/).filter(Boolean)
+
+/**
+ * Whether a token looks like an error code rather than a word
+ * @param {string} token - Single token, original casing
+ * @returns {boolean}
+ */
+export const isErrorCode = (token) => {
+  return HEX_CODE.test(token) || SYMBOL_CODE.test(token) || ERRNO_CODE.test(token) || NUMERIC_CODE.test(token)
+}
+
+/**
+ * Normalise an error code so different spellings match: hex codes lose
+ * their leading zeros (0x0000003B and 0x3b are the same code)
+ * @param {string} code - Error code
+ * @returns {string}
+ */
+export const normalizeErrorCode = (code) => {
+  if (HEX_CODE.test(code)) {
+    return `0x${code.slice(2).replace(/^0+(?=.)/, '').toLowerCase()}`
+  }
+  return code.toLowerCase()
+}
+
+/**
+ * Split a search query into error codes and plain search terms
+ * @param {string} query - What the user typed
+ * @returns {{ codes: string[], terms: string[] }}
+ */
+export const parseSearchQuery = (query = '') => {
+  const codes = []
+  const terms = []
+  splitTokens(query).forEach(token => {
+    if (isErrorCode(token)) {
+      codes.push(normalizeErrorCode(token))
+    } else {
+      const term = token.toLowerCase()
+      if (term.length >= 2 && !STOP_WORDS.has(term)) terms.push(term)
+    }
+  })
+  return { codes: [...new Set(codes)], terms: [...new Set(terms)] }
+}
+
+/**
+ * Words of a query to highlight in results that don't carry their own highlight
+ * @param {string} query - Search query
+ * @returns {string[]}
+ */
+export const getQueryHighlightTerms = (query = '') => {
+  return splitTokens(query).filter(token => token.length >= 2 && !STOP_WORDS.has(token.toLowerCase()))
+}
+
+// Edit distance where swapping two neighbouring letters counts as one typo,
+// giving up once it is clearly above `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let beforePrevious = null
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    beforePrevious = previous
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// How well `term` matches one word: exact, prefix or a typo away
+const scoreWord = (term, word) => {
+  if (word === term) return 1
+  if (term.length >= 3 && word.startsWith(term)) return 0.8
+  const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0
+  if (maxEdits > 0 && editDistance(term, word, maxEdits) <= maxEdits) return 0.6
+  return 0
+}
+
+// Best match for a term across the weighted fields of an entry
+const matchTerm = (entry, term) => {
+  let best = { score: 0, word: null }
+  Object.entries(entry.words).forEach(([field, words]) => {
+    words.forEach(word => {
+      const score = scoreWord(term, word) * FIELD_WEIGHTS[field]
+      if (score > best.score) best = { score, word }
+    })
+  })
+  return best
+}
+
+const indexSolution = (solution) => {
+  const fields = {
+    title: solution.title || '',
+    tags: (solution.tags || []).join(' '),
+    description: solution.description || '',
+    steps: (solution.steps || []).join(' ')
+  }
+
+  // Normalised code -> the spelling used in the text, for highlighting
+  const codes = new Map()
+  const words = {}
+  Object.entries(fields).forEach(([field, text]) => {
+    const tokens = splitTokens(text)
+    tokens.filter(isErrorCode).forEach(token => codes.set(normalizeErrorCode(token), token))
+    words[field] = [...new Set(tokens.map(token => token.toLowerCase()))]
+  })
+
+  return { solution, codes, words }
+}
+
+/**
+ * Build a search index over loaded solutions
+ * @param {Array} solutions - Community solutions
+ * @returns {Array}
+ */
+export const buildSearchIndex = (solutions = []) => solutions.map(indexSolution)
+
+// Text around the first match in the description or steps
+const buildSnippet = (solution, matchedWords) => {
+  const texts = [solution.description, ...(solution.steps || [])].filter(Boolean)
+  for (const text of texts) {
+    const lower = text.toLowerCase()
+    const position = matchedWords
+      .map(word => lower.indexOf(word.toLowerCase()))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0]
+
+    if (position !== undefined) {
+      const start = Math.max(0, position - SNIPPET_BEFORE)
+      const end = Math.min(text.length, position + SNIPPET_AFTER)
+      return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`
+    }
+  }
+  return null
+}
+
+const SORTERS = {
+  recent: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  popular: (a, b) => (b.upvoteCount || 0) + (b.commentCount || 0) - (a.upvoteCount || 0) - (a.commentCount || 0),
+  top: (a, b) => (b.upvoteCount || 0) - (b.downvoteCount || 0) - (a.upvoteCount || 0) + (a.downvoteCount || 0)
+}
+
+/**
+ * Search the local index. Every code and term must match; codes match
+ * exactly, terms also by prefix or with a typo. Results carry
+ * `highlight: { terms, snippet }` like the backend's search results.
+ * @param {Array} index - Output of buildSearchIndex
+ * @param {string} query - Search query
+ * @param {Object} filters - { category, difficulty, sort }
+ * @returns {Array} Matching solutions, best first
+ */
+export const searchSolutions = (index, query, { category, difficulty, sort = 'recent' } = {}) => {
+  const { codes, terms } = parseSearchQuery(query)
+  const candidates = index.filter(entry =>
+    (!category || entry.solution.category === category) &&
+    (!difficulty || entry.solution.difficulty === difficulty)
+  )
+
+  if (codes.length === 0 && terms.length === 0) {
+    return candidates.map(entry => entry.solution).sort(SORTERS[sort] || SORTERS.recent)
+  }
+
+  const results = []
+  candidates.forEach(entry => {
+    let score = 0
+    const matchedWords = []
+
+    const allMatch = [...codes.map(code => ({ code })), ...terms.map(term => ({ term }))].every(({ code, term }) => {
+      if (code && entry.codes.has(code)) {
+        score += CODE_MATCH_SCORE
+        matchedWords.push(entry.codes.get(code))
+        return true
+      }
+      // A code that isn't in the text can still match as a plain word
+      const match = matchTerm(entry, term || code)
+      score += match.score
+      if (match.word) matchedWords.push(match.word)
+      return match.score > 0
+    })
+
+    if (allMatch) {
+      results.push({
+        score,
+        solution: {
+          ...entry.solution,
+          highlight: { terms: matchedWords, snippet: buildSnippet(entry.solution, matchedWords) }
+        }
+      })
+    }
+  })
+
+  return results.sort((a, b) => b.score - a.score).map(result => result.solution)
+}
+
+/**
+ * Rank community solutions by how closely they match an analysis: shared
+ * error codes count most, then shared tags and category, with votes as a
+ * tie-breaker. Solutions that share no code or tag are dropped; the same
+ * category alone says little about the error.
+ * @param {Array} solutions - Candidate community solutions
+ * @param {Object} analysis - { codes, tags, category } of the analysis
+ * @returns {Array} [{ solution, score, reasons: { codes, tags, category } }], best first
+ */
+export const rankSimilarSolutions = (solutions, { codes = [], tags = [], category } = {}) => {
+  const wantedCodes = new Set(codes.map(normalizeErrorCode))
+  const wantedTags = new Set(tags.map(tag => tag.toLowerCase()))
+
+  return buildSearchIndex(solutions)
+    .map(entry => {
+      const { solution } = entry
+      const reasons = {
+        codes: [...entry.codes].filter(([code]) => wantedCodes.has(code)).map(([, original]) => original),
+        tags: (solution.tags || []).filter(tag => wantedTags.has(tag.toLowerCase())),
+        category: !!category && solution.category === category
+      }
+      const votes = (solution.upvoteCount || 0) - (solution.downvoteCount || 0)
+      const relevance = reasons.codes.length * CODE_MATCH_SCORE + reasons.tags.length * 2 + (reasons.category ? 1 : 0)
+      return { solution, reasons, relevance, score: relevance + Math.log10(Math.max(votes, 0) + 1) }
+    })
+    .filter(match => match.reasons.codes.length > 0 || match.reasons.tags.length > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ solution, score, reasons }) => ({ solution, score, reasons }))
+}
+
+/**
+ * Search-as-you-type suggestions from the local index
+ * @param {Array} index - Output of buildSearchIndex
+ * @param {string} query - Partial query
+ * @param {number} max - Maximum suggestions
+ * @returns {Array} [{ type: 'code' | 'tag' | 'solution', value, id? }]
+ */
+export const getLocalSuggestions = (index, query = '', max = 6) => {
+  const text = query.trim()
+  if (text.length < 2) return []
+
+  const prefix = text.toLowerCase()
+  const codePrefix = isErrorCode(text) ? normalizeErrorCode(text) : prefix
+  const codes = new Map()
+  const tags = new Set()
+
+  index.forEach(entry => {
+    entry.codes.forEach((original, code) => {
+      if (code.startsWith(codePrefix) || original.toLowerCase().startsWith(prefix)) codes.set(code, original)
+    })
+    ;(entry.solution.tags || []).forEach(tag => {
+      if (tag.toLowerCase().startsWith(prefix)) tags.add(tag)
+    })
+  })
+
+  const solutions = searchSolutions(index, text).slice(0, max)
+
+  return [
+    ...[...codes.values()].slice(0, 2).map(value => ({ type: 'code', value })),
+    ...[...tags].slice(0, 2).map(value => ({ type: 'tag', value })),
+    ...solutions.map(solution => ({ type: 'solution', value: solution.title, id: solution.id }))
+  ].slice(0, max)
+}
+
+/**
+ * Split text into matched and unmatched parts for highlighting
+ * @param {string} text - Text to show
+ * @param {string[]} terms - Words to highlight
+ * @returns {Array} [{ text, match }]
+ */
+export const getHighlightParts = (text = '', terms = []) => {
+  const words = [...new Set(terms.filter(term => term && term.length >= 2))]
+  if (!text || words.length === 0) return [{ text, match: false }]
+
+  const escaped = words
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi')
+
+  return text.split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: words.some(word => word.toLowerCase() === part.toLowerCase()) }))
+}
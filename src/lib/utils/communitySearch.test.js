@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isErrorCode,
+  normalizeErrorCode,
+  parseSearchQuery,
+  buildSearchIndex,
+  searchSolutions,
+  rankSimilarSolutions,
+  getLocalSuggestions,
+  getHighlightParts
+} from './communitySearch'
+
+const SOLUTIONS = [
+  {
+    id: 'bsod',
+    title: 'Fix blue screen 0x0000003B after driver update',
+    tags: ['windows', 'drivers'],
+    category: 'system',
+    description: 'Roll back the graphics driver that SYSTEM_SERVICE_EXCEPTION points to.',
+    steps: ['Boot into safe mode', 'Roll back the display driver'],
+    upvoteCount: 12,
+    createdAt: '2024-01-01'
+  },
+  {
+    id: 'npm',
+    title: 'npm install fails with EACCES',
+    tags: ['node', 'permissions'],
+    category: 'development',
+    description: 'Change the npm prefix so global installs do not need sudo.',
+    steps: [],
+    upvoteCount: 3,
+    createdAt: '2024-03-01'
+  },
+  {
+    id: 'chrome',
+    title: 'Chrome shows ERR_CONNECTION_RESET',
+    tags: ['browser', 'network'],
+    category: 'network',
+    description: 'Reset the network stack and clear the DNS cache.',
+    steps: [],
+    upvoteCount: 30,
+    createdAt: '2024-02-01'
+  }
+]
+
+const index = buildSearchIndex(SOLUTIONS)
+const ids = (results) => results.map(solution => solution.id)
+
+describe('error code parsing', () => {
+  it('recognises hex, symbolic, errno and numeric codes', () => {
+    ['0x0000003B', 'ERR_CONNECTION_RESET', 'EACCES', '404', 'CS0246', 'TS2339'].forEach(code => {
+      expect(isErrorCode(code)).toBe(true)
+    })
+    ;['driver', 'Error', 'E1', 'npm'].forEach(word => {
+      expect(isErrorCode(word)).toBe(false)
+    })
+  })
+
+  it('treats hex codes with and without leading zeros as the same code', () => {
+    expect(normalizeErrorCode('0x0000003B')).toBe('0x3b')
+    expect(normalizeErrorCode('0x3b')).toBe('0x3b')
+    expect(normalizeErrorCode('0x0')).toBe('0x0')
+  })
+
+  it('splits a query into codes and terms without stop words', () => {
+    expect(parseSearchQuery('How to fix 0x3B and 0x0000003b on my PC')).toEqual({
+      codes: ['0x3b'],
+      terms: ['fix', 'pc']
+    })
+  })
+
+  it('does not mistake snake_case identifiers for codes', () => {
+    expect(parseSearchQuery('user_profile failed with ENOENT 0x3B').codes).toEqual(['enoent', '0x3b'])
+  })
+})
+
+describe('searchSolutions', () => {
+  it('matches error codes regardless of how they are written', () => {
+    expect(ids(searchSolutions(index, '0x3b'))).toEqual(['bsod'])
+    expect(ids(searchSolutions(index, 'eacces'))).toEqual(['npm'])
+  })
+
+  it('matches terms by prefix and with a typo', () => {
+    expect(ids(searchSolutions(index, 'permis'))).toEqual(['npm'])
+    expect(ids(searchSolutions(index, 'drievr'))).toEqual(['bsod']) // swapped letters
+    expect(ids(searchSolutions(index, 'netwrok'))).toEqual(['chrome'])
+  })
+
+  it('does not allow typos in very short terms', () => {
+    expect(searchSolutions(index, 'nmp')).toEqual([])
+  })
+
+  it('requires every term to match', () => {
+    expect(ids(searchSolutions(index, 'driver sudo'))).toEqual([])
+  })
+
+  it('returns highlight terms and a snippet around the first match', () => {
+    const [result] = searchSolutions(index, 'DNS')
+    expect(result.highlight.terms).toEqual(['dns'])
+    expect(result.highlight.snippet).toContain('DNS cache')
+  })
+
+  it('applies filters and sorts when there is no query', () => {
+    expect(ids(searchSolutions(index, ''))).toEqual(['npm', 'chrome', 'bsod'])
+    expect(ids(searchSolutions(index, '', { sort: 'top' }))).toEqual(['chrome', 'bsod', 'npm'])
+    expect(ids(searchSolutions(index, '', { category: 'network' }))).toEqual(['chrome'])
+  })
+})
+
+describe('rankSimilarSolutions', () => {
+  it('ranks shared codes above shared tags and drops unrelated solutions', () => {
+    const ranked = rankSimilarSolutions(SOLUTIONS, { codes: ['0x3b'], tags: ['Network'] })
+    expect(ranked.map(match => match.solution.id)).toEqual(['bsod', 'chrome'])
+    expect(ranked[0].reasons.codes).toEqual(['0x0000003B'])
+    expect(ranked[1].reasons.tags).toEqual(['network'])
+  })
+
+  it('drops solutions that only share the category', () => {
+    expect(rankSimilarSolutions(SOLUTIONS, { codes: ['ENOENT'], category: 'network' })).toEqual([])
+  })
+
+  it('uses the category to order solutions that also share a tag', () => {
+    const ranked = rankSimilarSolutions(SOLUTIONS, { tags: ['drivers', 'node'], category: 'development' })
+    expect(ranked.map(match => match.solution.id)).toEqual(['npm', 'bsod'])
+  })
+})
+
+describe('getLocalSuggestions', () => {
+  it('suggests codes, tags and solutions for a prefix', () => {
+    expect(getLocalSuggestions(index, 'err_con')).toEqual([
+      { type: 'code', value: 'ERR_CONNECTION_RESET' },
+      { type: 'solution', value: 'Chrome shows ERR_CONNECTION_RESET', id: 'chrome' }
+    ])
+    expect(getLocalSuggestions(index, 'win')[0]).toEqual({ type: 'tag', value: 'windows' })
+  })
+
+  it('waits for at least two characters', () => {
+    expect(getLocalSuggestions(index, 'w')).toEqual([])
+  })
+})
+
+describe('getHighlightParts', () => {
+  it('marks every case-insensitive match', () => {
+    expect(getHighlightParts('Driver update broke the driver', ['driver'])).toEqual([
+      { text: 'Driver', match: true },
+      { text: ' update broke the ', match: false },
+      { text: 'driver', match: true }
+    ])
+  })
+
+  it('prefers the longest term and escapes regex characters', () => {
+    expect(getHighlightParts('Use C++ not C', ['c+', 'c++'])).toEqual([
+      { text: 'Use ', match: false },
+      { text: 'C++', match: true },
+      { text: ' not C', match: false }
+    ])
+  })
+
+  it('returns the text unchanged when there is nothing to highlight', () => {
+    expect(getHighlightParts('plain', ['x'])).toEqual([{ text: 'plain', match: false }])
+    expect(getHighlightParts('', ['word'])).toEqual([{ text: '', match: false }])
+  })
+})
@@ -1,5 +1,7 @@
 // src/lib/utils/imageProcessor.js
 import imageCompression from 'browser-image-compression'
+import { recognizeText } from './ocr'
+import { detectSensitiveText, summarizeMasking } from './piiDetector'
 
 /**
  * Compress image file to reduce size while maintaining quality
@@ -251,6 +253,7 @@ export const extractColors = async (file, colorCount = 5) => {
  * Process image for upload with all optimizations
  * @param {File} file - The image file to process
  * @param {Object} options - Processing options
+ * @param {boolean} options.maskSensitiveData - Run OCR and black out emails, IPs, keys, etc.
  * @returns {Promise<Object>} - Processed image data
  */
 export const processImageForUpload = async (file, options = {}) => {
@@ -264,6 +267,22 @@ export const processImageForUpload = async (file, options = {}) => {
       processedFile = await compressImage(file, options)
     }
     
+    // Mask sensitive text before anything is encoded (opt-in). A failed scan
+    // is reported in masking.failed so the caller can ask before sending.
+    let masking = { applied: false, regions: [] }
+    if (options.maskSensitiveData) {
+      try {
+        const regions = await detectSensitiveRegions(processedFile)
+        if (regions.length > 0) {
+          processedFile = await maskSensitiveRegions(processedFile, regions)
+        }
+        masking = { applied: true, regions, ...summarizeMasking(regions) }
+      } catch (error) {
+        console.error('Failed to mask sensitive data:', error)
+        masking = { applied: false, failed: true, regions: [] }
+      }
+    }
+    
     // Convert to base64
     const base64 = await fileToBase64(processedFile, { compress: false })
     
@@ -275,6 +294,7 @@ export const processImageForUpload = async (file, options = {}) => {
     
     return {
       file: processedFile,
+      masking,
       base64,
       thumbnail,
       colors,
@@ -289,4 +309,273 @@ export const processImageForUpload = async (file, options = {}) => {
     console.error('Image processing failed:', error)
     throw error
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Load an image file into an HTMLImageElement
+ * @param {Blob} file - The image file or blob
+ * @returns {Promise<HTMLImageElement>} - Loaded image
+ */
+export const loadImage = (file) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    const url = URL.createObjectURL(file)
+
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Failed to load image'))
+    }
+
+    img.src = url
+  })
+}
+
+/**
+ * Convert a canvas to a File
+ * @param {HTMLCanvasElement} canvas - The canvas to export
+ * @param {string} name - File name
+ * @param {string} type - Output MIME type
+ * @param {number} quality - Output quality for lossy formats (0 to 1)
+ * @returns {Promise<File>} - Image file
+ */
+export const canvasToFile = (canvas, name, type = 'image/png', quality = 0.92) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to export image'))
+        return
+      }
+      resolve(new File([blob], name, { type, lastModified: Date.now() }))
+    }, type, quality)
+  })
+}
+
+/**
+ * Crop an image file to a rectangle
+ * @param {File} file - The image file
+ * @param {Object} rect - Crop area in image pixels ({ x, y, width, height })
+ * @returns {Promise<File>} - Cropped image file (same name and type)
+ */
+export const cropImage = async (file, rect) => {
+  const img = await loadImage(file)
+
+  const x = Math.max(0, Math.round(rect.x))
+  const y = Math.max(0, Math.round(rect.y))
+  const width = Math.min(img.width - x, Math.round(rect.width))
+  const height = Math.min(img.height - y, Math.round(rect.height))
+
+  if (width <= 0 || height <= 0) {
+    throw new Error('Crop area is empty')
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(img, x, y, width, height, 0, 0, width, height)
+
+  const type = file.type === 'image/gif' ? 'image/png' : file.type
+  return canvasToFile(canvas, file.name, type)
+}
+
+/**
+ * Check whether the browser can capture the screen
+ * @returns {boolean}
+ */
+export const isScreenCaptureSupported = () => {
+  return typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getDisplayMedia
+}
+
+/**
+ * Grab a single frame from a screen, window or tab chosen by the user
+ * @returns {Promise<File>} - PNG file of the captured frame
+ */
+export const captureScreenFrame = async () => {
+  if (!isScreenCaptureSupported()) {
+    throw new Error('Screen capture is not supported in this browser')
+  }
+
+  let stream
+  try {
+    stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false })
+  } catch (error) {
+    if (error.name === 'NotAllowedError') {
+      throw new Error('Screen capture was cancelled')
+    }
+    throw new Error('Could not start screen capture')
+  }
+
+  try {
+    const video = document.createElement('video')
+    video.srcObject = stream
+    video.muted = true
+    await video.play()
+
+    // Give the browser a moment to paint the first real frame
+    await new Promise(resolve => setTimeout(resolve, 150))
+
+    const canvas = document.createElement('canvas')
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height)
+
+    return await canvasToFile(canvas, `screen-capture-${Date.now()}.png`)
+  } finally {
+    stream.getTracks().forEach(track => track.stop())
+  }
+}
+
+/**
+ * Blur a region of a canvas by downscaling it and scaling it back up.
+ * Works in every browser (unlike ctx.filter) and leaves text unreadable.
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} rect - Region in canvas pixels ({ x, y, width, height })
+ * @param {number} strength - Downscale factor, higher is blurrier
+ */
+const blurRegion = (ctx, rect, strength = 12) => {
+  const width = Math.max(1, Math.round(rect.width / strength))
+  const height = Math.max(1, Math.round(rect.height / strength))
+
+  const small = document.createElement('canvas')
+  small.width = width
+  small.height = height
+  const smallCtx = small.getContext('2d')
+  smallCtx.imageSmoothingEnabled = true
+  smallCtx.drawImage(ctx.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height)
+
+  ctx.save()
+  ctx.imageSmoothingEnabled = true
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(small, 0, 0, width, height, rect.x, rect.y, rect.width, rect.height)
+  ctx.restore()
+}
+
+/**
+ * Draw an arrow from one point to another
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} shape - Arrow ({ x1, y1, x2, y2, color })
+ * @param {number} lineWidth - Stroke width in canvas pixels
+ */
+const drawArrow = (ctx, shape, lineWidth) => {
+  const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1)
+  const head = lineWidth * 4
+
+  ctx.save()
+  ctx.strokeStyle = shape.color
+  ctx.fillStyle = shape.color
+  ctx.lineWidth = lineWidth
+  ctx.lineCap = 'round'
+
+  ctx.beginPath()
+  ctx.moveTo(shape.x1, shape.y1)
+  ctx.lineTo(shape.x2, shape.y2)
+  ctx.stroke()
+
+  ctx.beginPath()
+  ctx.moveTo(shape.x2, shape.y2)
+  ctx.lineTo(shape.x2 - head * Math.cos(angle - Math.PI / 6), shape.y2 - head * Math.sin(angle - Math.PI / 6))
+  ctx.lineTo(shape.x2 - head * Math.cos(angle + Math.PI / 6), shape.y2 - head * Math.sin(angle + Math.PI / 6))
+  ctx.closePath()
+  ctx.fill()
+  ctx.restore()
+}
+
+/**
+ * Apply redactions, annotations and an optional crop to an image
+ * @param {File} file - The original image file
+ * @param {Object} edits - Edits in natural image pixels
+ * @param {Array} edits.shapes - Ordered shapes: { type: 'blackout'|'blur'|'box', x, y, width, height }
+ *   or { type: 'arrow', x1, y1, x2, y2 }
+ * @param {Object} [edits.crop] - Area to keep ({ x, y, width, height })
+ * @returns {Promise<File>} - New image file with the edits burned in
+ */
+export const applyImageEdits = async (file, { shapes = [], crop = null } = {}) => {
+  const img = await loadImage(file)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = img.width
+  canvas.height = img.height
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(img, 0, 0)
+
+  // Scale strokes with the image so annotations stay visible on 4K captures
+  const lineWidth = Math.max(2, Math.round(Math.max(img.width, img.height) / 400))
+
+  shapes.forEach((shape) => {
+    switch (shape.type) {
+      case 'blackout':
+        ctx.fillStyle = '#000'
+        ctx.fillRect(shape.x, shape.y, shape.width, shape.height)
+        break
+      case 'blur':
+        blurRegion(ctx, shape)
+        break
+      case 'box':
+        ctx.save()
+        ctx.strokeStyle = shape.color
+        ctx.lineWidth = lineWidth
+        ctx.strokeRect(shape.x, shape.y, shape.width, shape.height)
+        ctx.restore()
+        break
+      case 'arrow':
+        drawArrow(ctx, shape, lineWidth)
+        break
+      default:
+        console.warn('Unknown edit shape:', shape.type)
+    }
+  })
+
+  // Export as PNG so text edges and annotations stay crisp
+  const edited = await canvasToFile(canvas, file.name.replace(/\.\w+$/, '') + '.png')
+  const result = crop ? await cropImage(edited, crop) : edited
+
+  // PNG exports of large screenshots can exceed the upload limit
+  if (result.size > 10 * 1024 * 1024) {
+    return compressImage(result, { maxSizeMB: 9, fileType: 'image/jpeg' })
+  }
+
+  return result
+}
+
+/**
+ * Find likely sensitive text (emails, IPs, user paths, keys, serials) in an image
+ * @param {File} file - The image file
+ * @param {Object} options - Options passed to the OCR step (e.g. onProgress)
+ * @returns {Promise<Array>} - Regions in image pixels: [{ id, type, label, text, bbox, masked }]
+ */
+export const detectSensitiveRegions = async (file, options = {}) => {
+  const ocrResult = await recognizeText(file, options)
+  return detectSensitiveText(ocrResult)
+}
+
+/**
+ * Black out the regions that are marked as masked
+ * @param {File} file - The unmasked image file
+ * @param {Array} regions - Regions from detectSensitiveRegions
+ * @returns {Promise<File>} - Masked image, or the original file if nothing is masked
+ */
+export const maskSensitiveRegions = async (file, regions) => {
+  const shapes = regions
+    .filter(region => region.masked)
+    .map(region => ({ type: 'blackout', ...region.bbox }))
+
+  if (shapes.length === 0) return file
+  return applyImageEdits(file, { shapes })
+}
+
+/**
+ * Ask before sending screenshots that could not be scanned for sensitive text
+ * @param {number} count - Number of screenshots whose scan failed
+ * @returns {boolean} - True when there is nothing to ask about or the user agreed
+ */
+export const confirmUnmaskedUpload = (count) => {
+  if (count === 0) return true
+  const subject = count === 1 ? 'A screenshot' : `${count} screenshots`
+  return window.confirm(
+    `${subject} could not be checked for private information and will be sent without masking. Send anyway?`
+  )
+}
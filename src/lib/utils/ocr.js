@@ -0,0 +1,135 @@
+// src/lib/utils/ocr.js - In-browser text recognition for screenshots
+import { createWorker } from 'tesseract.js'
+// Worker, engine and language data are bundled with the app so screenshots
+// are read without any request to a third-party CDN
+import workerUrl from 'tesseract.js/dist/worker.min.js?url'
+import coreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url'
+import coreSimdUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url'
+import engDataUrl from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url'
+
+// Fail instead of waiting forever when the worker can't start, e.g. when the
+// language data is missing; the next scan then tries again
+const WORKER_START_TIMEOUT = 60000
+
+let workerPromise = null
+let progressListener = null
+// Recognition jobs run one at a time so progress reports go to the right caller
+let queue = Promise.resolve()
+
+// Smallest module using a SIMD instruction; valid only where SIMD is supported
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0,
+  10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+])
+
+// The worker runs from a blob URL, so every path it loads must be absolute
+const toAbsoluteUrl = (url) => new URL(url, window.location.href).href
+
+// tesseract.js requests `${langPath}/eng.traineddata.gz` itself, so the build
+// keeps that file name unhashed (see assetFileNames in vite.config.js)
+const getLangPath = () => toAbsoluteUrl(engDataUrl.slice(0, engDataUrl.lastIndexOf('/') + 1))
+
+/**
+ * Lazily create a single shared OCR worker
+ * @returns {Promise<Object>} - Tesseract worker
+ */
+const getWorker = () => {
+  if (!workerPromise) {
+    const hasSimd = WebAssembly.validate(SIMD_TEST_MODULE)
+
+    const starting = createWorker('eng', 1, {
+      workerPath: toAbsoluteUrl(workerUrl),
+      corePath: toAbsoluteUrl(hasSimd ? coreSimdUrl : coreUrl),
+      langPath: getLangPath(),
+      // The browser already caches the language file; skip the IndexedDB copy
+      cacheMethod: 'none',
+      logger: (message) => {
+        if (message.status === 'recognizing text' && progressListener) {
+          progressListener(message.progress)
+        }
+      },
+      // Failed jobs also reject their own promise; without a handler the
+      // worker rethrows them as uncaught errors
+      errorHandler: (error) => console.warn('OCR worker error:', error)
+    })
+
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('OCR worker did not start in time')), WORKER_START_TIMEOUT)
+    })
+
+    workerPromise = Promise.race([starting, timeout])
+      .finally(() => clearTimeout(timer))
+      .catch((error) => {
+        // Allow a later call to retry after a failed start, and don't leave
+        // a worker that starts late running in the background
+        workerPromise = null
+        starting.then(worker => worker.terminate()).catch(() => {})
+        throw error
+      })
+  }
+  return workerPromise
+}
+
+const runRecognition = async (image, onProgress) => {
+  try {
+    const worker = await getWorker()
+    progressListener = onProgress || null
+
+    const { data } = await worker.recognize(image)
+
+    const lines = (data.lines || []).map(line => ({
+      text: line.text.trim(),
+      confidence: line.confidence,
+      words: line.words.map(word => ({
+        text: word.text,
+        confidence: word.confidence,
+        bbox: {
+          x: word.bbox.x0,
+          y: word.bbox.y0,
+          width: word.bbox.x1 - word.bbox.x0,
+          height: word.bbox.y1 - word.bbox.y0
+        }
+      }))
+    }))
+
+    return {
+      text: data.text.trim(),
+      confidence: data.confidence,
+      lines
+    }
+  } catch (error) {
+    console.error('Text recognition failed:', error)
+    throw new Error('Failed to read text from image')
+  } finally {
+    progressListener = null
+  }
+}
+
+/**
+ * Run OCR on an image
+ * @param {Blob} image - The image file or blob
+ * @param {Object} options - Recognition options
+ * @param {Function} options.onProgress - Called with progress between 0 and 1
+ * @returns {Promise<Object>} - { text, confidence, lines: [{ text, words: [{ text, confidence, bbox }] }] }
+ */
+export const recognizeText = (image, { onProgress } = {}) => {
+  const job = queue.then(() => runRecognition(image, onProgress))
+  queue = job.catch(() => {})
+  return job
+}
+
+/**
+ * Shut down the OCR worker and free its memory
+ */
+export const terminateOcr = async () => {
+  if (!workerPromise) return
+  const pending = workerPromise
+  workerPromise = null
+  try {
+    const worker = await pending
+    await worker.terminate()
+  } catch (error) {
+    console.warn('Failed to terminate OCR worker:', error.message)
+  }
+}
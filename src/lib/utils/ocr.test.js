@@ -0,0 +1,81 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createWorker } from 'tesseract.js'
+
+vi.mock('tesseract.js', () => ({ createWorker: vi.fn() }))
+
+const fakeWorker = () => ({
+  recognize: vi.fn().mockResolvedValue({ data: { text: ' hello ', confidence: 90, lines: [] } }),
+  terminate: vi.fn().mockResolvedValue()
+})
+
+// ocr.js keeps its worker in module state, so load a fresh copy per test
+const loadOcr = async () => {
+  vi.resetModules()
+  return import('./ocr')
+}
+
+describe('recognizeText', () => {
+  beforeEach(() => {
+    createWorker.mockReset()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('starts the worker with the language code and a self-hosted langPath', async () => {
+    createWorker.mockResolvedValue(fakeWorker())
+    const { recognizeText } = await loadOcr()
+
+    const result = await recognizeText(new Blob(['x']))
+
+    expect(result.text).toBe('hello')
+    const [langs, , options] = createWorker.mock.calls[0]
+    expect(langs).toBe('eng')
+    expect(options.langPath).toMatch(/^https?:\/\/.+\/$/)
+    expect(options.langPath.startsWith(window.location.origin)).toBe(true)
+  })
+
+  it('reuses one worker for several scans', async () => {
+    createWorker.mockResolvedValue(fakeWorker())
+    const { recognizeText } = await loadOcr()
+
+    await Promise.all([recognizeText(new Blob(['a'])), recognizeText(new Blob(['b']))])
+
+    expect(createWorker).toHaveBeenCalledTimes(1)
+  })
+
+  it('rejects instead of hanging when the worker never starts, and retries next time', async () => {
+    vi.useFakeTimers()
+    createWorker.mockReturnValueOnce(new Promise(() => {}))
+    const { recognizeText } = await loadOcr()
+
+    const first = recognizeText(new Blob(['x']))
+    const failed = expect(first).rejects.toThrow('Failed to read text from image')
+    await vi.advanceTimersByTimeAsync(60000)
+    await failed
+
+    createWorker.mockResolvedValueOnce(fakeWorker())
+    await expect(recognizeText(new Blob(['x']))).resolves.toMatchObject({ text: 'hello' })
+    expect(createWorker).toHaveBeenCalledTimes(2)
+  })
+
+  it('terminates a worker that starts after the timeout', async () => {
+    vi.useFakeTimers()
+    const worker = fakeWorker()
+    let finishStart
+    createWorker.mockReturnValueOnce(new Promise(resolve => { finishStart = resolve }))
+    const { recognizeText } = await loadOcr()
+
+    const failed = expect(recognizeText(new Blob(['x']))).rejects.toThrow()
+    await vi.advanceTimersByTimeAsync(60000)
+    await failed
+
+    finishStart(worker)
+    await vi.advanceTimersByTimeAsync(0)
+    expect(worker.terminate).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,178 @@
+// src/lib/utils/offlineQueue.js - Analyses waiting in IndexedDB for the backend to come back
+
+const DB_NAME = 'error-screen-fix'
+const DB_VERSION = 1
+const STORE_NAME = 'pendingAnalyses'
+
+// Fired on window whenever the queue changes so open pages can refresh
+export const QUEUE_CHANGED_EVENT = 'offlineQueueChanged'
+// Fired on window to ask the background worker to try the queue right away
+export const PROCESS_QUEUE_EVENT = 'processOfflineQueue'
+// After this many failed rounds an item stops retrying until the user asks
+export const MAX_QUEUE_ATTEMPTS = 5
+
+// Only one tab at a time sends the queue
+const QUEUE_LOCK_NAME = 'error-screen-fix:offline-queue'
+// Without Web Locks a tab leases the lock in localStorage; a tab that closes
+// mid-drain releases it when the lease runs out
+const QUEUE_LOCK_LEASE = 10 * 60 * 1000
+const TAB_ID = Math.random().toString(36).slice(2)
+
+let dbPromise = null
+
+/**
+ * Open (and create on first use) the queue database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not available in this browser'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        store.createIndex('userId', 'userId')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run one request against the store and resolve with its result
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>}
+ */
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+const notifyChange = () => {
+  window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT))
+}
+
+/**
+ * Check whether offline storage can be used
+ * @returns {boolean}
+ */
+export const isOfflineQueueSupported = () => typeof indexedDB !== 'undefined'
+
+/**
+ * Store an analysis request to be sent later
+ * @param {Object} entry - { userId, type: 'image' | 'text', title, images?, text?, source?, context }
+ * @returns {Promise<Object>} - The stored item
+ */
+export const enqueueAnalysis = async (entry) => {
+  const item = {
+    ...entry,
+    id: `queued-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  }
+
+  await runRequest('readwrite', store => store.add(item))
+  notifyChange()
+  return item
+}
+
+/**
+ * Get a user's queued analyses, oldest first
+ * @param {string} userId - Firebase user id
+ * @returns {Promise<Array>}
+ */
+export const getQueuedAnalyses = async (userId) => {
+  const items = await runRequest('readonly', store => store.index('userId').getAll(userId))
+  return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Merge changes into a queued analysis
+ * @param {string} id - Queue item id
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<void>}
+ */
+export const updateQueuedAnalysis = async (id, changes) => {
+  const item = await runRequest('readonly', store => store.get(id))
+  if (!item) return
+
+  await runRequest('readwrite', store => store.put({ ...item, ...changes }))
+  notifyChange()
+}
+
+/**
+ * Remove an analysis from the queue
+ * @param {string} id - Queue item id
+ * @returns {Promise<void>}
+ */
+export const removeQueuedAnalysis = async (id) => {
+  await runRequest('readwrite', store => store.delete(id))
+  notifyChange()
+}
+
+/**
+ * Take the localStorage lease unless another tab holds a live one
+ * @returns {boolean} - Whether this tab now holds the lease
+ */
+const acquireLease = () => {
+  try {
+    const held = JSON.parse(localStorage.getItem(QUEUE_LOCK_NAME) || 'null')
+    if (held && held.owner !== TAB_ID && held.expires > Date.now()) return false
+
+    localStorage.setItem(QUEUE_LOCK_NAME, JSON.stringify({ owner: TAB_ID, expires: Date.now() + QUEUE_LOCK_LEASE }))
+  } catch (error) {
+    // Storage is blocked or full; sending twice beats never sending
+    console.warn('Could not lock the offline queue:', error)
+  }
+  return true
+}
+
+const releaseLease = () => {
+  try {
+    const held = JSON.parse(localStorage.getItem(QUEUE_LOCK_NAME) || 'null')
+    if (held?.owner === TAB_ID) localStorage.removeItem(QUEUE_LOCK_NAME)
+  } catch {
+    // Nothing was stored
+  }
+}
+
+/**
+ * Run `callback` unless another tab is already sending the queue
+ * @param {Function} callback - Async work done while holding the lock
+ * @returns {Promise<boolean>} - False when another tab holds the lock
+ */
+export const withQueueLock = async (callback) => {
+  if (navigator.locks?.request) {
+    return navigator.locks.request(QUEUE_LOCK_NAME, { ifAvailable: true }, async (lock) => {
+      if (!lock) return false
+      await callback()
+      return true
+    })
+  }
+
+  if (!acquireLease()) return false
+  try {
+    await callback()
+    return true
+  } finally {
+    releaseLease()
+  }
+}
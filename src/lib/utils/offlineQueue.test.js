@@ -0,0 +1,78 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// offlineQueue.js keeps its tab id and database in module state
+const loadQueue = async () => {
+  vi.resetModules()
+  return import('./offlineQueue')
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe('withQueueLock', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('uses Web Locks when the browser has them', async () => {
+    const request = vi.fn((name, options, callback) => callback({ name }))
+    vi.stubGlobal('navigator', { ...navigator, locks: { request } })
+    const { withQueueLock } = await loadQueue()
+    const work = vi.fn()
+
+    await expect(withQueueLock(work)).resolves.toBe(true)
+    expect(work).toHaveBeenCalled()
+    expect(request.mock.calls[0][1]).toEqual({ ifAvailable: true })
+  })
+
+  it('skips the work while another tab holds the Web Lock', async () => {
+    vi.stubGlobal('navigator', { ...navigator, locks: { request: (name, options, callback) => callback(null) } })
+    const { withQueueLock } = await loadQueue()
+    const work = vi.fn()
+
+    await expect(withQueueLock(work)).resolves.toBe(false)
+    expect(work).not.toHaveBeenCalled()
+  })
+
+  it('falls back to a localStorage lease that another tab respects', async () => {
+    const first = await loadQueue()
+    const second = await loadQueue() // a fresh module stands in for another tab
+    let secondResult
+
+    await first.withQueueLock(async () => {
+      secondResult = await second.withQueueLock(vi.fn())
+    })
+
+    expect(secondResult).toBe(false)
+    // Released afterwards, so the other tab can take over
+    await expect(second.withQueueLock(vi.fn())).resolves.toBe(true)
+  })
+
+  it('takes over a lease left behind by a closed tab', async () => {
+    localStorage.setItem('error-screen-fix:offline-queue', JSON.stringify({ owner: 'gone', expires: Date.now() - 1 }))
+    const { withQueueLock } = await loadQueue()
+
+    await expect(withQueueLock(vi.fn())).resolves.toBe(true)
+  })
+
+  it('releases the lease when the work fails', async () => {
+    const { withQueueLock } = await loadQueue()
+
+    await expect(withQueueLock(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom')
+    expect(localStorage.getItem('error-screen-fix:offline-queue')).toBeNull()
+  })
+})
+
+describe('without IndexedDB', () => {
+  it('reports the queue as unsupported and rejects new items', async () => {
+    vi.stubGlobal('indexedDB', undefined)
+    const { isOfflineQueueSupported, enqueueAnalysis } = await loadQueue()
+
+    expect(isOfflineQueueSupported()).toBe(false)
+    await expect(enqueueAnalysis({ userId: 'u1', type: 'text', text: 'boom' }))
+      .rejects.toThrow('Offline storage is not available')
+  })
+})
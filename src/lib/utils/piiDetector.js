@@ -0,0 +1,168 @@
+// src/lib/utils/piiDetector.js - Find likely sensitive text in OCR output
+
+/**
+ * Patterns for text that should not leave the browser. Each is matched
+ * against whole OCR lines so values split across several words are caught.
+ */
+const PII_PATTERNS = [
+  {
+    type: 'email',
+    label: 'Email address',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  {
+    type: 'ip',
+    label: 'IP address',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g
+  },
+  {
+    type: 'ip',
+    label: 'IP address',
+    pattern: /\b(?:[0-9a-f]{1,4}:){4,7}[0-9a-f]{1,4}\b/gi
+  },
+  {
+    type: 'path',
+    label: 'User folder path',
+    pattern: /[A-Z]:\\(?:Users|Documents and Settings)\\[^\\\s]+/gi
+  },
+  {
+    type: 'path',
+    label: 'User folder path',
+    pattern: /\/(?:home|Users)\/[^/\s]+/g
+  },
+  {
+    type: 'api_key',
+    label: 'API key or token',
+    pattern: /\b(?:sk|pk|rk)[-_](?:live|test|proj)?[-_]?[A-Za-z0-9]{16,}\b|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{30,}\b|\bAIza[0-9A-Za-z_-]{35}\b|\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g
+  },
+  {
+    type: 'api_key',
+    label: 'API key or token',
+    pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/g
+  },
+  {
+    type: 'serial',
+    label: 'Product key',
+    pattern: /\b[A-Z0-9]{5}(?:-[A-Z0-9]{5}){4}\b/g
+  },
+  {
+    type: 'serial',
+    label: 'Serial number',
+    pattern: /\b(?:serial(?:\s*(?:number|no\.?))?|s\/n|sn)\s*[:#]?\s*[A-Z0-9-]{6,}/gi
+  }
+]
+
+// Long random-looking strings (hashes, session ids, secrets)
+const TOKEN_PATTERN = /^[A-Za-z0-9_\-+/=]{32,}$/
+
+/**
+ * Check whether a single word looks like a secret token
+ * @param {string} word - OCR word
+ * @returns {boolean}
+ */
+const looksLikeToken = (word) => {
+  // Error codes such as 0x0000003B are what we want to analyse
+  if (/^0x[0-9a-f]+$/i.test(word)) return false
+  return TOKEN_PATTERN.test(word) && /\d/.test(word) && /[A-Za-z]/.test(word)
+}
+
+/**
+ * Union of word bounding boxes, padded so glyph edges are covered
+ * @param {Array} words - OCR words with bbox
+ * @returns {Object} - { x, y, width, height }
+ */
+const unionBox = (words) => {
+  const x0 = Math.min(...words.map(w => w.bbox.x))
+  const y0 = Math.min(...words.map(w => w.bbox.y))
+  const x1 = Math.max(...words.map(w => w.bbox.x + w.bbox.width))
+  const y1 = Math.max(...words.map(w => w.bbox.y + w.bbox.height))
+  const pad = Math.max(2, Math.round((y1 - y0) * 0.15))
+
+  return {
+    x: Math.max(0, x0 - pad),
+    y: Math.max(0, y0 - pad),
+    width: x1 - x0 + pad * 2,
+    height: y1 - y0 + pad * 2
+  }
+}
+
+/**
+ * Hide most of a sensitive value so it can be listed without repeating it
+ * @param {string} text - Matched text
+ * @returns {string}
+ */
+export const obscureText = (text) => {
+  if (text.length <= 4) return '•'.repeat(text.length)
+  return `${text.slice(0, 2)}${'•'.repeat(Math.min(text.length - 4, 12))}${text.slice(-2)}`
+}
+
+/**
+ * Find sensitive text regions in an OCR result
+ * @param {Object} ocrResult - Output of recognizeText ({ lines })
+ * @returns {Array} - [{ id, type, label, text, bbox, masked }]
+ */
+export const detectSensitiveText = (ocrResult) => {
+  const regions = []
+
+  ocrResult.lines.forEach((line, lineIndex) => {
+    if (line.words.length === 0) return
+
+    // Rebuild the line from its words so character offsets map back to boxes
+    let offset = 0
+    const spans = line.words.map(word => {
+      const span = { word, start: offset, end: offset + word.text.length }
+      offset = span.end + 1
+      return span
+    })
+    const lineText = line.words.map(w => w.text).join(' ')
+    const covered = new Set()
+
+    PII_PATTERNS.forEach(({ type, label, pattern }) => {
+      pattern.lastIndex = 0
+      let match
+      while ((match = pattern.exec(lineText)) !== null) {
+        const start = match.index
+        const end = start + match[0].length
+        const hit = spans.filter(s => s.start < end && s.end > start)
+        if (hit.length === 0 || hit.every(s => covered.has(s))) continue
+
+        hit.forEach(s => covered.add(s))
+        regions.push({
+          id: `${lineIndex}-${start}-${type}`,
+          type,
+          label,
+          text: match[0],
+          bbox: unionBox(hit.map(s => s.word)),
+          masked: true
+        })
+      }
+    })
+
+    spans.forEach((span, wordIndex) => {
+      if (covered.has(span) || !looksLikeToken(span.word.text)) return
+      regions.push({
+        id: `${lineIndex}-w${wordIndex}-token`,
+        type: 'api_key',
+        label: 'API key or token',
+        text: span.word.text,
+        bbox: unionBox([span.word]),
+        masked: true
+      })
+    })
+  })
+
+  return regions
+}
+
+/**
+ * Summarise which kinds of data were masked, for the analysis request
+ * @param {Array} regions - Regions from detectSensitiveText
+ * @returns {Object} - { count, types }
+ */
+export const summarizeMasking = (regions) => {
+  const masked = regions.filter(r => r.masked)
+  return {
+    count: masked.length,
+    types: [...new Set(masked.map(r => r.type))]
+  }
+}
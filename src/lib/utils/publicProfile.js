@@ -0,0 +1,28 @@
+// src/lib/utils/publicProfile.js - Usernames and the public profile pages they address
+
+// Usernames are stored lowercase so checkUsernameAvailability() can match them exactly
+const USERNAME_PATTERN = /^[a-z0-9_]{3,20}$/
+
+/**
+ * Username as it is stored: no leading @, lowercase
+ * @param {string} username - What the user typed
+ * @returns {string}
+ */
+export const normalizeUsername = (username = '') => username.trim().replace(/^@/, '').toLowerCase()
+
+/**
+ * Problem with a normalised username, if any
+ * @param {string} username - Output of normalizeUsername
+ * @returns {string|null}
+ */
+export const validateUsername = (username) => {
+  if (!USERNAME_PATTERN.test(username)) return 'Usernames are 3-20 letters, numbers or underscores'
+  return null
+}
+
+/**
+ * Route of a user's public profile
+ * @param {string} username - Stored username
+ * @returns {string}
+ */
+export const getProfilePath = (username) => `/u/${encodeURIComponent(username)}`
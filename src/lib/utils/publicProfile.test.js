@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeUsername, validateUsername, getProfilePath } from './publicProfile'
+
+describe('normalizeUsername', () => {
+  it('drops a leading @, surrounding spaces and capitals', () => {
+    expect(normalizeUsername('  @Jane_Doe ')).toBe('jane_doe')
+    expect(normalizeUsername()).toBe('')
+  })
+})
+
+describe('validateUsername', () => {
+  it('accepts 3-20 lowercase letters, numbers and underscores', () => {
+    expect(validateUsername('abc')).toBeNull()
+    expect(validateUsername('user_2024')).toBeNull()
+    expect(validateUsername('a'.repeat(20))).toBeNull()
+  })
+
+  it('rejects anything else', () => {
+    ['ab', 'a'.repeat(21), 'jane.doe', 'jane doe', 'Jane', ''].forEach(username => {
+      expect(validateUsername(username)).toBe('Usernames are 3-20 letters, numbers or underscores')
+    })
+  })
+})
+
+describe('getProfilePath', () => {
+  it('builds the /u/ route for a username', () => {
+    expect(getProfilePath('jane_doe')).toBe('/u/jane_doe')
+    expect(getProfilePath('a/b')).toBe('/u/a%2Fb')
+  })
+})
@@ -0,0 +1,63 @@
+// src/lib/utils/reputation.js - How reputation is earned and the levels it unlocks
+//
+// Votes and acceptances happen on other people's accounts, so the backend
+// applies those points to the author's profile. It uses the same table; the
+// client only adds the points for verifying one of their own fixes.
+
+export const REPUTATION_POINTS = {
+  upvote: 10, // someone upvoted your solution
+  downvote: -2, // someone downvoted your solution
+  accepted: 25, // your solution fixed someone's error
+  verifiedFix: 5 // you confirmed a fix for one of your own errors
+}
+
+export const REPUTATION_LEVELS = [
+  { name: 'Newcomer', min: 0, color: 'bg-gray-100 text-gray-700' },
+  { name: 'Contributor', min: 50, color: 'bg-green-100 text-green-800' },
+  { name: 'Helper', min: 200, color: 'bg-blue-100 text-blue-800' },
+  { name: 'Expert', min: 500, color: 'bg-purple-100 text-purple-800' },
+  { name: 'Guru', min: 1500, color: 'bg-yellow-100 text-yellow-800' }
+]
+
+export const LEADERBOARD_PERIODS = [
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' },
+  { value: 'all', label: 'All Time' }
+]
+
+/**
+ * Points earned from the community: votes on and acceptances of shared solutions
+ * @param {Object} stats - Profile stats ({ upvotesReceived, downvotesReceived, solutionsHelpful })
+ * @returns {number}
+ */
+export const calculateCommunityPoints = (stats = {}) => Math.max(0,
+  (stats.upvotesReceived || 0) * REPUTATION_POINTS.upvote +
+  (stats.downvotesReceived || 0) * REPUTATION_POINTS.downvote +
+  (stats.solutionsHelpful || 0) * REPUTATION_POINTS.accepted
+)
+
+/**
+ * Level reached with a given reputation, and the level after it
+ * @param {number} reputation - Reputation points
+ * @returns {{ name: string, min: number, color: string, next: Object|null }}
+ */
+export const getReputationLevel = (reputation = 0) => {
+  const index = REPUTATION_LEVELS.reduce((found, level, i) => (reputation >= level.min ? i : found), 0)
+  return { ...REPUTATION_LEVELS[index], next: REPUTATION_LEVELS[index + 1] || null }
+}
+
+// Badges earned for milestones, shown on public profiles
+export const ACHIEVEMENT_BADGES = [
+  { id: 'first_solution', label: 'First Solution', description: 'Shared a solution with the community', earned: (profile) => (profile.solutionsShared || 0) >= 1 },
+  { id: 'prolific', label: 'Prolific', description: 'Shared 10 solutions', earned: (profile) => (profile.solutionsShared || 0) >= 10 },
+  { id: 'helpful', label: 'Helpful', description: 'Solutions fixed 10 errors for others', earned: (profile) => (profile.stats?.solutionsHelpful || 0) >= 10 },
+  { id: 'popular', label: 'Popular', description: 'Received 100 upvotes', earned: (profile) => (profile.stats?.upvotesReceived || 0) >= 100 },
+  { id: 'problem_solver', label: 'Problem Solver', description: 'Verified 10 fixes for own errors', earned: (profile) => (profile.stats?.errorsResolved || 0) >= 10 }
+]
+
+/**
+ * Milestone badges a profile has earned
+ * @param {Object} profile - User profile with solutionsShared and stats
+ * @returns {Array} Entries of ACHIEVEMENT_BADGES
+ */
+export const getEarnedBadges = (profile = {}) => ACHIEVEMENT_BADGES.filter(badge => badge.earned(profile))
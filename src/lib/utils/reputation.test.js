@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import {
+  REPUTATION_LEVELS,
+  calculateCommunityPoints,
+  getReputationLevel,
+  getEarnedBadges
+} from './reputation'
+
+describe('calculateCommunityPoints', () => {
+  it('adds up votes and accepted solutions', () => {
+    expect(calculateCommunityPoints({ upvotesReceived: 3, downvotesReceived: 5, solutionsHelpful: 2 })).toBe(30 - 10 + 50)
+  })
+
+  it('never goes below zero and handles missing stats', () => {
+    expect(calculateCommunityPoints({ downvotesReceived: 10 })).toBe(0)
+    expect(calculateCommunityPoints()).toBe(0)
+    expect(calculateCommunityPoints(undefined)).toBe(0)
+  })
+})
+
+describe('getReputationLevel', () => {
+  it('returns the highest level reached and the one after it', () => {
+    expect(getReputationLevel(0)).toMatchObject({ name: 'Newcomer', next: { name: 'Contributor' } })
+    expect(getReputationLevel(199)).toMatchObject({ name: 'Contributor', next: { name: 'Helper' } })
+    expect(getReputationLevel(200).name).toBe('Helper')
+  })
+
+  it('has no next level at the top', () => {
+    const top = REPUTATION_LEVELS[REPUTATION_LEVELS.length - 1]
+    expect(getReputationLevel(top.min + 1000)).toMatchObject({ name: top.name, next: null })
+  })
+
+  it('treats negative reputation as the first level', () => {
+    expect(getReputationLevel(-5).name).toBe('Newcomer')
+  })
+})
+
+describe('getEarnedBadges', () => {
+  it('lists milestone badges the profile has reached', () => {
+    const badges = getEarnedBadges({ solutionsShared: 12, stats: { upvotesReceived: 99, errorsResolved: 10 } })
+    expect(badges.map(badge => badge.id)).toEqual(['first_solution', 'prolific', 'problem_solver'])
+  })
+
+  it('returns nothing for a new profile', () => {
+    expect(getEarnedBadges({})).toEqual([])
+    expect(getEarnedBadges()).toEqual([])
+  })
+})
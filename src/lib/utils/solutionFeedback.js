@@ -0,0 +1,46 @@
+// src/lib/utils/solutionFeedback.js - Outcomes users report after trying a solution
+
+// Ordered best to worst; only 'worked' marks the error as resolved
+export const SOLUTION_OUTCOMES = [
+  { value: 'worked', label: 'Worked', className: 'bg-green-100 text-green-800' },
+  { value: 'partially', label: 'Partially', className: 'bg-blue-100 text-blue-800' },
+  { value: 'did_not_work', label: "Didn't work", className: 'bg-gray-100 text-gray-800' },
+  { value: 'made_worse', label: 'Made it worse', className: 'bg-red-100 text-red-800' }
+]
+
+/**
+ * Look up the display details of an outcome
+ * @param {string} value - Outcome value
+ * @returns {Object|undefined}
+ */
+export const getOutcome = (value) => SOLUTION_OUTCOMES.find(outcome => outcome.value === value)
+
+/**
+ * Index an analysis's feedback entries by solution id
+ * @param {Array} feedback - [{ solution_id, outcome, notes }]
+ * @returns {Object} - { [solutionId]: { outcome, notes } }
+ */
+export const feedbackBySolution = (feedback = []) => {
+  return feedback.reduce((map, entry) => ({
+    ...map,
+    [entry.solution_id]: { outcome: entry.outcome, notes: entry.notes || '' }
+  }), {})
+}
+
+/**
+ * Check whether any solution of an analysis fixed the error
+ * @param {Object} feedbackMap - Result of feedbackBySolution
+ * @returns {boolean}
+ */
+export const isResolvedByFeedback = (feedbackMap) => {
+  return Object.values(feedbackMap).some(entry => entry.outcome === 'worked')
+}
+
+/**
+ * Pick the best outcome reported for an analysis, for list views
+ * @param {Array} feedback - [{ solution_id, outcome }]
+ * @returns {Object|null} - Outcome details or null without feedback
+ */
+export const getBestOutcome = (feedback = []) => {
+  return SOLUTION_OUTCOMES.find(outcome => feedback.some(entry => entry.outcome === outcome.value)) || null
+}
@@ -0,0 +1,23 @@
+// src/lib/utils/storedAnalysis.js - Helpers for analyses loaded back from the server
+
+/**
+ * Past analyses keep thumbnails of their screenshots instead of the files.
+ * Map them to the { id, previewUrl, caption } shape AnalysisResults expects.
+ * @param {Object} analysis - Analysis returned by the API
+ * @returns {Array}
+ */
+export const getStoredScreenshots = (analysis) => {
+  if (analysis.screenshots?.length > 0) {
+    return analysis.screenshots.map((shot, index) => ({
+      id: shot.id || String(index),
+      previewUrl: shot.thumbnail_url,
+      caption: shot.caption || ''
+    }))
+  }
+
+  if (analysis.thumbnail_url) {
+    return [{ id: '0', previewUrl: analysis.thumbnail_url, caption: '' }]
+  }
+
+  return []
+}
@@ -0,0 +1,103 @@
+// src/lib/utils/textProcessor.js - Prepare pasted error text and log files for analysis
+
+export const TEXT_FILE_EXTENSIONS = ['.txt', '.log', '.json']
+export const MAX_TEXT_FILE_SIZE = 5 * 1024 * 1024 // 5MB
+// Characters sent for analysis; the end of a log is where the error usually is
+export const MAX_TEXT_LENGTH = 20000
+
+/**
+ * Validate a text or log file before reading it
+ * @param {File} file - The file to validate
+ * @returns {Object} - { extension, size }
+ */
+export const validateTextFile = (file) => {
+  if (!file) {
+    throw new Error('No file provided')
+  }
+
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase()
+  if (!TEXT_FILE_EXTENSIONS.includes(extension)) {
+    throw new Error(`Invalid file type. Supported types: ${TEXT_FILE_EXTENSIONS.join(', ')}`)
+  }
+
+  if (file.size === 0) {
+    throw new Error('File is empty.')
+  }
+
+  if (file.size > MAX_TEXT_FILE_SIZE) {
+    throw new Error('File is too large. Maximum size is 5MB.')
+  }
+
+  return { extension, size: file.size }
+}
+
+const trimMarker = (removedLines) => `[... ${removedLines} earlier line${removedLines === 1 ? '' : 's'} trimmed ...]\n`
+
+/**
+ * Keep only the end of long text, cutting on a line boundary. The result,
+ * including the note about trimmed lines, is at most `maxLength` characters.
+ * @param {string} text - Full text
+ * @param {number} maxLength - Maximum characters to keep
+ * @returns {Object} - { text, truncated, removedLines }
+ */
+export const trimToTail = (text, maxLength = MAX_TEXT_LENGTH) => {
+  if (text.length <= maxLength) {
+    return { text, truncated: false, removedLines: 0 }
+  }
+
+  // The note can't name more lines than the text has, so this leaves room for it
+  const budget = Math.max(0, maxLength - trimMarker(text.split('\n').length).length)
+  let tail = budget > 0 ? text.slice(-budget) : ''
+  const firstBreak = tail.indexOf('\n')
+  if (firstBreak !== -1 && firstBreak < tail.length - 1) {
+    tail = tail.slice(firstBreak + 1)
+  }
+
+  const removed = text.slice(0, text.length - tail.length)
+  const removedLines = removed.split('\n').length - (removed.endsWith('\n') ? 1 : 0)
+
+  return {
+    text: `${trimMarker(removedLines)}${tail}`,
+    truncated: true,
+    removedLines
+  }
+}
+
+/**
+ * Pretty-print a JSON document so nested error fields are readable.
+ * Anything else, including newline-delimited JSON logs, is returned as is.
+ * @param {string} text - File contents
+ * @returns {string}
+ */
+export const formatJsonText = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Read a text or log file and trim it for analysis
+ * @param {File} file - The file to read
+ * @returns {Promise<Object>} - { text, truncated, removedLines, originalLength }
+ */
+export const readTextFile = async (file) => {
+  const { extension } = validateTextFile(file)
+
+  let text = await file.text()
+  if (text.includes('\u0000')) {
+    throw new Error('This looks like a binary file. Please upload a plain text log.')
+  }
+
+  // Windows line endings would count twice towards the limit
+  text = text.replace(/\r\n/g, '\n')
+  if (extension === '.json') {
+    text = formatJsonText(text)
+  }
+
+  return {
+    ...trimToTail(text),
+    originalLength: text.length
+  }
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_TEXT_LENGTH,
+  validateTextFile,
+  trimToTail,
+  formatJsonText,
+  readTextFile
+} from './textProcessor'
+
+const lines = (count, width = 40) => Array.from({ length: count }, (_, i) => `line ${i}`.padEnd(width, '.')).join('\n')
+
+describe('trimToTail', () => {
+  it('returns short text unchanged', () => {
+    expect(trimToTail('short\ntext', 100)).toEqual({ text: 'short\ntext', truncated: false, removedLines: 0 })
+  })
+
+  it('never returns more than maxLength characters, note included', () => {
+    const text = lines(5000)
+    const result = trimToTail(text)
+
+    expect(result.truncated).toBe(true)
+    expect(result.text.length).toBeLessThanOrEqual(MAX_TEXT_LENGTH)
+  })
+
+  it('keeps whole lines from the end and counts the ones it removed', () => {
+    const text = lines(10, 9) // 10 lines of 9 characters
+    const result = trimToTail(text, 60)
+
+    const [note, ...kept] = result.text.split('\n')
+    expect(note).toBe(`[... ${result.removedLines} earlier lines trimmed ...]`)
+    expect(kept.every(line => line.length === 9)).toBe(true)
+    expect(kept[kept.length - 1]).toBe('line 9...')
+    expect(result.removedLines + kept.length).toBe(10)
+    expect(result.text.length).toBeLessThanOrEqual(60)
+  })
+
+  it('uses the singular for one removed line', () => {
+    const result = trimToTail(`${'x'.repeat(50)}\n${'y'.repeat(10)}`, 45)
+    expect(result.text).toBe(`[... 1 earlier line trimmed ...]\n${'y'.repeat(10)}`)
+  })
+
+  it('stays within the limit when trimming the result again', () => {
+    const once = trimToTail(lines(3000), 1000)
+    const twice = trimToTail(`${once.text}\nmore`, 1000)
+    expect(twice.text.length).toBeLessThanOrEqual(1000)
+  })
+})
+
+describe('validateTextFile', () => {
+  it('accepts log files regardless of extension case', () => {
+    expect(validateTextFile(new File(['boom'], 'App.LOG'))).toEqual({ extension: '.log', size: 4 })
+  })
+
+  it('rejects other file types and empty files', () => {
+    expect(() => validateTextFile(new File(['x'], 'shot.png'))).toThrow('Invalid file type')
+    expect(() => validateTextFile(new File([], 'empty.txt'))).toThrow('File is empty.')
+    expect(() => validateTextFile(null)).toThrow('No file provided')
+  })
+})
+
+describe('formatJsonText', () => {
+  it('pretty-prints a JSON document', () => {
+    expect(formatJsonText('{"error":{"code":42}}')).toBe('{\n  "error": {\n    "code": 42\n  }\n}')
+  })
+
+  it('leaves newline-delimited JSON and plain text alone', () => {
+    const ndjson = '{"a":1}\n{"b":2}'
+    expect(formatJsonText(ndjson)).toBe(ndjson)
+    expect(formatJsonText('not json')).toBe('not json')
+  })
+})
+
+describe('readTextFile', () => {
+  it('normalises Windows line endings before trimming', async () => {
+    const result = await readTextFile(new File(['first\r\nsecond\r\n'], 'out.txt'))
+    expect(result).toMatchObject({ text: 'first\nsecond\n', truncated: false, originalLength: 13 })
+  })
+
+  it('rejects binary content', async () => {
+    await expect(readTextFile(new File(['ab\u0000cd'], 'dump.log'))).rejects.toThrow('binary file')
+  })
+
+  it('trims large logs to the limit', async () => {
+    const result = await readTextFile(new File([lines(2000)], 'big.log'))
+    expect(result.truncated).toBe(true)
+    expect(result.text.length).toBeLessThanOrEqual(MAX_TEXT_LENGTH)
+    expect(result.originalLength).toBeGreaterThan(MAX_TEXT_LENGTH)
+  })
+})
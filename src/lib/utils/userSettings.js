@@ -0,0 +1,55 @@
+// src/lib/utils/userSettings.js - Defaults and options for the user's settings
+
+// Profiles created before a setting existed don't have it, so always read
+// settings through getUserSettings()
+export const DEFAULT_SETTINGS = {
+  emailNotifications: true,
+  communityNotifications: true,
+  darkMode: false,
+  language: 'en',
+  // Privacy
+  defaultRedaction: false,
+  historyRetentionDays: null,
+  publicProfile: true
+}
+
+export const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+  { value: 'fr', label: 'Français' },
+  { value: 'de', label: 'Deutsch' },
+  { value: 'pt', label: 'Português' }
+]
+
+export const HISTORY_RETENTION_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'forever', label: 'Forever' }
+]
+
+// Sign-in providers that can be shown on the settings page
+export const SIGN_IN_PROVIDERS = {
+  password: { label: 'Email & password' },
+  'google.com': { label: 'Google' }
+}
+
+/**
+ * The user's settings with defaults filled in
+ * @param {Object} userProfile - Firestore user profile
+ * @returns {Object}
+ */
+export const getUserSettings = (userProfile) => ({
+  ...DEFAULT_SETTINGS,
+  ...(userProfile?.settings || {})
+})
+
+/**
+ * Apply the settings that change the page itself (theme and language)
+ * @param {Object} settings - Output of getUserSettings
+ */
+export const applyDocumentSettings = (settings) => {
+  const root = document.documentElement
+  root.classList.toggle('dark', !!settings.darkMode)
+  root.lang = settings.language || DEFAULT_SETTINGS.language
+}
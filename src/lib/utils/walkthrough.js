@@ -0,0 +1,93 @@
+// src/lib/utils/walkthrough.js - Progress of a guided fix, kept across reboots
+
+const WALKTHROUGH_STORAGE_PREFIX = 'walkthrough:'
+
+const UNIT_SECONDS = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800 }
+const UNIT_ALIASES = { s: 'second', sec: 'second', secs: 'second', m: 'minute', min: 'minute', mins: 'minute', h: 'hour', hr: 'hour', hrs: 'hour', d: 'day', wk: 'week', wks: 'week' }
+
+/**
+ * Seconds in a unit word ("min", "hours", "days"); minutes when there is none
+ * @param {string} word - Unit as written, lowercase
+ * @returns {number|null} - null for a unit the parser doesn't know
+ */
+const unitSeconds = (word) => {
+  if (!word) return UNIT_SECONDS.minute
+  return UNIT_SECONDS[UNIT_ALIASES[word] || word.replace(/s$/, '')] ?? null
+}
+
+/**
+ * Parse a solution's time estimate ("10-15 minutes", "about an hour", "1-2 days")
+ * @param {string} text - Estimate as returned by the analysis
+ * @returns {Object|null} - { min, max } in seconds, or null if unreadable
+ */
+export const parseTimeToComplete = (text) => {
+  if (!text) return null
+
+  const match = String(text).toLowerCase()
+    .match(/\b(?:(\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*)?([a-z]+)?|an?\s+([a-z]+))/)
+  if (!match) return null
+
+  const multiplier = unitSeconds(match[3] || match[4])
+  if (multiplier === null) return null
+
+  const min = (match[1] ? parseFloat(match[1]) : 1) * multiplier
+  const max = match[2] ? parseFloat(match[2]) * multiplier : min
+
+  return { min, max }
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+export const formatElapsed = (seconds) => {
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0')
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`
+}
+
+/**
+ * Load saved walkthrough progress for an analysis
+ * @param {string} analysisId - Analysis the walkthrough belongs to
+ * @returns {Object|null} - { solutionIndex, stepIndex, completed, failed, elapsed, updatedAt }
+ */
+export const loadWalkthrough = (analysisId) => {
+  if (!analysisId) return null
+
+  try {
+    const saved = localStorage.getItem(WALKTHROUGH_STORAGE_PREFIX + analysisId)
+    return saved ? JSON.parse(saved) : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Save walkthrough progress for an analysis
+ * @param {string} analysisId - Analysis the walkthrough belongs to
+ * @param {Object} progress - Progress to store
+ */
+export const saveWalkthrough = (analysisId, progress) => {
+  if (!analysisId) return
+
+  try {
+    localStorage.setItem(
+      WALKTHROUGH_STORAGE_PREFIX + analysisId,
+      JSON.stringify({ ...progress, updatedAt: new Date().toISOString() })
+    )
+  } catch (error) {
+    console.warn('Failed to save walkthrough progress:', error.message)
+  }
+}
+
+/**
+ * Forget walkthrough progress for an analysis
+ * @param {string} analysisId - Analysis the walkthrough belongs to
+ */
+export const clearWalkthrough = (analysisId) => {
+  if (analysisId) localStorage.removeItem(WALKTHROUGH_STORAGE_PREFIX + analysisId)
+}
@@ -0,0 +1,93 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  parseTimeToComplete,
+  formatElapsed,
+  loadWalkthrough,
+  saveWalkthrough,
+  clearWalkthrough
+} from './walkthrough'
+
+describe('parseTimeToComplete', () => {
+  it('reads ranges and single values in seconds', () => {
+    expect(parseTimeToComplete('10-15 minutes')).toEqual({ min: 600, max: 900 })
+    expect(parseTimeToComplete('5 to 10 min')).toEqual({ min: 300, max: 600 })
+    expect(parseTimeToComplete('1.5 hours')).toEqual({ min: 5400, max: 5400 })
+    expect(parseTimeToComplete('45 sec')).toEqual({ min: 45, max: 45 })
+  })
+
+  it('assumes minutes when no unit is given', () => {
+    expect(parseTimeToComplete('20')).toEqual({ min: 1200, max: 1200 })
+  })
+
+  it('reads "a" and "an" as one', () => {
+    expect(parseTimeToComplete('about an hour')).toEqual({ min: 3600, max: 3600 })
+    expect(parseTimeToComplete('a minute or two')).toEqual({ min: 60, max: 60 })
+  })
+
+  it('reads days and weeks', () => {
+    expect(parseTimeToComplete('1-2 days')).toEqual({ min: 86400, max: 172800 })
+    expect(parseTimeToComplete('1 week')).toEqual({ min: 604800, max: 604800 })
+  })
+
+  it('returns null for a unit it does not know', () => {
+    expect(parseTimeToComplete('2 fortnights')).toBeNull()
+    expect(parseTimeToComplete('a while')).toBeNull()
+  })
+
+  it('returns null for estimates without a number', () => {
+    expect(parseTimeToComplete('it depends')).toBeNull()
+    expect(parseTimeToComplete('')).toBeNull()
+    expect(parseTimeToComplete(undefined)).toBeNull()
+  })
+})
+
+describe('formatElapsed', () => {
+  it('formats minutes and hours', () => {
+    expect(formatElapsed(0)).toBe('0:00')
+    expect(formatElapsed(65)).toBe('1:05')
+    expect(formatElapsed(3725)).toBe('1:02:05')
+  })
+})
+
+describe('walkthrough progress', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('saves, loads and clears progress per analysis', () => {
+    saveWalkthrough('a1', { solutionIndex: 0, stepIndex: 2, completed: [0, 1] })
+
+    expect(loadWalkthrough('a1')).toMatchObject({ solutionIndex: 0, stepIndex: 2, completed: [0, 1] })
+    expect(loadWalkthrough('a1').updatedAt).toEqual(expect.any(String))
+    expect(loadWalkthrough('a2')).toBeNull()
+
+    clearWalkthrough('a1')
+    expect(loadWalkthrough('a1')).toBeNull()
+  })
+
+  it('ignores corrupt saved progress', () => {
+    localStorage.setItem('walkthrough:a1', '{oops')
+    expect(loadWalkthrough('a1')).toBeNull()
+  })
+
+  it('does nothing without an analysis id', () => {
+    saveWalkthrough(null, { stepIndex: 1 })
+    expect(localStorage.length).toBe(0)
+    expect(loadWalkthrough(null)).toBeNull()
+  })
+
+  it('keeps going when storage is full', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError')
+    })
+
+    expect(() => saveWalkthrough('a1', { stepIndex: 1 })).not.toThrow()
+    expect(console.warn).toHaveBeenCalled()
+  })
+})
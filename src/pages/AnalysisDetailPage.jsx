@@ -0,0 +1,74 @@
+// src/pages/AnalysisDetailPage.jsx - Re-open a past analysis from the history
+import React, { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { AlertCircle, ArrowLeft } from 'lucide-react'
+import { analysisAPI, getErrorMessage } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { LoadingScreen } from '@/components/common/LoadingScreen'
+import { AnalysisResults } from '@/components/analysis/AnalysisResults'
+import { getStoredScreenshots } from '@/lib/utils/storedAnalysis'
+
+const AnalysisDetailPage = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [analysis, setAnalysis] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchAnalysis = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const result = await analysisAPI.getAnalysis(id)
+        if (!cancelled) setAnalysis(result)
+      } catch (error) {
+        console.error('Failed to load analysis:', error)
+        if (!cancelled) setError(getErrorMessage(error))
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchAnalysis()
+    return () => {
+      cancelled = true
+    }
+  }, [id])
+
+  if (loading) {
+    return <LoadingScreen />
+  }
+
+  if (error || !analysis) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="max-w-md w-full text-center">
+          <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <AlertCircle className="h-8 w-8 text-red-600" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Analysis not available</h1>
+          <p className="text-gray-600 mb-6">{error || 'This analysis could not be found.'}</p>
+          <Button onClick={() => navigate('/dashboard')}>
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Dashboard
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <AnalysisResults
+      result={analysis}
+      screenshots={getStoredScreenshots(analysis)}
+      onReset={() => navigate('/upload')}
+      onBack={() => navigate('/dashboard')}
+      backLabel="Back to Dashboard"
+    />
+  )
+}
+
+export default AnalysisDetailPage
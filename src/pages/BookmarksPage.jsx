@@ -0,0 +1,234 @@
+// src/pages/BookmarksPage.jsx - Bookmarked community solutions, organised in folders
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import {
+  Bookmark, Folder, FolderOpen, Inbox, Loader2,
+  XCircle, RefreshCw, Users, Check
+} from 'lucide-react'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import { useSolutionActions } from '@/hooks/useSolutionActions'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import { SolutionCard } from '@/components/community/SolutionCard'
+
+const ALL = 'all'
+const UNFILED = 'unfiled'
+
+// Folder and note editor under a bookmarked solution
+const BookmarkDetails = ({ bookmark, folders, onSave }) => {
+  const [folder, setFolder] = useState(bookmark.folder || '')
+  const [note, setNote] = useState(bookmark.note || '')
+  const [isSaving, setIsSaving] = useState(false)
+  const listId = `folders-${bookmark.solution.id}`
+
+  const isDirty = folder.trim() !== (bookmark.folder || '') || note.trim() !== (bookmark.note || '')
+
+  const save = async () => {
+    setIsSaving(true)
+    await onSave(bookmark, { folder: folder.trim() || null, note: note.trim() })
+    setIsSaving(false)
+  }
+
+  return (
+    <div className="space-y-2 mt-2">
+      <div className="relative">
+        <Folder className="absolute left-2 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <Input
+          value={folder}
+          onChange={(e) => setFolder(e.target.value)}
+          placeholder="No folder"
+          list={listId}
+          className="pl-8 h-8 text-sm"
+          maxLength={40}
+        />
+        <datalist id={listId}>
+          {folders.map(name => <option key={name} value={name} />)}
+        </datalist>
+      </div>
+      <Textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Add a note, e.g. which step fixed it for you"
+        className="min-h-[60px] text-sm"
+        maxLength={500}
+      />
+      {isDirty && (
+        <div className="flex justify-end">
+          <Button size="sm" onClick={save} disabled={isSaving}>
+            {isSaving ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Check className="h-4 w-4 mr-1" />}
+            Save
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const BookmarksPage = () => {
+  const navigate = useNavigate()
+  const [bookmarks, setBookmarks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [activeFolder, setActiveFolder] = useState(ALL)
+
+  const fetchBookmarks = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await communityAPI.getBookmarks()
+      setBookmarks(data.bookmarks || [])
+    } catch (error) {
+      console.error('Failed to load bookmarks:', error)
+      setError(getErrorMessage(error))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchBookmarks()
+  }, [fetchBookmarks])
+
+  // Un-bookmarking from the card removes it from the list
+  const updateSolution = useCallback((solutionId, changes) => {
+    setBookmarks(prev => changes.isBookmarked === false
+      ? prev.filter(bookmark => bookmark.solution.id !== solutionId)
+      : prev.map(bookmark => bookmark.solution.id === solutionId
+        ? { ...bookmark, solution: { ...bookmark.solution, ...changes } }
+        : bookmark
+      )
+    )
+  }, [])
+  const { handleVote, handleBookmark } = useSolutionActions(updateSolution)
+
+  const saveDetails = async (bookmark, details) => {
+    try {
+      await communityAPI.updateBookmark(bookmark.solution.id, details)
+      setBookmarks(prev => prev.map(b => b.solution.id === bookmark.solution.id ? { ...b, ...details } : b))
+      toast.success('Bookmark saved')
+    } catch (error) {
+      console.error('Failed to update bookmark:', error)
+      toast.error(getErrorMessage(error))
+    }
+  }
+
+  const folders = useMemo(() => {
+    return [...new Set(bookmarks.map(bookmark => bookmark.folder).filter(Boolean))].sort()
+  }, [bookmarks])
+
+  // Fall back to all bookmarks when the open folder has been emptied
+  const currentFolder = activeFolder === ALL || activeFolder === UNFILED || folders.includes(activeFolder)
+    ? activeFolder
+    : ALL
+
+  const visibleBookmarks = bookmarks.filter(bookmark =>
+    currentFolder === ALL ? true :
+    currentFolder === UNFILED ? !bookmark.folder :
+    bookmark.folder === currentFolder
+  )
+
+  const folderButton = (value, label, Icon, count) => (
+    <button
+      key={value}
+      type="button"
+      onClick={() => setActiveFolder(value)}
+      className={`w-full flex items-center justify-between px-3 py-2 rounded-md text-sm ${
+        currentFolder === value ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'
+      }`}
+    >
+      <span className="flex items-center truncate">
+        <Icon className="h-4 w-4 mr-2 flex-shrink-0" />
+        <span className="truncate">{label}</span>
+      </span>
+      <span className="text-xs text-gray-500">{count}</span>
+    </button>
+  )
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8 flex flex-wrap justify-between items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Bookmarks</h1>
+            <p className="text-gray-600 mt-2">Community solutions you saved for later</p>
+          </div>
+          <Button variant="outline" onClick={() => navigate('/community')}>
+            <Users className="h-4 w-4 mr-2" />
+            Browse Community
+          </Button>
+        </motion.div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <XCircle className="h-10 w-10 text-red-300 mx-auto mb-3" />
+            <p className="text-gray-600 mb-3">{error}</p>
+            <Button size="sm" variant="outline" onClick={fetchBookmarks}>
+              <RefreshCw className="h-4 w-4 mr-1" />
+              Retry
+            </Button>
+          </div>
+        ) : bookmarks.length === 0 ? (
+          <Card>
+            <CardContent className="text-center py-12">
+              <Bookmark className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-600">No bookmarks yet</p>
+              <p className="text-sm text-gray-500 mt-1">
+                Bookmark solutions in the community to keep them here.
+              </p>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="grid lg:grid-cols-4 gap-6">
+            <aside className="space-y-1">
+              {folderButton(ALL, 'All bookmarks', Bookmark, bookmarks.length)}
+              {folderButton(UNFILED, 'Unfiled', Inbox, bookmarks.filter(b => !b.folder).length)}
+              {folders.map(name => folderButton(
+                name,
+                name,
+                currentFolder === name ? FolderOpen : Folder,
+                bookmarks.filter(b => b.folder === name).length
+              ))}
+            </aside>
+
+            <div className="lg:col-span-3">
+              {visibleBookmarks.length === 0 ? (
+                <p className="text-center text-gray-500 py-12">Nothing in this folder</p>
+              ) : (
+                <div className="grid md:grid-cols-2 gap-6">
+                  {visibleBookmarks.map(bookmark => (
+                    <div key={bookmark.solution.id}>
+                      <SolutionCard
+                        solution={{ ...bookmark.solution, isBookmarked: true }}
+                        onVote={handleVote}
+                        onBookmark={handleBookmark}
+                      />
+                      <BookmarkDetails
+                        bookmark={bookmark}
+                        folders={folders}
+                        onSave={saveDetails}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BookmarksPage
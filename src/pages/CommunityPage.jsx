@@ -1,19 +1,16 @@
 // src/pages/CommunityPage.jsx
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import { motion } from 'framer-motion'
 import { useAuth } from '@/contexts/AuthContext'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useSearchParams } from 'react-router-dom'
 import { 
-  Search, Filter, TrendingUp, Clock, Star, 
-  ChevronDown, MessageSquare, Bookmark, ThumbsUp,
-  Plus, Shield, Users, Zap
+  TrendingUp, Clock, Star, Plus, Loader2,
+  XCircle, RefreshCw, SearchX, WifiOff
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
-import { Input } from '@/components/ui/input'
 import { Card, CardHeader, CardContent, CardFooter } from '@/components/ui/card'
-import { Badge } from '@/components/ui/badge'
-import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import {
   Select,
   SelectContent,
@@ -21,170 +18,139 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select'
-import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
 import { Skeleton } from '@/components/ui/skeleton'
-import { formatDistanceToNow } from 'date-fns'
+import { SolutionCard } from '@/components/community/SolutionCard'
+import { Leaderboard } from '@/components/community/Leaderboard'
+import { CommunitySearchBox } from '@/components/community/CommunitySearchBox'
+import { useSolutionActions } from '@/hooks/useSolutionActions'
+import { communityAPI, getErrorMessage, isNetworkError } from '@/lib/api'
+import { COMMUNITY_CATEGORIES, DIFFICULTIES } from '@/lib/utils/community'
+import {
+  buildSearchIndex,
+  getLocalSuggestions,
+  getQueryHighlightTerms,
+  searchSolutions
+} from '@/lib/utils/communitySearch'
+
+const PAGE_SIZE = 20
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8081'
+// Filter values used when the URL doesn't set them; defaults are left out of the URL
+const DEFAULT_FILTERS = { q: '', category: 'all', difficulty: 'all', sort: 'recent' }
 
 const CommunityPage = () => {
-  const { user, userProfile, getAuthHeader } = useAuth()
+  const { user } = useAuth()
   const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
   const [solutions, setSolutions] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [searchQuery, setSearchQuery] = useState('')
-  const [category, setCategory] = useState('all')
-  const [difficulty, setDifficulty] = useState('all')
-  const [sortBy, setSortBy] = useState('recent')
-  const [page, setPage] = useState(1)
-  const [hasMore, setHasMore] = useState(true)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [status, setStatus] = useState('loading') // 'loading' | 'loadingMore' | 'idle' | 'error'
+  const [error, setError] = useState(null)
+  const [isLocalResults, setIsLocalResults] = useState(false)
+  const controllerRef = useRef(null)
+  const sentinelRef = useRef(null)
+  // Every solution loaded this visit, searched locally when the backend is unreachable
+  const loadedRef = useRef(new Map())
 
-  // Fetch solutions
-  const fetchSolutions = async (reset = false) => {
-    try {
-      setLoading(true)
-      const params = new URLSearchParams({
-        page: reset ? 1 : page,
-        perPage: 20,
-        sortBy,
-        ...(category !== 'all' && { category }),
-        ...(difficulty !== 'all' && { difficulty }),
-        ...(searchQuery && { search: searchQuery })
-      })
+  const q = searchParams.get('q') || DEFAULT_FILTERS.q
+  const category = searchParams.get('category') || DEFAULT_FILTERS.category
+  const difficulty = searchParams.get('difficulty') || DEFAULT_FILTERS.difficulty
+  const sortBy = searchParams.get('sort') || DEFAULT_FILTERS.sort
+  const hasFilters = !!q || category !== 'all' || difficulty !== 'all'
+  const highlightTerms = useMemo(() => getQueryHighlightTerms(q), [q])
 
-      const response = await fetch(`${API_BASE_URL}/api/community/solutions?${params}`, {
-        headers: await getAuthHeader()
-      })
+  const getLocalIndex = useCallback(() => buildSearchIndex([...loadedRef.current.values()]), [])
 
-      if (!response.ok) throw new Error('Failed to fetch solutions')
-
-      const data = await response.json()
-      
-      if (reset) {
-        setSolutions(data.solutions)
-        setPage(1)
+  const setFilter = (name, value) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev)
+      if (!value || value === DEFAULT_FILTERS[name]) {
+        next.delete(name)
       } else {
-        setSolutions(prev => [...prev, ...data.solutions])
-      }
-      
-      setHasMore(data.pagination.hasNext)
-    } catch (error) {
-      console.error('Error fetching solutions:', error)
-      
-      // If it's a CORS/network error, show fallback content
-      if (error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
-        // Set some fallback/demo data for development
-        setSolutions([
-          {
-            id: 'demo-1',
-            title: 'Demo Solution: Fix Common Windows Blue Screen Error',
-            description: 'This is a demo solution showing how the community page will work when the backend is available.',
-            category: 'System',
-            difficulty: 'Medium',
-            upvoteCount: 42,
-            commentCount: 8,
-            bookmarkCount: 15,
-            tags: ['windows', 'bsod', 'memory'],
-            author: {
-              displayName: 'Demo User',
-              avatarUrl: null
-            },
-            createdAt: new Date().toISOString(),
-            userVote: null,
-            isBookmarked: false
-          },
-          {
-            id: 'demo-2',
-            title: 'Demo Solution: Resolve Network Connection Issues',
-            description: 'Another demo solution for development purposes. Real solutions will appear here once backend is connected.',
-            category: 'Network',
-            difficulty: 'Easy',
-            upvoteCount: 28,
-            commentCount: 5,
-            bookmarkCount: 9,
-            tags: ['network', 'wifi', 'troubleshooting'],
-            author: {
-              displayName: 'Demo Expert',
-              avatarUrl: null
-            },
-            createdAt: new Date(Date.now() - 86400000).toISOString(), // Yesterday
-            userVote: null,
-            isBookmarked: false
-          }
-        ])
-        setHasMore(false)
+        next.set(name, value)
       }
-    } finally {
-      setLoading(false)
-    }
+      return next
+    })
   }
 
-  useEffect(() => {
-    fetchSolutions(true)
-  }, [category, difficulty, sortBy])
-
-  const handleSearch = (e) => {
-    e.preventDefault()
-    fetchSolutions(true)
+  const clearFilters = () => {
+    setSearchParams(sortBy !== DEFAULT_FILTERS.sort ? { sort: sortBy } : {})
   }
 
-  const handleVote = async (solutionId, isUpvote) => {
-    if (!user) {
-      // Show sign in modal
-      return
-    }
+  // Fetch the first page (no cursor) or the page after `cursor`. Starting a
+  // new request cancels the one in flight, so stale results never land.
+  const fetchPage = useCallback(async (cursor = null) => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
 
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/community/solutions/${solutionId}/vote`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(await getAuthHeader())
-        },
-        body: JSON.stringify({ isUpvote })
-      })
+    setStatus(cursor ? 'loadingMore' : 'loading')
+    setError(null)
+    if (!cursor) setSolutions([])
 
-      if (!response.ok) throw new Error('Failed to vote')
+    try {
+      const page = await communityAPI.getSolutions({
+        q,
+        category: category !== 'all' ? category : undefined,
+        difficulty: difficulty !== 'all' ? difficulty : undefined,
+        sort: sortBy,
+        cursor,
+        limit: PAGE_SIZE
+      }, { signal: controller.signal })
 
-      const data = await response.json()
-      
-      // Update solution in state
-      setSolutions(prev => prev.map(sol => 
-        sol.id === solutionId 
-          ? { ...sol, upvoteCount: data.upvoteCount, downvoteCount: data.downvoteCount }
-          : sol
-      ))
+      page.solutions.forEach(solution => loadedRef.current.set(solution.id, solution))
+      setSolutions(prev => cursor ? [...prev, ...page.solutions] : page.solutions)
+      setNextCursor(page.nextCursor)
+      setIsLocalResults(false)
+      setStatus('idle')
     } catch (error) {
-      console.error('Error voting:', error)
-    }
-  }
+      if (error.cancelled) return
+      console.error('Error fetching solutions:', error)
+
+      if (!cursor && isNetworkError(error) && loadedRef.current.size > 0) {
+        setSolutions(searchSolutions(getLocalIndex(), q, {
+          category: category !== 'all' ? category : undefined,
+          difficulty: difficulty !== 'all' ? difficulty : undefined,
+          sort: sortBy
+        }))
+        setNextCursor(null)
+        setIsLocalResults(true)
+        setStatus('idle')
+        return
+      }
 
-  const handleBookmark = async (solutionId) => {
-    if (!user) {
-      // Show sign in modal
-      return
+      setError(getErrorMessage(error))
+      setStatus('error')
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null
     }
+  }, [q, category, difficulty, sortBy, getLocalIndex])
 
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/community/solutions/${solutionId}/bookmark`, {
-        method: 'POST',
-        headers: await getAuthHeader()
-      })
+  useEffect(() => {
+    fetchPage()
+  }, [fetchPage])
 
-      if (!response.ok) throw new Error('Failed to bookmark')
+  useEffect(() => () => controllerRef.current?.abort(), [])
 
-      const data = await response.json()
-      
-      // Update solution in state
-      setSolutions(prev => prev.map(sol => 
-        sol.id === solutionId 
-          ? { ...sol, isBookmarked: data.isBookmarked, bookmarkCount: data.bookmarkCount }
-          : sol
-      ))
-    } catch (error) {
-      console.error('Error bookmarking:', error)
-    }
-  }
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !nextCursor || status !== 'idle') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor)
+    }, { rootMargin: '400px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, status, fetchPage])
+
+  const updateSolution = useCallback((solutionId, changes) => {
+    const loaded = loadedRef.current.get(solutionId)
+    if (loaded) loadedRef.current.set(solutionId, { ...loaded, ...changes })
+    setSolutions(prev => prev.map(sol => 
+      sol.id === solutionId ? { ...sol, ...changes } : sol
+    ))
+  }, [])
+  const { handleVote, handleBookmark } = useSolutionActions(updateSolution)
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -214,10 +180,11 @@ const CommunityPage = () => {
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: 0.2 }}
               >
+                {/* Solutions are shared from one of the user's analyses */}
                 <Button 
                   size="lg" 
                   className="bg-white text-blue-600 hover:bg-gray-100"
-                  onClick={() => navigate('/share-solution')}
+                  onClick={() => navigate('/dashboard')}
                 >
                   <Plus className="h-5 w-5 mr-2" />
                   Share Your Solution
@@ -228,79 +195,49 @@ const CommunityPage = () => {
         </div>
       </section>
 
-      {/* Stats Section */}
-      <section className="py-8 bg-white border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-8">
-            <div className="text-center">
-              <div className="text-3xl font-bold text-gray-900">1,234</div>
-              <div className="text-sm text-gray-600">Solutions Shared</div>
-            </div>
-            <div className="text-center">
-              <div className="text-3xl font-bold text-gray-900">5,678</div>
-              <div className="text-sm text-gray-600">Problems Solved</div>
-            </div>
-            <div className="text-center">
-              <div className="text-3xl font-bold text-gray-900">95%</div>
-              <div className="text-sm text-gray-600">Success Rate</div>
-            </div>
-            <div className="text-center">
-              <div className="text-3xl font-bold text-gray-900">890</div>
-              <div className="text-sm text-gray-600">Active Contributors</div>
-            </div>
-          </div>
-        </div>
-      </section>
-
       {/* Main Content */}
       <section className="py-12">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="mb-8">
+            <Leaderboard />
+          </div>
+
           {/* Search and Filters */}
           <div className="mb-8 space-y-4">
-            <form onSubmit={handleSearch} className="flex gap-4">
-              <div className="flex-1 relative">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
-                <Input
-                  type="text"
-                  placeholder="Search solutions..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  className="pl-10"
-                />
-              </div>
-              <Button type="submit">Search</Button>
-            </form>
+            {/* Keyed on the query so back/forward navigation resets the input */}
+            <CommunitySearchBox
+              key={q}
+              initialQuery={q}
+              onSearch={(value) => setFilter('q', value)}
+              getLocalSuggestions={(query) => getLocalSuggestions(getLocalIndex(), query)}
+            />
 
             <div className="flex flex-wrap gap-4">
-              <Select value={category} onValueChange={setCategory}>
+              <Select value={category} onValueChange={(value) => setFilter('category', value)}>
                 <SelectTrigger className="w-[180px]">
                   <SelectValue placeholder="Category" />
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="all">All Categories</SelectItem>
-                  <SelectItem value="System">System</SelectItem>
-                  <SelectItem value="Application">Application</SelectItem>
-                  <SelectItem value="Network">Network</SelectItem>
-                  <SelectItem value="Hardware">Hardware</SelectItem>
-                  <SelectItem value="Security">Security</SelectItem>
-                  <SelectItem value="Web">Web</SelectItem>
-                  <SelectItem value="Mobile">Mobile</SelectItem>
+                  {COMMUNITY_CATEGORIES.map(name => (
+                    <SelectItem key={name} value={name}>{name}</SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
 
-              <Select value={difficulty} onValueChange={setDifficulty}>
+              <Select value={difficulty} onValueChange={(value) => setFilter('difficulty', value)}>
                 <SelectTrigger className="w-[180px]">
                   <SelectValue placeholder="Difficulty" />
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="all">All Difficulties</SelectItem>
-                  <SelectItem value="Easy">Easy</SelectItem>
-                  <SelectItem value="Medium">Medium</SelectItem>
-                  <SelectItem value="Hard">Hard</SelectItem>
+                  {DIFFICULTIES.map(name => (
+                    <SelectItem key={name} value={name}>{name}</SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
 
-              <Tabs value={sortBy} onValueChange={setSortBy} className="w-auto">
+              <Tabs value={sortBy} onValueChange={(value) => setFilter('sort', value)} className="w-auto">
                 <TabsList>
                   <TabsTrigger value="recent" className="flex items-center gap-1">
                     <Clock className="h-4 w-4" />
@@ -319,8 +256,21 @@ const CommunityPage = () => {
             </div>
           </div>
 
+          {isLocalResults && status === 'idle' && (
+            <div className="mb-6 flex flex-wrap items-center justify-between gap-3 rounded-md border border-yellow-200 bg-yellow-50 px-4 py-3">
+              <p className="flex items-center text-sm text-yellow-800">
+                <WifiOff className="h-4 w-4 mr-2 flex-shrink-0" />
+                Can't reach the server. Showing matches from solutions loaded earlier.
+              </p>
+              <Button size="sm" variant="outline" onClick={() => fetchPage()}>
+                <RefreshCw className="h-4 w-4 mr-1" />
+                Retry
+              </Button>
+            </div>
+          )}
+
           {/* Solutions Grid */}
-          {loading && solutions.length === 0 ? (
+          {status === 'loading' ? (
             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
               {[...Array(6)].map((_, i) => (
                 <Card key={i}>
@@ -337,6 +287,31 @@ const CommunityPage = () => {
                 </Card>
               ))}
             </div>
+          ) : status === 'error' && solutions.length === 0 ? (
+            <div className="text-center py-16">
+              <XCircle className="h-12 w-12 text-red-300 mx-auto mb-3" />
+              <h3 className="text-lg font-semibold text-gray-900">Could not load solutions</h3>
+              <p className="text-gray-600 mt-1 mb-4">{error}</p>
+              <Button variant="outline" onClick={() => fetchPage()}>
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Try Again
+              </Button>
+            </div>
+          ) : solutions.length === 0 ? (
+            <div className="text-center py-16">
+              <SearchX className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <h3 className="text-lg font-semibold text-gray-900">
+                {hasFilters ? 'No solutions match your search' : 'No solutions shared yet'}
+              </h3>
+              <p className="text-gray-600 mt-1 mb-4">
+                {hasFilters
+                  ? 'Try different keywords or fewer filters.'
+                  : 'Solve an error and share what worked to get the community started.'}
+              </p>
+              {hasFilters && (
+                <Button variant="outline" onClick={clearFilters}>Clear Filters</Button>
+              )}
+            </div>
           ) : (
             <>
               <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -346,24 +321,25 @@ const CommunityPage = () => {
                     solution={solution}
                     onVote={handleVote}
                     onBookmark={handleBookmark}
+                    highlightTerms={highlightTerms}
                   />
                 ))}
               </div>
 
-              {hasMore && (
-                <div className="text-center mt-8">
-                  <Button
-                    variant="outline"
-                    onClick={() => {
-                      setPage(prev => prev + 1)
-                      fetchSolutions()
-                    }}
-                    disabled={loading}
-                  >
-                    {loading ? 'Loading...' : 'Load More'}
-                  </Button>
-                </div>
-              )}
+              <div ref={sentinelRef} className="flex justify-center mt-8">
+                {status === 'loadingMore' && (
+                  <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+                )}
+                {status === 'error' && (
+                  <div className="text-center">
+                    <p className="text-sm text-red-600 mb-2">{error}</p>
+                    <Button variant="outline" size="sm" onClick={() => fetchPage(nextCursor)}>
+                      <RefreshCw className="h-4 w-4 mr-1" />
+                      Retry
+                    </Button>
+                  </div>
+                )}
+              </div>
             </>
           )}
         </div>
@@ -372,113 +348,4 @@ const CommunityPage = () => {
   )
 }
 
-const SolutionCard = ({ solution, onVote, onBookmark }) => {
-  const navigate = useNavigate()
-  
-  const getDifficultyColor = (difficulty) => {
-    switch (difficulty) {
-      case 'Easy': return 'bg-green-100 text-green-800'
-      case 'Medium': return 'bg-yellow-100 text-yellow-800'
-      case 'Hard': return 'bg-red-100 text-red-800'
-      default: return 'bg-gray-100 text-gray-800'
-    }
-  }
-
-  return (
-    <motion.div
-      initial={{ opacity: 0, y: 20 }}
-      animate={{ opacity: 1, y: 0 }}
-      transition={{ duration: 0.3 }}
-    >
-      <Card className="h-full flex flex-col hover:shadow-lg transition-shadow cursor-pointer">
-        <CardHeader onClick={() => navigate(`/community/solution/${solution.id}`)}>
-          <div className="flex items-start justify-between mb-2">
-            <Badge variant="secondary" className={getDifficultyColor(solution.difficulty)}>
-              {solution.difficulty}
-            </Badge>
-            <Badge variant="outline">{solution.category}</Badge>
-          </div>
-          <h3 className="text-lg font-semibold line-clamp-2">
-            {solution.title}
-          </h3>
-          <p className="text-sm text-gray-600 line-clamp-2 mt-1">
-            {solution.description}
-          </p>
-        </CardHeader>
-        
-        <CardContent className="flex-1" onClick={() => navigate(`/community/solution/${solution.id}`)}>
-          <div className="flex items-center gap-4 text-sm text-gray-500">
-            <div className="flex items-center gap-1">
-              <ThumbsUp className="h-4 w-4" />
-              <span>{solution.upvoteCount}</span>
-            </div>
-            <div className="flex items-center gap-1">
-              <MessageSquare className="h-4 w-4" />
-              <span>{solution.commentCount}</span>
-            </div>
-            <div className="flex items-center gap-1">
-              <Bookmark className="h-4 w-4" />
-              <span>{solution.bookmarkCount}</span>
-            </div>
-          </div>
-          
-          {solution.tags && solution.tags.length > 0 && (
-            <div className="flex flex-wrap gap-1 mt-3">
-              {solution.tags.slice(0, 3).map((tag, index) => (
-                <Badge key={index} variant="outline" className="text-xs">
-                  {tag}
-                </Badge>
-              ))}
-            </div>
-          )}
-        </CardContent>
-        
-        <CardFooter className="border-t pt-4">
-          <div className="flex items-center justify-between w-full">
-            <div className="flex items-center gap-2">
-              <Avatar className="h-8 w-8">
-                <AvatarImage src={solution.author?.avatarUrl} />
-                <AvatarFallback>
-                  {solution.author?.displayName?.[0] || 'U'}
-                </AvatarFallback>
-              </Avatar>
-              <div>
-                <p className="text-sm font-medium">{solution.author?.displayName}</p>
-                <p className="text-xs text-gray-500">
-                  {formatDistanceToNow(new Date(solution.createdAt), { addSuffix: true })}
-                </p>
-              </div>
-            </div>
-            
-            <div className="flex gap-1">
-              <Button
-                size="icon"
-                variant={solution.userVote?.isUpvote ? "default" : "ghost"}
-                className="h-8 w-8"
-                onClick={(e) => {
-                  e.stopPropagation()
-                  onVote(solution.id, true)
-                }}
-              >
-                <ThumbsUp className="h-4 w-4" />
-              </Button>
-              <Button
-                size="icon"
-                variant={solution.isBookmarked ? "default" : "ghost"}
-                className="h-8 w-8"
-                onClick={(e) => {
-                  e.stopPropagation()
-                  onBookmark(solution.id)
-                }}
-              >
-                <Bookmark className="h-4 w-4" />
-              </Button>
-            </div>
-          </div>
-        </CardFooter>
-      </Card>
-    </motion.div>
-  )
-}
-
 export default CommunityPage
\ No newline at end of file
@@ -1,21 +1,41 @@
 // src/pages/DashboardPage.jsx
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
 import { motion } from 'framer-motion'
-import { Link, useNavigate } from 'react-router-dom'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from '@/contexts/AuthContext'
-import { analysisAPI } from '@/lib/api'
+import { analysisAPI, shareAPI, getShareUrl, getErrorMessage } from '@/lib/api'
+import {
+  QUEUE_CHANGED_EVENT,
+  PROCESS_QUEUE_EVENT,
+  getQueuedAnalyses,
+  isOfflineQueueSupported,
+  removeQueuedAnalysis,
+  updateQueuedAnalysis
+} from '@/lib/utils/offlineQueue'
+import { getBestOutcome } from '@/lib/utils/solutionFeedback'
 import { 
   Activity, TrendingUp, Calendar, Clock,
   FileText, Crown, Zap, ArrowRight,
   Download, Share2, Eye, BarChart3,
-  CheckCircle, XCircle, AlertCircle
+  CheckCircle, XCircle, AlertCircle,
+  ChevronLeft, ChevronRight, Filter, Loader2, RefreshCw,
+  CloudOff, Terminal, Trash2, Link2, Copy, EyeOff
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Progress } from '@/components/ui/progress'
 import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
 import { formatDistanceToNow } from 'date-fns'
+import toast from 'react-hot-toast'
 import {
   BarChart,
   Bar,
@@ -29,98 +49,283 @@ import {
   Cell
 } from 'recharts'
 
+const HISTORY_PAGE_SIZE = 10
+const CHART_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#6366F1', '#EC4899', '#14B8A6']
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'unresolved', label: 'Unresolved' }
+]
+const EMPTY_FILTERS = { category: 'all', status: 'all', from: '', to: '' }
+
+// One row of the analysis history
+const HistoryItem = ({ analysis, onOpen }) => {
+  const outcome = getBestOutcome(analysis.feedback)
+  return (
+    <div
+      className="flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 cursor-pointer"
+      onClick={() => onOpen(analysis.id)}
+    >
+      <div className="flex items-center space-x-3 min-w-0">
+        {analysis.thumbnail_url ? (
+          <img
+            src={analysis.thumbnail_url}
+            alt=""
+            className="h-10 w-14 object-cover rounded-md border flex-shrink-0"
+          />
+        ) : (
+          <div className={`p-2 rounded-lg flex-shrink-0 ${
+            analysis.status === 'resolved' 
+              ? 'bg-green-100 text-green-600' 
+              : 'bg-yellow-100 text-yellow-600'
+          }`}>
+            {analysis.status === 'resolved' ? (
+              <CheckCircle className="h-4 w-4" />
+            ) : (
+              <AlertCircle className="h-4 w-4" />
+            )}
+          </div>
+        )}
+        <div className="min-w-0">
+          <p className="font-medium text-gray-900 truncate">
+            {analysis.title || analysis.error_type}
+          </p>
+          <p className="text-sm text-gray-600">
+            {analysis.category && <>{analysis.category} • </>}
+            {formatDistanceToNow(new Date(analysis.created_at), { addSuffix: true })}
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center gap-2 flex-shrink-0 ml-2">
+        {outcome ? (
+          <Badge className={outcome.className}>{outcome.label}</Badge>
+        ) : analysis.status === 'resolved' && (
+          <Badge className="bg-green-100 text-green-800">Resolved</Badge>
+        )}
+        <Badge variant="secondary">
+          {analysis.solutions_count} solutions
+        </Badge>
+      </div>
+    </div>
+  )
+}
+
+// An analysis waiting in the offline queue
+const PendingItem = ({ item, onRetry, onRemove }) => (
+  <div className="flex items-center justify-between p-3 rounded-lg bg-gray-50">
+    <div className="flex items-center space-x-3 min-w-0">
+      {item.type === 'image' && item.images?.[0]?.image ? (
+        <img
+          src={item.images[0].image}
+          alt=""
+          className="h-10 w-14 object-cover rounded-md border flex-shrink-0"
+        />
+      ) : (
+        <div className="p-2 rounded-lg flex-shrink-0 bg-gray-200 text-gray-600">
+          <Terminal className="h-4 w-4" />
+        </div>
+      )}
+      <div className="min-w-0">
+        <p className="font-medium text-gray-900 truncate">{item.title || 'Queued analysis'}</p>
+        <p className="text-sm text-gray-600 truncate">
+          Queued {formatDistanceToNow(new Date(item.createdAt), { addSuffix: true })}
+          {item.lastError && <> • {item.lastError}</>}
+        </p>
+      </div>
+    </div>
+    <div className="flex items-center gap-2 flex-shrink-0 ml-2">
+      {item.status === 'failed' ? (
+        <>
+          <Badge className="bg-red-100 text-red-800">Failed</Badge>
+          <Button size="sm" variant="outline" onClick={() => onRetry(item.id)}>
+            <RefreshCw className="h-4 w-4 mr-1" />
+            Retry
+          </Button>
+        </>
+      ) : (
+        <Badge className="bg-yellow-100 text-yellow-800">Pending</Badge>
+      )}
+      <Button size="sm" variant="ghost" onClick={() => onRemove(item.id)} title="Remove from queue">
+        <Trash2 className="h-4 w-4" />
+      </Button>
+    </div>
+  </div>
+)
+
 const DashboardPage = () => {
   const navigate = useNavigate()
   const { user, userProfile, isPro, analysisCount, analysisLimit } = useAuth()
   const [loading, setLoading] = useState(true)
-  const [analysisHistory, setAnalysisHistory] = useState([])
+  const [error, setError] = useState(null)
+  const [recentAnalyses, setRecentAnalyses] = useState([])
   const [stats, setStats] = useState(null)
   const [activeTab, setActiveTab] = useState('overview')
+  const [history, setHistory] = useState({ items: [], total: 0, page: 1, has_more: false })
+  const [historyLoading, setHistoryLoading] = useState(false)
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [page, setPage] = useState(1)
+  const [pendingAnalyses, setPendingAnalyses] = useState([])
+  const [shares, setShares] = useState({ items: [], loading: false, error: null })
 
-  useEffect(() => {
-    fetchDashboardData()
-  }, [])
-
-  const fetchDashboardData = async () => {
+  const fetchDashboardData = useCallback(async () => {
+    setLoading(true)
+    setError(null)
     try {
-      // TODO: Fetch from API
-      // const [history, statsData] = await Promise.all([
-      //   analysisAPI.getHistory(),
-      //   analysisAPI.getStats()
-      // ])
-      
-      // Mock data for now
-      setAnalysisHistory([
-        {
-          id: '1',
-          error_type: 'Application Crash',
-          created_at: new Date(Date.now() - 86400000).toISOString(),
-          status: 'resolved',
-          solutions_count: 3
-        },
-        {
-          id: '2',
-          error_type: 'Blue Screen',
-          created_at: new Date(Date.now() - 172800000).toISOString(),
-          status: 'resolved',
-          solutions_count: 5
-        }
+      const [recent, statsData] = await Promise.all([
+        analysisAPI.getHistory({ page: 1, pageSize: 5 }),
+        analysisAPI.getStats()
       ])
       
-      setStats({
-        totalAnalyses: 23,
-        successRate: 95,
-        avgResolutionTime: '2.5 min',
-        mostCommonError: 'Application Crash'
-      })
+      setRecentAnalyses(recent.items)
+      setStats(statsData)
     } catch (error) {
       console.error('Failed to fetch dashboard data:', error)
+      setError(getErrorMessage(error))
     } finally {
       setLoading(false)
     }
+  }, [])
+
+  const fetchHistory = useCallback(async () => {
+    setHistoryLoading(true)
+    try {
+      const result = await analysisAPI.getHistory({
+        page,
+        pageSize: HISTORY_PAGE_SIZE,
+        category: filters.category === 'all' ? undefined : filters.category,
+        status: filters.status === 'all' ? undefined : filters.status,
+        from: filters.from,
+        to: filters.to
+      })
+      setHistory(result)
+    } catch (error) {
+      console.error('Failed to fetch analysis history:', error)
+      setHistory({ items: [], total: 0, page, has_more: false, error: getErrorMessage(error) })
+    } finally {
+      setHistoryLoading(false)
+    }
+  }, [page, filters])
+
+  useEffect(() => {
+    fetchDashboardData()
+  }, [fetchDashboardData])
+
+  // History is only loaded once its tab is opened
+  useEffect(() => {
+    if (activeTab === 'history') {
+      fetchHistory()
+    }
+  }, [activeTab, fetchHistory])
+
+  // Analyses queued while the backend was unreachable
+  useEffect(() => {
+    if (!user?.uid || !isOfflineQueueSupported()) return
+
+    const loadPending = async () => {
+      try {
+        setPendingAnalyses(await getQueuedAnalyses(user.uid))
+      } catch (error) {
+        console.error('Failed to load queued analyses:', error)
+      }
+    }
+
+    loadPending()
+    window.addEventListener(QUEUE_CHANGED_EVENT, loadPending)
+    return () => window.removeEventListener(QUEUE_CHANGED_EVENT, loadPending)
+  }, [user?.uid])
+
+  // A finished queued analysis shows up in the history
+  const previousPendingCount = useRef(0)
+  useEffect(() => {
+    if (pendingAnalyses.length < previousPendingCount.current) {
+      fetchDashboardData()
+    }
+    previousPendingCount.current = pendingAnalyses.length
+  }, [pendingAnalyses.length, fetchDashboardData])
+
+  const retryPending = async (id) => {
+    await updateQueuedAnalysis(id, { status: 'pending', attempts: 0 })
+    window.dispatchEvent(new CustomEvent(PROCESS_QUEUE_EVENT))
+  }
+
+  const fetchShares = useCallback(async () => {
+    setShares(prev => ({ ...prev, loading: true, error: null }))
+    try {
+      const result = await shareAPI.getShares()
+      setShares({ items: result.items || [], loading: false, error: null })
+    } catch (error) {
+      console.error('Failed to fetch share links:', error)
+      setShares({ items: [], loading: false, error: getErrorMessage(error) })
+    }
+  }, [])
+
+  useEffect(() => {
+    if (activeTab === 'shared') {
+      fetchShares()
+    }
+  }, [activeTab, fetchShares])
+
+  const revokeShare = async (shareId) => {
+    try {
+      await shareAPI.revokeShare(shareId)
+      setShares(prev => ({ ...prev, items: prev.items.filter(share => share.share_id !== shareId) }))
+      toast.success('Link revoked')
+    } catch (error) {
+      console.error('Failed to revoke share link:', error)
+      toast.error(getErrorMessage(error))
+    }
+  }
+
+  const copyShareLink = (shareId) => {
+    navigator.clipboard.writeText(getShareUrl(shareId))
+    toast.success('Link copied to clipboard!')
   }
 
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  const openAnalysis = (id) => navigate(`/analysis/${id}`)
+
   const usagePercentage = isPro ? 0 : (analysisCount / analysisLimit) * 100
 
   // Chart data
-  const errorTypeData = [
-    { name: 'Application', value: 40, color: '#3B82F6' },
-    { name: 'System', value: 30, color: '#10B981' },
-    { name: 'Network', value: 20, color: '#F59E0B' },
-    { name: 'Other', value: 10, color: '#6366F1' }
-  ]
+  const categoryTotal = (stats?.categories || []).reduce((sum, c) => sum + c.count, 0)
+  const errorTypeData = (stats?.categories || []).map((category, index) => ({
+    name: category.name,
+    value: categoryTotal ? Math.round((category.count / categoryTotal) * 100) : 0,
+    color: CHART_COLORS[index % CHART_COLORS.length]
+  }))
 
-  const weeklyData = [
-    { day: 'Mon', analyses: 4 },
-    { day: 'Tue', analyses: 7 },
-    { day: 'Wed', analyses: 3 },
-    { day: 'Thu', analyses: 5 },
-    { day: 'Fri', analyses: 8 },
-    { day: 'Sat', analyses: 2 },
-    { day: 'Sun', analyses: 1 }
-  ]
+  const weeklyData = (stats?.weekly_activity || []).map(day => ({
+    day: day.day,
+    analyses: day.count
+  }))
+
+  const totalPages = Math.max(1, Math.ceil(history.total / HISTORY_PAGE_SIZE))
 
   const quickStats = [
     {
       title: 'Total Analyses',
-      value: stats?.totalAnalyses || 0,
+      value: stats?.total_analyses || 0,
       icon: FileText,
       color: 'bg-blue-100 text-blue-600',
-      trend: '+12%'
+      trend: stats?.trends?.total_analyses
     },
     {
       title: 'Success Rate',
-      value: `${stats?.successRate || 0}%`,
+      value: `${stats?.success_rate || 0}%`,
       icon: CheckCircle,
       color: 'bg-green-100 text-green-600',
-      trend: '+2%'
+      trend: stats?.trends?.success_rate
     },
     {
       title: 'Avg Resolution Time',
-      value: stats?.avgResolutionTime || 'N/A',
+      value: stats?.avg_resolution_time || 'N/A',
       icon: Clock,
       color: 'bg-purple-100 text-purple-600',
-      trend: '-15%'
+      trend: stats?.trends?.avg_resolution_time
     },
     {
       title: 'This Month',
@@ -154,6 +359,22 @@ const DashboardPage = () => {
           </div>
         </motion.div>
 
+        {/* Load Error */}
+        {error && (
+          <Card className="mb-6 border-red-200 bg-red-50">
+            <CardContent className="p-4 flex items-center justify-between">
+              <div className="flex items-center">
+                <XCircle className="h-5 w-5 text-red-600 mr-3" />
+                <p className="text-red-800">Could not load your dashboard: {error}</p>
+              </div>
+              <Button size="sm" variant="outline" onClick={fetchDashboardData}>
+                <RefreshCw className="h-4 w-4 mr-1" />
+                Retry
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Usage Alert for Free Users */}
         {!isPro && usagePercentage >= 80 && (
           <motion.div
@@ -188,6 +409,31 @@ const DashboardPage = () => {
           </motion.div>
         )}
 
+        {/* Offline Queue */}
+        {pendingAnalyses.length > 0 && (
+          <Card className="mb-6">
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <CloudOff className="h-5 w-5 mr-2 text-gray-500" />
+                Pending Analyses
+              </CardTitle>
+              <p className="text-sm text-gray-600">
+                These will be analyzed automatically once the service can be reached.
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {pendingAnalyses.map(item => (
+                <PendingItem
+                  key={item.id}
+                  item={item}
+                  onRetry={retryPending}
+                  onRemove={removeQueuedAnalysis}
+                />
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
         {/* Quick Stats */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -202,9 +448,11 @@ const DashboardPage = () => {
                   <div className={`p-3 rounded-lg ${stat.color}`}>
                     <stat.icon className="h-6 w-6" />
                   </div>
-                  <Badge variant="secondary" className="text-xs">
-                    {stat.trend}
-                  </Badge>
+                  {stat.trend && (
+                    <Badge variant="secondary" className="text-xs">
+                      {stat.trend}
+                    </Badge>
+                  )}
                 </div>
                 <h3 className="text-2xl font-bold text-gray-900">{stat.value}</h3>
                 <p className="text-sm text-gray-600 mt-1">{stat.title}</p>
@@ -223,6 +471,7 @@ const DashboardPage = () => {
             <TabsList className="mb-6">
               <TabsTrigger value="overview">Overview</TabsTrigger>
               <TabsTrigger value="history">History</TabsTrigger>
+              <TabsTrigger value="shared">Shared Links</TabsTrigger>
               <TabsTrigger value="analytics">Analytics</TabsTrigger>
             </TabsList>
 
@@ -234,45 +483,23 @@ const DashboardPage = () => {
                   <CardHeader>
                     <CardTitle className="flex items-center justify-between">
                       <span>Recent Analyses</span>
-                      <Link to="/history" className="text-sm text-blue-600 hover:underline">
+                      <button
+                        onClick={() => setActiveTab('history')}
+                        className="text-sm text-blue-600 hover:underline"
+                      >
                         View all
-                      </Link>
+                      </button>
                     </CardTitle>
                   </CardHeader>
                   <CardContent>
-                    {analysisHistory.length > 0 ? (
-                      <div className="space-y-4">
-                        {analysisHistory.slice(0, 5).map((analysis) => (
-                          <div
-                            key={analysis.id}
-                            className="flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 cursor-pointer"
-                            onClick={() => navigate(`/analysis/${analysis.id}`)}
-                          >
-                            <div className="flex items-center space-x-3">
-                              <div className={`p-2 rounded-lg ${
-                                analysis.status === 'resolved' 
-                                  ? 'bg-green-100 text-green-600' 
-                                  : 'bg-yellow-100 text-yellow-600'
-                              }`}>
-                                {analysis.status === 'resolved' ? (
-                                  <CheckCircle className="h-4 w-4" />
-                                ) : (
-                                  <AlertCircle className="h-4 w-4" />
-                                )}
-                              </div>
-                              <div>
-                                <p className="font-medium text-gray-900">
-                                  {analysis.error_type}
-                                </p>
-                                <p className="text-sm text-gray-600">
-                                  {formatDistanceToNow(new Date(analysis.created_at), { addSuffix: true })}
-                                </p>
-                              </div>
-                            </div>
-                            <Badge variant="secondary">
-                              {analysis.solutions_count} solutions
-                            </Badge>
-                          </div>
+                    {loading ? (
+                      <div className="flex justify-center py-8">
+                        <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+                      </div>
+                    ) : recentAnalyses.length > 0 ? (
+                      <div className="space-y-2">
+                        {recentAnalyses.map((analysis) => (
+                          <HistoryItem key={analysis.id} analysis={analysis} onOpen={openAnalysis} />
                         ))}
                       </div>
                     ) : (
@@ -319,35 +546,43 @@ const DashboardPage = () => {
                         <h4 className="text-sm font-medium text-gray-700 mb-3">
                           Error Types Distribution
                         </h4>
-                        <ResponsiveContainer width="100%" height={200}>
-                          <PieChart>
-                            <Pie
-                              data={errorTypeData}
-                              cx="50%"
-                              cy="50%"
-                              innerRadius={60}
-                              outerRadius={80}
-                              paddingAngle={5}
-                              dataKey="value"
-                            >
-                              {errorTypeData.map((entry, index) => (
-                                <Cell key={`cell-${index}`} fill={entry.color} />
+                        {errorTypeData.length > 0 ? (
+                          <>
+                            <ResponsiveContainer width="100%" height={200}>
+                              <PieChart>
+                                <Pie
+                                  data={errorTypeData}
+                                  cx="50%"
+                                  cy="50%"
+                                  innerRadius={60}
+                                  outerRadius={80}
+                                  paddingAngle={5}
+                                  dataKey="value"
+                                >
+                                  {errorTypeData.map((entry, index) => (
+                                    <Cell key={`cell-${index}`} fill={entry.color} />
+                                  ))}
+                                </Pie>
+                                <Tooltip />
+                              </PieChart>
+                            </ResponsiveContainer>
+                            <div className="grid grid-cols-2 gap-2 mt-4">
+                              {errorTypeData.map((type) => (
+                                <div key={type.name} className="flex items-center text-sm">
+                                  <div 
+                                    className="w-3 h-3 rounded-full mr-2" 
+                                    style={{ backgroundColor: type.color }}
+                                  />
+                                  <span className="text-gray-600">{type.name} ({type.value}%)</span>
+                                </div>
                               ))}
-                            </Pie>
-                            <Tooltip />
-                          </PieChart>
-                        </ResponsiveContainer>
-                        <div className="grid grid-cols-2 gap-2 mt-4">
-                          {errorTypeData.map((type) => (
-                            <div key={type.name} className="flex items-center text-sm">
-                              <div 
-                                className="w-3 h-3 rounded-full mr-2" 
-                                style={{ backgroundColor: type.color }}
-                              />
-                              <span className="text-gray-600">{type.name} ({type.value}%)</span>
                             </div>
-                          ))}
-                        </div>
+                          </>
+                        ) : (
+                          <p className="text-sm text-gray-500 py-8 text-center">
+                            Your error categories will appear here after your first analysis
+                          </p>
+                        )}
                       </div>
                     </div>
                   </CardContent>
@@ -360,15 +595,19 @@ const DashboardPage = () => {
                   <CardTitle>Weekly Activity</CardTitle>
                 </CardHeader>
                 <CardContent>
-                  <ResponsiveContainer width="100%" height={300}>
-                    <BarChart data={weeklyData}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="day" />
-                      <YAxis />
-                      <Tooltip />
-                      <Bar dataKey="analyses" fill="#3B82F6" radius={[8, 8, 0, 0]} />
-                    </BarChart>
-                  </ResponsiveContainer>
+                  {weeklyData.length > 0 ? (
+                    <ResponsiveContainer width="100%" height={300}>
+                      <BarChart data={weeklyData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="day" />
+                        <YAxis allowDecimals={false} />
+                        <Tooltip />
+                        <Bar dataKey="analyses" fill="#3B82F6" radius={[8, 8, 0, 0]} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <p className="text-sm text-gray-500 py-8 text-center">No activity this week</p>
+                  )}
                 </CardContent>
               </Card>
             </TabsContent>
@@ -379,9 +618,202 @@ const DashboardPage = () => {
                 <CardHeader>
                   <CardTitle>Analysis History</CardTitle>
                 </CardHeader>
+                <CardContent className="space-y-4">
+                  {/* Filters */}
+                  <div className="flex flex-wrap items-end gap-3">
+                    <Filter className="h-4 w-4 text-gray-400 mb-2.5" />
+                    <Select value={filters.category} onValueChange={(value) => updateFilter('category', value)}>
+                      <SelectTrigger className="w-[180px]">
+                        <SelectValue placeholder="Category" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="all">All categories</SelectItem>
+                        {(stats?.categories || []).map(category => (
+                          <SelectItem key={category.name} value={category.name}>
+                            {category.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Select value={filters.status} onValueChange={(value) => updateFilter('status', value)}>
+                      <SelectTrigger className="w-[160px]">
+                        <SelectValue placeholder="Status" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {STATUS_OPTIONS.map(option => (
+                          <SelectItem key={option.value} value={option.value}>
+                            {option.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <label className="text-xs text-gray-600">
+                      From
+                      <Input
+                        type="date"
+                        value={filters.from}
+                        max={filters.to || undefined}
+                        onChange={(e) => updateFilter('from', e.target.value)}
+                        className="w-[160px] mt-1"
+                      />
+                    </label>
+                    <label className="text-xs text-gray-600">
+                      To
+                      <Input
+                        type="date"
+                        value={filters.to}
+                        min={filters.from || undefined}
+                        onChange={(e) => updateFilter('to', e.target.value)}
+                        className="w-[160px] mt-1"
+                      />
+                    </label>
+                    {(filters.category !== 'all' || filters.status !== 'all' || filters.from || filters.to) && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => {
+                          setFilters(EMPTY_FILTERS)
+                          setPage(1)
+                        }}
+                      >
+                        Clear filters
+                      </Button>
+                    )}
+                  </div>
+
+                  {/* Results */}
+                  {historyLoading ? (
+                    <div className="flex justify-center py-12">
+                      <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+                    </div>
+                  ) : history.error ? (
+                    <div className="text-center py-12">
+                      <XCircle className="h-10 w-10 text-red-300 mx-auto mb-3" />
+                      <p className="text-gray-600 mb-3">{history.error}</p>
+                      <Button size="sm" variant="outline" onClick={fetchHistory}>
+                        <RefreshCw className="h-4 w-4 mr-1" />
+                        Retry
+                      </Button>
+                    </div>
+                  ) : history.items.length > 0 ? (
+                    <div className="divide-y">
+                      {history.items.map((analysis) => (
+                        <HistoryItem key={analysis.id} analysis={analysis} onOpen={openAnalysis} />
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="text-center py-12">
+                      <FileText className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+                      <p className="text-gray-600">No analyses match these filters</p>
+                    </div>
+                  )}
+
+                  {/* Pagination */}
+                  {history.total > HISTORY_PAGE_SIZE && (
+                    <div className="flex items-center justify-between pt-4 border-t">
+                      <span className="text-sm text-gray-600">
+                        Page {page} of {totalPages} • {history.total} analyses
+                      </span>
+                      <div className="flex gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setPage(p => p - 1)}
+                          disabled={page === 1 || historyLoading}
+                        >
+                          <ChevronLeft className="h-4 w-4 mr-1" />
+                          Previous
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setPage(p => p + 1)}
+                          disabled={!history.has_more || historyLoading}
+                        >
+                          Next
+                          <ChevronRight className="h-4 w-4 ml-1" />
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            </TabsContent>
+
+            {/* Shared Links Tab */}
+            <TabsContent value="shared">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Shared Links</CardTitle>
+                  <p className="text-sm text-gray-600">
+                    Public read-only links to your analyses. Revoking a link disables it immediately.
+                  </p>
+                </CardHeader>
                 <CardContent>
-                  {/* Full history implementation would go here */}
-                  <p className="text-gray-600">Complete analysis history coming soon...</p>
+                  {shares.loading ? (
+                    <div className="flex justify-center py-12">
+                      <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+                    </div>
+                  ) : shares.error ? (
+                    <div className="text-center py-12">
+                      <XCircle className="h-10 w-10 text-red-300 mx-auto mb-3" />
+                      <p className="text-gray-600 mb-3">{shares.error}</p>
+                      <Button size="sm" variant="outline" onClick={fetchShares}>
+                        <RefreshCw className="h-4 w-4 mr-1" />
+                        Retry
+                      </Button>
+                    </div>
+                  ) : shares.items.length > 0 ? (
+                    <div className="divide-y">
+                      {shares.items.map(share => {
+                        const expired = share.expires_at && new Date(share.expires_at) < new Date()
+                        return (
+                          <div key={share.share_id} className="flex items-center justify-between p-3">
+                            <div className="min-w-0">
+                              <button
+                                onClick={() => openAnalysis(share.analysis_id)}
+                                className="font-medium text-gray-900 truncate hover:text-blue-600 text-left"
+                              >
+                                {share.analysis_title || 'Untitled analysis'}
+                              </button>
+                              <p className="text-sm text-gray-600">
+                                Shared {formatDistanceToNow(new Date(share.created_at), { addSuffix: true })}
+                                {' • '}
+                                {share.expires_at
+                                  ? `${expired ? 'Expired' : 'Expires'} ${formatDistanceToNow(new Date(share.expires_at), { addSuffix: true })}`
+                                  : 'Never expires'}
+                              </p>
+                            </div>
+                            <div className="flex items-center gap-2 flex-shrink-0 ml-2">
+                              {share.redact_screenshots && (
+                                <Badge variant="outline" title="Screenshots hidden">
+                                  <EyeOff className="h-3 w-3 mr-1" />
+                                  Redacted
+                                </Badge>
+                              )}
+                              {expired ? (
+                                <Badge variant="secondary">Expired</Badge>
+                              ) : (
+                                <Button size="sm" variant="outline" onClick={() => copyShareLink(share.share_id)}>
+                                  <Copy className="h-4 w-4 mr-1" />
+                                  Copy
+                                </Button>
+                              )}
+                              <Button size="sm" variant="ghost" onClick={() => revokeShare(share.share_id)}>
+                                <Trash2 className="h-4 w-4 mr-1" />
+                                Revoke
+                              </Button>
+                            </div>
+                          </div>
+                        )
+                      })}
+                    </div>
+                  ) : (
+                    <div className="text-center py-12">
+                      <Link2 className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+                      <p className="text-gray-600">You haven't shared any analyses yet</p>
+                    </div>
+                  )}
                 </CardContent>
               </Card>
             </TabsContent>
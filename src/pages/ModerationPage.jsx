@@ -0,0 +1,359 @@
+// src/pages/ModerationPage.jsx - Queue of reported solutions and comments for moderators
+import React, { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  Shield, Flag, CheckCircle, EyeOff, Tags, Ban, Loader2, XCircle,
+  RefreshCw, ExternalLink, FileText, MessageSquare, ScrollText
+} from 'lucide-react'
+import { moderationAPI, getErrorMessage } from '@/lib/api'
+import { MODERATION_ACTIONS, getReportReasonLabel, parseTags } from '@/lib/utils/community'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+import { Markdown } from '@/components/common/Markdown'
+
+const ACTION_ICONS = { approve: CheckCircle, hide: EyeOff, edit_tags: Tags, ban: Ban }
+const MAX_REPORTS_SHOWN = 3
+
+// Count how often each reason was given, most common first
+const summarizeReasons = (reports = []) => {
+  const counts = {}
+  reports.forEach(report => {
+    counts[report.reason] = (counts[report.reason] || 0) + 1
+  })
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])
+}
+
+const ReportItem = ({ item, onResolved }) => {
+  const [action, setAction] = useState(null)
+  const [reason, setReason] = useState('')
+  const [tags, setTags] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const isComment = item.type === 'comment'
+  const solution = item.solution || {}
+  const reports = item.reports || []
+
+  const chooseAction = (name) => {
+    setAction(action === name ? null : name)
+    setReason('')
+    if (name === 'edit_tags') setTags((solution.tags || []).join(', '))
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (action === 'ban' && !window.confirm(`Ban ${item.author?.displayName || 'this user'} from the community?`)) {
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const result = await moderationAPI.resolveReport(item.id, {
+        action,
+        reason: reason.trim(),
+        tags: action === 'edit_tags' ? parseTags(tags) : undefined
+      })
+      toast.success(`Report resolved: ${MODERATION_ACTIONS[action].label.toLowerCase()}`)
+      onResolved(item, result)
+    } catch (error) {
+      console.error('Failed to resolve report:', error)
+      toast.error(getErrorMessage(error))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Badge variant="outline">
+            {isComment ? <MessageSquare className="h-3 w-3 mr-1" /> : <FileText className="h-3 w-3 mr-1" />}
+            {isComment ? 'Comment' : 'Solution'}
+          </Badge>
+          <Badge variant="secondary" className="bg-red-100 text-red-800">
+            <Flag className="h-3 w-3 mr-1" />
+            {reports.length} {reports.length === 1 ? 'report' : 'reports'}
+          </Badge>
+          {summarizeReasons(reports).map(([value, count]) => (
+            <Badge key={value} variant="outline" className="text-gray-600">
+              {getReportReasonLabel(value)}{count > 1 && ` ×${count}`}
+            </Badge>
+          ))}
+          <span className="text-gray-500 ml-auto">
+            {formatDistanceToNow(new Date(item.createdAt), { addSuffix: true })}
+          </span>
+        </div>
+
+        {/* The reported content */}
+        <div className="border rounded-md p-3 bg-gray-50">
+          <div className="flex items-start justify-between gap-2">
+            <p className="font-medium text-gray-900">
+              {isComment ? `Comment on "${solution.title}"` : solution.title}
+            </p>
+            <Link
+              to={`/community/${solution.id}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-gray-400 hover:text-gray-600 flex-shrink-0"
+              title="Open in community"
+            >
+              <ExternalLink className="h-4 w-4" />
+            </Link>
+          </div>
+          {isComment ? (
+            <Markdown className="mt-1">{item.comment?.content || ''}</Markdown>
+          ) : (
+            <p className="text-sm text-gray-600 line-clamp-3 mt-1">{solution.description}</p>
+          )}
+          {!isComment && solution.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {solution.tags.map(tag => (
+                <Badge key={tag} variant="outline" className="text-xs">{tag}</Badge>
+              ))}
+            </div>
+          )}
+          <p className="text-xs text-gray-500 mt-2">
+            By {item.author?.displayName || 'Unknown'}
+            {item.author?.banned && <Badge variant="outline" className="ml-2 text-red-600">Banned</Badge>}
+          </p>
+        </div>
+
+        {/* What the reporters said */}
+        {reports.some(report => report.details) && (
+          <ul className="space-y-1 text-sm">
+            {reports.filter(report => report.details).slice(0, MAX_REPORTS_SHOWN).map((report, index) => (
+              <li key={index} className="text-gray-700">
+                <span className="font-medium">{report.reporter?.displayName || 'Someone'}:</span> {report.details}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {item.status === 'resolved' ? (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">{item.resolution?.moderator?.displayName || 'A moderator'}</span>
+            {' '}{MODERATION_ACTIONS[item.resolution?.action]?.done || 'resolved'} this: {item.resolution?.reason}
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(MODERATION_ACTIONS)
+                .filter(([name]) => name !== 'edit_tags' || !isComment)
+                .map(([name, option]) => {
+                  const Icon = ACTION_ICONS[name]
+                  return (
+                    <Button
+                      key={name}
+                      size="sm"
+                      variant={action === name ? 'default' : 'outline'}
+                      className={name === 'ban' && action !== name ? 'text-red-600' : ''}
+                      onClick={() => chooseAction(name)}
+                      disabled={isSubmitting || (name === 'ban' && item.author?.banned)}
+                    >
+                      <Icon className="h-4 w-4 mr-1" />
+                      {option.label}
+                    </Button>
+                  )
+                })}
+            </div>
+
+            {action && (
+              <form onSubmit={submit} className="space-y-2">
+                {action === 'edit_tags' && (
+                  <Input
+                    value={tags}
+                    onChange={(e) => setTags(e.target.value)}
+                    placeholder="Comma-separated tags"
+                  />
+                )}
+                <Textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Reason (saved in the moderation log)"
+                  className="min-h-[60px] text-sm"
+                  autoFocus
+                />
+                <div className="flex justify-end gap-2">
+                  <Button type="button" size="sm" variant="ghost" onClick={() => setAction(null)} disabled={isSubmitting}>
+                    Cancel
+                  </Button>
+                  <Button
+                    type="submit"
+                    size="sm"
+                    variant={action === 'ban' || action === 'hide' ? 'destructive' : 'default'}
+                    disabled={isSubmitting || !reason.trim()}
+                  >
+                    {isSubmitting && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                    Confirm {MODERATION_ACTIONS[action].label}
+                  </Button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+const ModerationPage = () => {
+  const [status, setStatus] = useState('open')
+  const [type, setType] = useState('all')
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [log, setLog] = useState([])
+
+  const fetchQueue = useCallback(async (signal) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await moderationAPI.getReports(
+        { status, type: type === 'all' ? undefined : type },
+        { signal }
+      )
+      setItems(data.reports || [])
+      setLoading(false)
+    } catch (error) {
+      if (error.cancelled) return
+      console.error('Failed to load moderation queue:', error)
+      setError(getErrorMessage(error))
+      setLoading(false)
+    }
+  }, [status, type])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    fetchQueue(controller.signal)
+    return () => controller.abort()
+  }, [fetchQueue])
+
+  useEffect(() => {
+    moderationAPI.getLog()
+      .then(data => setLog(data.entries || []))
+      .catch(error => console.warn('⚠️ Could not load moderation log:', error.message))
+  }, [])
+
+  const handleResolved = (item, result) => {
+    setItems(prev => prev.filter(other => other.id !== item.id))
+    if (result?.logEntry) setLog(prev => [result.logEntry, ...prev])
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-6xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+            <Shield className="h-8 w-8 mr-3 text-orange-600" />
+            Moderation
+          </h1>
+          <p className="text-gray-600 mt-2">Review what the community has reported</p>
+        </motion.div>
+
+        <div className="grid gap-8 lg:grid-cols-3">
+          {/* Queue */}
+          <div className="lg:col-span-2 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <Tabs value={type} onValueChange={setType} className="w-auto">
+                <TabsList>
+                  <TabsTrigger value="all">All</TabsTrigger>
+                  <TabsTrigger value="solution">Solutions</TabsTrigger>
+                  <TabsTrigger value="comment">Comments</TabsTrigger>
+                </TabsList>
+              </Tabs>
+              <Select value={status} onValueChange={setStatus}>
+                <SelectTrigger className="w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="open">Open</SelectItem>
+                  <SelectItem value="resolved">Resolved</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+              </div>
+            ) : error ? (
+              <div className="text-center py-12">
+                <XCircle className="h-10 w-10 text-red-300 mx-auto mb-3" />
+                <p className="text-gray-600 mb-3">{error}</p>
+                <Button size="sm" variant="outline" onClick={() => fetchQueue()}>
+                  <RefreshCw className="h-4 w-4 mr-1" />
+                  Retry
+                </Button>
+              </div>
+            ) : items.length === 0 ? (
+              <Card>
+                <CardContent className="text-center py-12">
+                  <CheckCircle className="h-12 w-12 text-green-300 mx-auto mb-3" />
+                  <p className="text-gray-600">
+                    {status === 'open' ? 'Nothing to review. The queue is empty.' : 'No resolved reports yet'}
+                  </p>
+                </CardContent>
+              </Card>
+            ) : (
+              items.map(item => (
+                <ReportItem key={item.id} item={item} onResolved={handleResolved} />
+              ))
+            )}
+          </div>
+
+          {/* Reason log */}
+          <Card className="h-fit">
+            <CardHeader>
+              <CardTitle className="flex items-center text-lg">
+                <ScrollText className="h-5 w-5 mr-2" />
+                Moderation Log
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {log.length === 0 ? (
+                <p className="text-sm text-gray-500">No actions yet</p>
+              ) : (
+                <ul className="space-y-4">
+                  {log.map(entry => (
+                    <li key={entry.id} className="text-sm">
+                      <p className="text-gray-900">
+                        <span className="font-medium">{entry.moderator?.displayName || 'A moderator'}</span>
+                        {' '}{MODERATION_ACTIONS[entry.action]?.done || entry.action}
+                        {' '}{entry.target?.type === 'comment' ? 'a comment on' : ''}
+                        {' '}<span className="font-medium">{entry.target?.title}</span>
+                      </p>
+                      <p className="text-gray-600 mt-0.5">{entry.reason}</p>
+                      <p className="text-xs text-gray-400 mt-0.5">
+                        {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ModerationPage
@@ -0,0 +1,212 @@
+// src/pages/MySolutionsPage.jsx - Solutions the user has shared with the community
+import React, { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  FileText, ThumbsUp, ThumbsDown, MessageSquare, Bookmark, Eye, EyeOff,
+  Pencil, Loader2, XCircle, RefreshCw, ExternalLink, Users
+} from 'lucide-react'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import { getDifficultyColor } from '@/lib/utils/community'
+import { useAuth } from '@/contexts/AuthContext'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { EditSolutionDialog } from '@/components/community/EditSolutionDialog'
+
+const isPublished = (solution) => solution.published !== false
+
+const Stat = (props) => (
+  <span className="flex items-center gap-1" title={props.label}>
+    <props.icon className="h-4 w-4" />
+    {props.value || 0}
+  </span>
+)
+
+const MySolutionsPage = () => {
+  const navigate = useNavigate()
+  const { trackSolutionShared } = useAuth()
+  const [solutions, setSolutions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [togglingId, setTogglingId] = useState(null)
+
+  const fetchSolutions = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await communityAPI.getMySolutions()
+      setSolutions(data.solutions || [])
+    } catch (error) {
+      console.error('Failed to load my solutions:', error)
+      setError(getErrorMessage(error))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchSolutions()
+  }, [fetchSolutions])
+
+  const replaceSolution = (updated) => {
+    setSolutions(prev => prev.map(solution => solution.id === updated.id ? updated : solution))
+  }
+
+  const togglePublished = async (solution) => {
+    const published = !isPublished(solution)
+    if (!published && !window.confirm('Unpublish this solution? It will be hidden from the community until you publish it again.')) {
+      return
+    }
+
+    setTogglingId(solution.id)
+    try {
+      await communityAPI.updateSolution(solution.id, { published })
+      replaceSolution({ ...solution, published })
+      // Unpublished solutions don't count towards the sharing badges
+      trackSolutionShared(published ? 1 : -1)
+      toast.success(published ? 'Solution published' : 'Solution unpublished')
+    } catch (error) {
+      console.error('Failed to change solution visibility:', error)
+      toast.error(getErrorMessage(error))
+    } finally {
+      setTogglingId(null)
+    }
+  }
+
+  const totals = solutions.reduce((sum, solution) => ({
+    upvotes: sum.upvotes + (solution.upvoteCount || 0),
+    comments: sum.comments + (solution.commentCount || 0),
+    bookmarks: sum.bookmarks + (solution.bookmarkCount || 0)
+  }), { upvotes: 0, comments: 0, bookmarks: 0 })
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8 flex flex-wrap justify-between items-center gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">My Solutions</h1>
+            <p className="text-gray-600 mt-2">
+              {solutions.length > 0
+                ? `${totals.upvotes} upvotes · ${totals.comments} comments · ${totals.bookmarks} bookmarks across ${solutions.length} solutions`
+                : 'Solutions you share from your analyses appear here'}
+            </p>
+          </div>
+          <Button variant="outline" onClick={() => navigate('/community')}>
+            <Users className="h-4 w-4 mr-2" />
+            Community
+          </Button>
+        </motion.div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="h-6 w-6 text-gray-400 animate-spin" />
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <XCircle className="h-10 w-10 text-red-300 mx-auto mb-3" />
+            <p className="text-gray-600 mb-3">{error}</p>
+            <Button size="sm" variant="outline" onClick={fetchSolutions}>
+              <RefreshCw className="h-4 w-4 mr-1" />
+              Retry
+            </Button>
+          </div>
+        ) : solutions.length === 0 ? (
+          <Card>
+            <CardContent className="text-center py-12">
+              <FileText className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-600">You haven't shared any solutions yet</p>
+              <p className="text-sm text-gray-500 mt-1">
+                Use "Share with Community" on an analysis once a fix has worked for you.
+              </p>
+              <Button size="sm" onClick={() => navigate('/dashboard')} className="mt-4">
+                Go to Dashboard
+              </Button>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="space-y-3">
+            {solutions.map(solution => (
+              <Card key={solution.id} className={isPublished(solution) ? '' : 'opacity-75'}>
+                <CardContent className="p-4 flex flex-col md:flex-row md:items-center gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <Badge variant="secondary" className={getDifficultyColor(solution.difficulty)}>
+                        {solution.difficulty}
+                      </Badge>
+                      <Badge variant="outline">{solution.category}</Badge>
+                      {!isPublished(solution) && (
+                        <Badge variant="outline" className="text-gray-600">
+                          <EyeOff className="h-3 w-3 mr-1" />
+                          Unpublished
+                        </Badge>
+                      )}
+                    </div>
+                    <h3 className="font-semibold text-gray-900 truncate">{solution.title}</h3>
+                    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 mt-1">
+                      <span>{formatDistanceToNow(new Date(solution.createdAt), { addSuffix: true })}</span>
+                      <Stat icon={ThumbsUp} value={solution.upvoteCount} label="Upvotes" />
+                      <Stat icon={ThumbsDown} value={solution.downvoteCount} label="Downvotes" />
+                      <Stat icon={MessageSquare} value={solution.commentCount} label="Comments" />
+                      <Stat icon={Bookmark} value={solution.bookmarkCount} label="Bookmarks" />
+                      {solution.viewCount != null && (
+                        <Stat icon={Eye} value={solution.viewCount} label="Views" />
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex gap-2 flex-shrink-0">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => navigate(`/community/${solution.id}`)}
+                      disabled={!isPublished(solution)}
+                    >
+                      <ExternalLink className="h-4 w-4 mr-1" />
+                      View
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => setEditing(solution)}>
+                      <Pencil className="h-4 w-4 mr-1" />
+                      Edit
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => togglePublished(solution)}
+                      disabled={togglingId === solution.id}
+                    >
+                      {togglingId === solution.id ? (
+                        <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                      ) : isPublished(solution) ? (
+                        <EyeOff className="h-4 w-4 mr-1" />
+                      ) : (
+                        <Eye className="h-4 w-4 mr-1" />
+                      )}
+                      {isPublished(solution) ? 'Unpublish' : 'Publish'}
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <EditSolutionDialog
+        isOpen={!!editing}
+        solution={editing}
+        onClose={() => setEditing(null)}
+        onSaved={replaceSolution}
+      />
+    </div>
+  )
+}
+
+export default MySolutionsPage
@@ -1,5 +1,6 @@
 // src/pages/ProfilePage.jsx
 import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useAuth } from '@/contexts/AuthContext'
 import toast from 'react-hot-toast'
@@ -17,6 +18,8 @@ import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
 import { Badge } from '@/components/ui/badge'
 import { Separator } from '@/components/ui/separator'
 import { formatDistanceToNow } from 'date-fns'
+import { getProfilePath } from '@/lib/utils/publicProfile'
+import { calculateCommunityPoints } from '@/lib/utils/reputation'
 
 const ProfilePage = () => {
   const { user, userProfile, updateProfile, uploadAvatar } = useAuth()
@@ -114,7 +117,7 @@ const ProfilePage = () => {
     },
     { 
       label: 'Community Points', 
-      value: userProfile?.stats?.communityPoints || 0,
+      value: calculateCommunityPoints(userProfile?.stats),
       icon: Star,
       color: 'text-purple-600'
     },
@@ -243,17 +246,32 @@ const ProfilePage = () => {
                   <div>
                     <Label htmlFor="username">Username</Label>
                     {isEditing ? (
-                      <Input
-                        id="username"
-                        name="username"
-                        value={formData.username}
-                        onChange={handleInputChange}
-                        placeholder="Choose a unique username"
-                        className="mt-2"
-                      />
+                      <>
+                        <Input
+                          id="username"
+                          name="username"
+                          value={formData.username}
+                          onChange={handleInputChange}
+                          placeholder="Choose a unique username"
+                          className="mt-2"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          3-20 letters, numbers or underscores. Your public profile is shown at /u/username.
+                        </p>
+                      </>
                     ) : (
                       <p className="mt-2 text-gray-900">
-                        {userProfile?.username ? `@${userProfile.username}` : 'Not set'}
+                        {userProfile?.username ? (
+                          <>
+                            @{userProfile.username}
+                            <Link
+                              to={getProfilePath(userProfile.username)}
+                              className="ml-3 text-sm text-blue-600 hover:underline"
+                            >
+                              View public profile
+                            </Link>
+                          </>
+                        ) : 'Not set'}
                       </p>
                     )}
                   </div>
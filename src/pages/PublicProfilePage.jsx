@@ -0,0 +1,244 @@
+// src/pages/PublicProfilePage.jsx - A user's public profile with their shared solutions
+import React, { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  Lock, UserX, AlertCircle, Users, Calendar, Shield, Crown,
+  Award, FileText, ThumbsUp, BadgeCheck, Settings
+} from 'lucide-react'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import { getEarnedBadges } from '@/lib/utils/reputation'
+import { normalizeUsername } from '@/lib/utils/publicProfile'
+import { useAuth } from '@/contexts/AuthContext'
+import { useSolutionActions } from '@/hooks/useSolutionActions'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
+import { LoadingScreen } from '@/components/common/LoadingScreen'
+import { SolutionCard } from '@/components/community/SolutionCard'
+import { ReputationBadge } from '@/components/community/ReputationBadge'
+
+const ProfileStat = (props) => (
+  <div className="text-center">
+    <props.icon className="h-5 w-5 mx-auto text-gray-400 mb-1" />
+    <div className="text-xl font-bold text-gray-900">{props.value || 0}</div>
+    <div className="text-xs text-gray-600">{props.label}</div>
+  </div>
+)
+
+// Full-page message for profiles that can't be shown
+const ProfileUnavailable = (props) => {
+  const navigate = useNavigate()
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="max-w-md w-full text-center">
+        <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <props.icon className="h-8 w-8 text-gray-500" />
+        </div>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">{props.title}</h1>
+        <p className="text-gray-600 mb-6">{props.message}</p>
+        <Button onClick={() => navigate('/community')}>
+          <Users className="h-4 w-4 mr-2" />
+          Browse Community
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+const PublicProfilePage = () => {
+  const { username } = useParams()
+  const navigate = useNavigate()
+  const { userProfile, settings } = useAuth()
+  const [profile, setProfile] = useState(null)
+  const [solutions, setSolutions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchProfile = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const data = await communityAPI.getPublicProfile(normalizeUsername(username))
+        if (!cancelled) {
+          setProfile(data.profile)
+          setSolutions(data.solutions || [])
+        }
+      } catch (error) {
+        console.error('Failed to load public profile:', error)
+        if (!cancelled) setError(error)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchProfile()
+    return () => {
+      cancelled = true
+    }
+  }, [username])
+
+  const updateSolution = useCallback((solutionId, changes) => {
+    setSolutions(prev => prev.map(solution => solution.id === solutionId ? { ...solution, ...changes } : solution))
+  }, [])
+  const { handleVote, handleBookmark } = useSolutionActions(updateSolution)
+
+  if (loading) {
+    return <LoadingScreen />
+  }
+
+  if (error?.status === 403) {
+    return (
+      <ProfileUnavailable
+        icon={Lock}
+        title="This profile is private"
+        message={`@${normalizeUsername(username)} has chosen not to share their profile.`}
+      />
+    )
+  }
+
+  if (error || !profile) {
+    const isMissing = !error || error.status === 404
+    return (
+      <ProfileUnavailable
+        icon={isMissing ? UserX : AlertCircle}
+        title={isMissing ? 'User not found' : 'Could not load this profile'}
+        message={isMissing ? `There is no one called @${normalizeUsername(username)}.` : getErrorMessage(error)}
+      />
+    )
+  }
+
+  const isOwnProfile = !!userProfile?.username && userProfile.username === profile.username
+  const badges = getEarnedBadges(profile)
+  const upvotes = solutions.reduce((sum, solution) => sum + (solution.upvoteCount || 0), 0)
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Only the owner gets here when the profile is private */}
+        {isOwnProfile && settings.publicProfile === false && (
+          <div className="flex flex-wrap items-center justify-between gap-3 rounded-md border border-yellow-200 bg-yellow-50 px-4 py-3">
+            <p className="flex items-center text-sm text-yellow-800">
+              <Lock className="h-4 w-4 mr-2 flex-shrink-0" />
+              Your profile is private. Only you can see this page.
+            </p>
+            <Button size="sm" variant="outline" onClick={() => navigate('/settings')}>
+              <Settings className="h-4 w-4 mr-1" />
+              Privacy Settings
+            </Button>
+          </div>
+        )}
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <Card>
+            <CardContent className="p-6 flex flex-col sm:flex-row gap-6">
+              <Avatar className="h-24 w-24">
+                <AvatarImage src={profile.avatarUrl} alt={profile.displayName} />
+                <AvatarFallback className="text-2xl bg-blue-100 text-blue-700">
+                  {profile.displayName?.[0]?.toUpperCase() || 'U'}
+                </AvatarFallback>
+              </Avatar>
+              <div className="flex-1 min-w-0 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <h1 className="text-2xl font-bold text-gray-900">{profile.displayName || profile.username}</h1>
+                  <ReputationBadge reputation={profile.reputation || 0} showPoints />
+                  {(profile.role === 'moderator' || profile.role === 'admin') && (
+                    <Badge className="bg-orange-600">
+                      <Shield className="h-3 w-3 mr-1" />
+                      {profile.role === 'admin' ? 'Admin' : 'Moderator'}
+                    </Badge>
+                  )}
+                  {profile.subscription === 'pro' && (
+                    <Badge className="bg-blue-600">
+                      <Crown className="h-3 w-3 mr-1" />
+                      Pro
+                    </Badge>
+                  )}
+                </div>
+                <p className="text-gray-500">@{profile.username}</p>
+                {profile.bio && <p className="text-gray-700 whitespace-pre-line">{profile.bio}</p>}
+                {profile.createdAt && (
+                  <p className="text-sm text-gray-500 flex items-center">
+                    <Calendar className="h-4 w-4 mr-1" />
+                    Member for {formatDistanceToNow(new Date(profile.createdAt))}
+                  </p>
+                )}
+              </div>
+              {isOwnProfile && (
+                <Button variant="outline" size="sm" className="self-start" onClick={() => navigate('/profile')}>
+                  Edit Profile
+                </Button>
+              )}
+            </CardContent>
+          </Card>
+        </motion.div>
+
+        <div className="grid gap-6 md:grid-cols-3">
+          <Card className="md:col-span-2">
+            <CardContent className="p-6 grid grid-cols-3 gap-4">
+              <ProfileStat icon={FileText} value={solutions.length} label="Solutions Shared" />
+              <ProfileStat icon={ThumbsUp} value={upvotes} label="Upvotes" />
+              <ProfileStat icon={BadgeCheck} value={profile.stats?.solutionsHelpful} label="Errors Fixed for Others" />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="pb-2">
+              <CardTitle className="flex items-center text-base">
+                <Award className="h-4 w-4 mr-2" />
+                Badges
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {badges.length === 0 ? (
+                <p className="text-sm text-gray-500">No badges earned yet</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {badges.map(badge => (
+                    <Badge key={badge.id} variant="outline" title={badge.description}>
+                      {badge.label}
+                    </Badge>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Shared Solutions */}
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Shared Solutions</h2>
+          {solutions.length === 0 ? (
+            <Card>
+              <CardContent className="text-center py-12">
+                <FileText className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+                <p className="text-gray-600">No solutions shared yet</p>
+              </CardContent>
+            </Card>
+          ) : (
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {solutions.map(solution => (
+                <SolutionCard
+                  key={solution.id}
+                  solution={solution}
+                  onVote={handleVote}
+                  onBookmark={handleBookmark}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PublicProfilePage
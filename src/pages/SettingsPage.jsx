@@ -0,0 +1,295 @@
+// src/pages/SettingsPage.jsx - Account, notification and privacy preferences
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import {
+  Bell, Palette, Shield, Link2, Loader2, Mail, Users,
+  Moon, Globe, EyeOff, History, UserCircle, KeyRound
+} from 'lucide-react'
+import { useAuth } from '@/contexts/AuthContext'
+import { authAPI } from '@/lib/api'
+import {
+  HISTORY_RETENTION_OPTIONS,
+  LANGUAGES,
+  SIGN_IN_PROVIDERS
+} from '@/lib/utils/userSettings'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Switch } from '@/components/ui/switch'
+import { Separator } from '@/components/ui/separator'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select'
+
+// One labelled setting with its control on the right
+const SettingRow = (props) => (
+  <div className="flex items-center justify-between gap-4">
+    <div>
+      <h4 className="font-medium flex items-center">
+        <props.icon className="h-4 w-4 mr-2 text-gray-500" />
+        {props.title}
+      </h4>
+      <p className="text-sm text-gray-600">{props.description}</p>
+    </div>
+    {props.children}
+  </div>
+)
+
+const SettingsPage = () => {
+  const { user, settings, updateSettings, connectGoogle, disconnectProvider } = useAuth()
+  const [providers, setProviders] = useState(() => user?.providerData || [])
+  const [busyProvider, setBusyProvider] = useState(null)
+
+  const saveSetting = async (name, value) => {
+    try {
+      await updateSettings({ [name]: value })
+      toast.success('Settings saved')
+      return true
+    } catch (error) {
+      toast.error(error.message)
+      return false
+    }
+  }
+
+  const saveRetention = async (value) => {
+    const historyRetentionDays = value === 'forever' ? null : Number(value)
+    if (!await saveSetting('historyRetentionDays', historyRetentionDays)) return
+
+    // The backend deletes older analyses; it is fine if it picks this up on next sync
+    try {
+      await authAPI.updateProfile({ historyRetentionDays })
+    } catch (error) {
+      console.warn('⚠️ Could not send history retention to backend:', error.message)
+    }
+  }
+
+  // The backend decides who may see /u/:username, so it has to accept the
+  // change before the switch moves
+  const savePublicProfile = async (publicProfile) => {
+    try {
+      await authAPI.updateProfile({ publicProfile })
+    } catch (error) {
+      console.error('Failed to update profile visibility:', error)
+      toast.error('Could not update who can see your profile. Please try again.')
+      return
+    }
+    await saveSetting('publicProfile', publicProfile)
+  }
+
+  const handleConnectGoogle = async () => {
+    setBusyProvider('google.com')
+    try {
+      setProviders(await connectGoogle())
+      toast.success('Google account connected')
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setBusyProvider(null)
+    }
+  }
+
+  const handleDisconnect = async (providerId) => {
+    if (!window.confirm(`Disconnect ${SIGN_IN_PROVIDERS[providerId]?.label || providerId}? You won't be able to sign in with it anymore.`)) {
+      return
+    }
+
+    setBusyProvider(providerId)
+    try {
+      setProviders(await disconnectProvider(providerId))
+      toast.success('Sign-in method disconnected')
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setBusyProvider(null)
+    }
+  }
+
+  const connectedIds = providers.map(provider => provider.providerId)
+  const retentionValue = settings.historyRetentionDays ? String(settings.historyRetentionDays) : 'forever'
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600 mt-2">Changes are saved and applied right away</p>
+        </motion.div>
+
+        {/* Notifications */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Bell className="h-5 w-5 mr-2" />
+              Notifications
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <SettingRow
+              icon={Mail}
+              title="Email notifications"
+              description="Account, billing and analysis updates by email"
+            >
+              <Switch
+                checked={settings.emailNotifications}
+                onCheckedChange={(value) => saveSetting('emailNotifications', value)}
+              />
+            </SettingRow>
+            <Separator />
+            <SettingRow
+              icon={Users}
+              title="Community notifications"
+              description="Comments and replies on your solutions"
+            >
+              <Switch
+                checked={settings.communityNotifications}
+                onCheckedChange={(value) => saveSetting('communityNotifications', value)}
+              />
+            </SettingRow>
+          </CardContent>
+        </Card>
+
+        {/* Appearance */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Palette className="h-5 w-5 mr-2" />
+              Appearance
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <SettingRow icon={Moon} title="Dark mode" description="Use a dark color theme">
+              <Switch
+                checked={settings.darkMode}
+                onCheckedChange={(value) => saveSetting('darkMode', value)}
+              />
+            </SettingRow>
+            <Separator />
+            <SettingRow icon={Globe} title="Language" description="Language for the interface and analyses">
+              <Select value={settings.language} onValueChange={(value) => saveSetting('language', value)}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {LANGUAGES.map(language => (
+                    <SelectItem key={language.value} value={language.value}>{language.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+          </CardContent>
+        </Card>
+
+        {/* Privacy */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Shield className="h-5 w-5 mr-2" />
+              Privacy
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <SettingRow
+              icon={EyeOff}
+              title="Mask private info by default"
+              description="Scan new screenshots for emails, keys and other sensitive text before upload"
+            >
+              <Switch
+                checked={settings.defaultRedaction}
+                onCheckedChange={(value) => saveSetting('defaultRedaction', value)}
+              />
+            </SettingRow>
+            <Separator />
+            <SettingRow
+              icon={History}
+              title="Keep analysis history"
+              description="Older analyses are deleted automatically"
+            >
+              <Select value={retentionValue} onValueChange={saveRetention}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {HISTORY_RETENTION_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+            <Separator />
+            <SettingRow
+              icon={UserCircle}
+              title="Public profile"
+              description="Let others see your profile, badges and shared solutions at /u/your-username"
+            >
+              <Switch
+                checked={settings.publicProfile}
+                onCheckedChange={savePublicProfile}
+              />
+            </SettingRow>
+          </CardContent>
+        </Card>
+
+        {/* Connected sign-in providers */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Link2 className="h-5 w-5 mr-2" />
+              Sign-in Methods
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {Object.entries(SIGN_IN_PROVIDERS).map(([providerId, provider], index) => {
+              const connected = providers.find(p => p.providerId === providerId)
+              return (
+                <React.Fragment key={providerId}>
+                  {index > 0 && <Separator />}
+                  <div className="flex items-center justify-between gap-4">
+                    <div>
+                      <h4 className="font-medium flex items-center">
+                        <KeyRound className="h-4 w-4 mr-2 text-gray-500" />
+                        {provider.label}
+                        {connected && (
+                          <Badge variant="secondary" className="ml-2 bg-green-100 text-green-800">Connected</Badge>
+                        )}
+                      </h4>
+                      <p className="text-sm text-gray-600">
+                        {connected ? connected.email || user?.email : 'Not connected'}
+                      </p>
+                    </div>
+                    {connected ? (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleDisconnect(providerId)}
+                        disabled={busyProvider !== null || connectedIds.length <= 1}
+                        title={connectedIds.length <= 1 ? 'You need at least one sign-in method' : undefined}
+                      >
+                        {busyProvider === providerId && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                        Disconnect
+                      </Button>
+                    ) : providerId === 'google.com' ? (
+                      <Button size="sm" onClick={handleConnectGoogle} disabled={busyProvider !== null}>
+                        {busyProvider === providerId && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                        Connect
+                      </Button>
+                    ) : null}
+                  </div>
+                </React.Fragment>
+              )
+            })}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsPage
@@ -0,0 +1,88 @@
+// src/pages/SharedAnalysisPage.jsx - Public, read-only view of a shared analysis
+import React, { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { AlertCircle, Clock, Home } from 'lucide-react'
+import { shareAPI, getErrorMessage } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { LoadingScreen } from '@/components/common/LoadingScreen'
+import { AnalysisResults } from '@/components/analysis/AnalysisResults'
+import { getStoredScreenshots } from '@/lib/utils/storedAnalysis'
+
+const SharedAnalysisPage = () => {
+  const { shareId } = useParams()
+  const navigate = useNavigate()
+  const [shared, setShared] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchShared = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const result = await shareAPI.getSharedAnalysis(shareId)
+        if (!cancelled) setShared(result)
+      } catch (error) {
+        console.error('Failed to load shared analysis:', error)
+        if (!cancelled) setError(error)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchShared()
+    return () => {
+      cancelled = true
+    }
+  }, [shareId])
+
+  if (loading) {
+    return <LoadingScreen />
+  }
+
+  if (error || !shared) {
+    const isGone = error?.status === 410 || error?.status === 404
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="max-w-md w-full text-center">
+          <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            {isGone ? (
+              <Clock className="h-8 w-8 text-gray-500" />
+            ) : (
+              <AlertCircle className="h-8 w-8 text-red-600" />
+            )}
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            {isGone ? 'This link is no longer available' : 'Could not load this analysis'}
+          </h1>
+          <p className="text-gray-600 mb-6">
+            {isGone
+              ? 'It may have expired or been revoked by the person who shared it.'
+              : getErrorMessage(error)}
+          </p>
+          <Button onClick={() => navigate('/')}>
+            <Home className="h-4 w-4 mr-2" />
+            Go Home
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  const { analysis } = shared
+
+  return (
+    <AnalysisResults
+      result={analysis}
+      screenshots={shared.redact_screenshots ? [] : getStoredScreenshots(analysis)}
+      onReset={() => navigate('/upload')}
+      onBack={() => navigate('/')}
+      backLabel="Home"
+      readOnly
+    />
+  )
+}
+
+export default SharedAnalysisPage
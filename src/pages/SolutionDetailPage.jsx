@@ -0,0 +1,230 @@
+// src/pages/SolutionDetailPage.jsx - A community solution with its steps and discussion
+import React, { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import toast from 'react-hot-toast'
+import {
+  ArrowLeft, ThumbsUp, ThumbsDown, Bookmark, Share2,
+  CheckCircle, AlertCircle, Users, BadgeCheck
+} from 'lucide-react'
+import { communityAPI, getErrorMessage } from '@/lib/api'
+import { getDifficultyColor } from '@/lib/utils/community'
+import { useSolutionActions } from '@/hooks/useSolutionActions'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
+import { LoadingScreen } from '@/components/common/LoadingScreen'
+import { Markdown } from '@/components/common/Markdown'
+import { CommentThread } from '@/components/community/CommentThread'
+import { ReputationBadge } from '@/components/community/ReputationBadge'
+import { AuthorLink } from '@/components/community/AuthorLink'
+import { useAuth } from '@/contexts/AuthContext'
+
+const SolutionDetailPage = () => {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { user } = useAuth()
+  const [solution, setSolution] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchSolution = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const data = await communityAPI.getSolution(id)
+        if (!cancelled) setSolution(data.solution)
+      } catch (error) {
+        console.error('Failed to load solution:', error)
+        if (!cancelled) setError(error)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchSolution()
+    return () => {
+      cancelled = true
+    }
+  }, [id])
+
+  const updateSolution = useCallback((solutionId, changes) => {
+    setSolution(prev => prev?.id === solutionId ? { ...prev, ...changes } : prev)
+  }, [])
+  const { handleVote, handleBookmark, handleAccept } = useSolutionActions(updateSolution)
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+    toast.success('Link copied to clipboard!')
+  }
+
+  if (loading) {
+    return <LoadingScreen />
+  }
+
+  if (error || !solution) {
+    const isMissing = error?.status === 404
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="max-w-md w-full text-center">
+          <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <AlertCircle className="h-8 w-8 text-red-600" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            {isMissing ? 'Solution not found' : 'Could not load this solution'}
+          </h1>
+          <p className="text-gray-600 mb-6">
+            {isMissing ? 'It may have been removed by its author.' : getErrorMessage(error)}
+          </p>
+          <Button onClick={() => navigate('/community')}>
+            <Users className="h-4 w-4 mr-2" />
+            Browse Community
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  const userVote = solution.userVote
+  const isOwnSolution = !!user && solution.author?.uid === user.uid
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <Button variant="ghost" onClick={() => navigate('/community')}>
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Community
+        </Button>
+
+        <Card>
+          <CardHeader className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="secondary" className={getDifficultyColor(solution.difficulty)}>
+                {solution.difficulty}
+              </Badge>
+              <Badge variant="outline">{solution.category}</Badge>
+              {solution.tags?.map(tag => (
+                <Badge key={tag} variant="outline" className="text-xs">{tag}</Badge>
+              ))}
+            </div>
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-900">{solution.title}</h1>
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center gap-3">
+                <Avatar className="h-10 w-10">
+                  <AvatarImage src={solution.author?.avatarUrl} />
+                  <AvatarFallback>{solution.author?.displayName?.[0] || 'U'}</AvatarFallback>
+                </Avatar>
+                <div>
+                  <p className="font-medium text-gray-900 flex items-center gap-2">
+                    <AuthorLink author={solution.author} />
+                    {solution.author?.reputation != null && (
+                      <ReputationBadge reputation={solution.author.reputation} showPoints className="text-xs" />
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Shared {formatDistanceToNow(new Date(solution.createdAt), { addSuffix: true })}
+                    {solution.author?.solutionsShared > 0 && ` · ${solution.author.solutionsShared} solutions shared`}
+                    {solution.acceptedCount > 0 && ` · fixed the error for ${solution.acceptedCount} ${solution.acceptedCount === 1 ? 'person' : 'people'}`}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2">
+                {!isOwnSolution && (
+                  <Button
+                    size="sm"
+                    variant={solution.userAccepted ? 'default' : 'outline'}
+                    className={solution.userAccepted ? 'bg-green-600 hover:bg-green-700' : ''}
+                    onClick={() => handleAccept(solution.id)}
+                    title={solution.userAccepted ? 'Undo' : 'Let the author know this solved your problem'}
+                  >
+                    <BadgeCheck className="h-4 w-4 mr-1" />
+                    {solution.userAccepted ? 'Fixed my error' : 'This fixed my error'}
+                  </Button>
+                )}
+                <Button
+                  size="sm"
+                  variant={userVote?.isUpvote === true ? 'default' : 'outline'}
+                  onClick={() => handleVote(solution.id, true)}
+                  title="Helpful"
+                >
+                  <ThumbsUp className="h-4 w-4 mr-1" />
+                  {solution.upvoteCount || 0}
+                </Button>
+                <Button
+                  size="sm"
+                  variant={userVote?.isUpvote === false ? 'default' : 'outline'}
+                  onClick={() => handleVote(solution.id, false)}
+                  title="Not helpful"
+                >
+                  <ThumbsDown className="h-4 w-4 mr-1" />
+                  {solution.downvoteCount || 0}
+                </Button>
+                <Button
+                  size="sm"
+                  variant={solution.isBookmarked ? 'default' : 'outline'}
+                  onClick={() => handleBookmark(solution.id)}
+                  title={solution.isBookmarked ? 'Remove bookmark' : 'Bookmark'}
+                >
+                  <Bookmark className="h-4 w-4 mr-1" />
+                  {solution.bookmarkCount || 0}
+                </Button>
+                <Button size="sm" variant="outline" onClick={copyLink} title="Copy link">
+                  <Share2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {solution.description && (
+              <Markdown className="text-base">{solution.description}</Markdown>
+            )}
+
+            {solution.steps?.length > 0 && (
+              <div>
+                <h2 className="font-semibold text-gray-900 mb-3">Steps</h2>
+                <ol className="space-y-3">
+                  {solution.steps.map((step, index) => (
+                    <li key={index} className="flex gap-3">
+                      <span className="flex-shrink-0 w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-medium">
+                        {index + 1}
+                      </span>
+                      <Markdown className="flex-1 pt-0.5">{step}</Markdown>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {solution.whatWorked && (
+          <Card className="border-green-200 bg-green-50">
+            <CardHeader>
+              <CardTitle className="flex items-center text-lg text-green-900">
+                <CheckCircle className="h-5 w-5 mr-2 text-green-600" />
+                What worked
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <Markdown className="text-green-900">{solution.whatWorked}</Markdown>
+            </CardContent>
+          </Card>
+        )}
+
+        <CommentThread
+          solutionId={solution.id}
+          onCountChange={(delta) => updateSolution(solution.id, {
+            commentCount: Math.max(0, (solution.commentCount || 0) + delta)
+          })}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default SolutionDetailPage
@@ -3,20 +3,58 @@ import React, { useState, useRef, useCallback, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '@/contexts/AuthContext'
-import { analysisAPI, getErrorMessage } from '@/lib/api'
-import { compressImage } from '@/lib/utils/imageProcessor'
+import {
+  analysisAPI,
+  uploadAPI,
+  checkNetworkStatus,
+  getErrorMessage,
+  isNetworkError,
+  ANALYSIS_STAGES
+} from '@/lib/api'
+import {
+  compressImage,
+  fileToBase64,
+  cropImage,
+  captureScreenFrame,
+  isScreenCaptureSupported,
+  detectSensitiveRegions,
+  maskSensitiveRegions,
+  confirmUnmaskedUpload
+} from '@/lib/utils/imageProcessor'
+import { summarizeMasking } from '@/lib/utils/piiDetector'
+import { recognizeText, terminateOcr } from '@/lib/utils/ocr'
+import { enqueueAnalysis, isOfflineQueueSupported } from '@/lib/utils/offlineQueue'
 import toast from 'react-hot-toast'
 import { 
   Upload, CheckCircle, Zap, AlertTriangle, X, 
   Image as ImageIcon, Camera, FileText, Loader2,
-  ArrowLeft, Download, Share2, Copy
+  Monitor, Clipboard, ShieldCheck, Terminal
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Alert, AlertDescription } from '@/components/ui/alert'
-import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Card, CardContent } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Progress } from '@/components/ui/progress'
 import { Textarea } from '@/components/ui/textarea'
+import { Switch } from '@/components/ui/switch'
+import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
+import { ScreenshotList } from '@/components/upload/ScreenshotList'
+import { ImageCropDialog } from '@/components/upload/ImageCropDialog'
+import { ScreenshotEditor } from '@/components/upload/ScreenshotEditor'
+import { MaskingReviewDialog } from '@/components/upload/MaskingReviewDialog'
+import { DetectedTextPanel } from '@/components/upload/DetectedTextPanel'
+import { ErrorTextInput } from '@/components/upload/ErrorTextInput'
+import { AnalysisProgress } from '@/components/upload/AnalysisProgress'
+import { AnalysisResults } from '@/components/analysis/AnalysisResults'
+
+// Screenshots that can be analysed together as one session
+const MAX_SCREENSHOTS = 5
+
+// Summary of what auto-masking hid on a screenshot, sent with the request
+const getMaskingSummary = (masking) => {
+  if (!masking || masking.status !== 'done') return null
+  return masking.summary || summarizeMasking(masking.regions)
+}
 
 const UploadPage = () => {
   const navigate = useNavigate()
@@ -27,12 +65,12 @@ const UploadPage = () => {
     analysisLimit, 
     isPro,
     trackAnalysis,
-    canAnalyze
+    canAnalyze,
+    settings
   } = useAuth()
 
   // State management
-  const [selectedFile, setSelectedFile] = useState(null)
-  const [previewUrl, setPreviewUrl] = useState(null)
+  const [screenshots, setScreenshots] = useState([])
   const [additionalInfo, setAdditionalInfo] = useState('')
   const [analysisResult, setAnalysisResult] = useState(null)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
@@ -40,10 +78,25 @@ const UploadPage = () => {
   const [uploadProgress, setUploadProgress] = useState(0)
   const [dragOver, setDragOver] = useState(false)
   const [error, setError] = useState(null)
-  const [fileValidation, setFileValidation] = useState(null)
+  const [captureFile, setCaptureFile] = useState(null)
+  const [isCapturing, setIsCapturing] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [autoMask, setAutoMask] = useState(settings.defaultRedaction)
+  const [reviewingMaskId, setReviewingMaskId] = useState(null)
+  const [inputMode, setInputMode] = useState('screenshot') // 'screenshot' | 'text'
+  const [errorText, setErrorText] = useState('')
+  const [textSource, setTextSource] = useState(null)
+  const [analysisStages, setAnalysisStages] = useState({})
+  const [partialResult, setPartialResult] = useState(null)
+  const [isCancelling, setIsCancelling] = useState(false)
 
   const fileInputRef = useRef(null)
   const dragCounterRef = useRef(0)
+  const screenshotsRef = useRef(screenshots)
+  screenshotsRef.current = screenshots
+  const autoMaskRef = useRef(autoMask)
+  autoMaskRef.current = autoMask
+  const analysisControllerRef = useRef(null)
 
   // Check if user can upload
   useEffect(() => {
@@ -52,14 +105,14 @@ const UploadPage = () => {
     }
   }, [canAnalyze, isAuthenticated])
 
-  // Cleanup preview URL on unmount
+  // Cleanup preview URLs and the OCR worker on unmount
   useEffect(() => {
     return () => {
-      if (previewUrl) {
-        URL.revokeObjectURL(previewUrl)
-      }
+      screenshotsRef.current.forEach(shot => URL.revokeObjectURL(shot.previewUrl))
+      terminateOcr()
+      analysisControllerRef.current?.abort()
     }
-  }, [previewUrl])
+  }, [])
 
   // File validation with proper limits
   const validateFile = useCallback(async (file) => {
@@ -113,111 +166,309 @@ const UploadPage = () => {
     })
   }, [])
 
-  // Safe base64 conversion with compression
+  // Inline base64 fallback for backends without the upload endpoint
   const convertToBase64 = useCallback(async (file, validation) => {
     try {
       let processedFile = file
       
-      // Compress if needed
+      // Compress if needed; base64 adds a third to the size
       if (validation.needsCompression) {
-        setUploadProgress(30)
         toast('Compressing image...', { icon: '🗜️' })
         
         processedFile = await compressImage(file, {
           maxSizeMB: 2,
           maxWidthOrHeight: 1920,
-          useWebWorker: true,
-          onProgress: (progress) => {
-            setUploadProgress(30 + (progress * 0.4)) // 30-70%
-          }
+          useWebWorker: true
         })
         
         console.log(`Compressed from ${(file.size / 1024 / 1024).toFixed(2)}MB to ${(processedFile.size / 1024 / 1024).toFixed(2)}MB`)
       }
       
-      setUploadProgress(70)
-      
-      return new Promise((resolve, reject) => {
-        const reader = new FileReader()
-        
-        reader.onload = (event) => {
-          setUploadProgress(100)
-          resolve(event.target.result)
-        }
-        
-        reader.onerror = () => {
-          reject(new Error('Failed to read file'))
-        }
-        
-        reader.onprogress = (event) => {
-          if (event.lengthComputable) {
-            const progress = Math.round((event.loaded / event.total) * 30) + 70 // 70-100%
-            setUploadProgress(progress)
-          }
-        }
-        
-        reader.readAsDataURL(processedFile)
-      })
+      return await fileToBase64(processedFile, { compress: false })
     } catch (error) {
       console.error('Error processing image:', error)
       throw new Error('Failed to process image. Please try a different file.')
     }
   }, [])
 
-  // Process file with validation
+  // Keep the ref and state in step so async callbacks never see stale screenshots
+  const commitScreenshots = useCallback((next) => {
+    screenshotsRef.current = next
+    setScreenshots(next)
+  }, [])
+
+  // Swap the file sent for a screenshot, keeping its preview in sync
+  const replaceScreenshotFile = useCallback((id, file, changes = {}) => {
+    const target = screenshotsRef.current.find(shot => shot.id === id)
+    if (!target) return
+
+    const previewUrl = file === target.file ? target.previewUrl : URL.createObjectURL(file)
+    if (previewUrl !== target.previewUrl) {
+      URL.revokeObjectURL(target.previewUrl)
+    }
+
+    // Text read from the old image no longer matches, so it is dropped
+    commitScreenshots(screenshotsRef.current.map(shot => (
+      shot.id === id
+        ? {
+            ...shot,
+            ocr: null,
+            ...changes,
+            file,
+            previewUrl,
+            validation: {
+              ...(changes.validation || shot.validation),
+              needsCompression: file.size > 2 * 1024 * 1024
+            }
+          }
+        : shot
+    )))
+  }, [commitScreenshots])
+
+  // Detect and black out sensitive text on a screenshot (auto-masking)
+  const scanScreenshot = useCallback(async (id) => {
+    const target = screenshotsRef.current.find(shot => shot.id === id)
+    if (!target) return
+
+    const source = target.originalFile
+    commitScreenshots(screenshotsRef.current.map(shot => (
+      shot.id === id ? { ...shot, masking: { status: 'scanning', regions: [] } } : shot
+    )))
+
+    try {
+      const regions = await detectSensitiveRegions(source)
+      const masked = await maskSensitiveRegions(source, regions)
+
+      // Ignore results for screenshots removed or edited while scanning
+      const current = screenshotsRef.current.find(shot => shot.id === id)
+      if (!current || current.originalFile !== source) return
+
+      replaceScreenshotFile(id, masked, { masking: { status: 'done', regions } })
+      if (regions.length > 0) {
+        toast.success(`Masked ${regions.length} sensitive item${regions.length === 1 ? '' : 's'}`)
+      }
+    } catch (error) {
+      console.error('Sensitive data scan failed:', error)
+      commitScreenshots(screenshotsRef.current.map(shot => (
+        shot.id === id && shot.originalFile === source
+          ? { ...shot, masking: { status: 'failed', regions: [] } }
+          : shot
+      )))
+      toast.error('Could not scan screenshot for private information')
+    }
+  }, [commitScreenshots, replaceScreenshotFile])
+
+  // Turn auto-masking on (scan everything) or off (restore the originals)
+  const toggleAutoMask = useCallback((enabled) => {
+    setAutoMask(enabled)
+
+    screenshotsRef.current.forEach(shot => {
+      if (enabled && !shot.masking) {
+        scanScreenshot(shot.id)
+      } else if (!enabled && shot.masking && !shot.masking.summary) {
+        replaceScreenshotFile(shot.id, shot.originalFile, { masking: null })
+      }
+    })
+  }, [scanScreenshot, replaceScreenshotFile])
+
+  // Re-apply masking after the user toggled individual regions
+  const saveMaskingReview = useCallback(async (regions) => {
+    const target = screenshotsRef.current.find(shot => shot.id === reviewingMaskId)
+    setReviewingMaskId(null)
+    if (!target) return
+
+    try {
+      const masked = await maskSensitiveRegions(target.originalFile, regions)
+      replaceScreenshotFile(target.id, masked, { masking: { status: 'done', regions } })
+    } catch (error) {
+      console.error('Failed to update masking:', error)
+      toast.error(error.message)
+    }
+  }, [reviewingMaskId, replaceScreenshotFile])
+
+  // Read the text in a screenshot on-device so the user can correct it
+  const extractScreenshotText = useCallback(async (id) => {
+    const target = screenshotsRef.current.find(shot => shot.id === id)
+    if (!target) return
+
+    // Masked images are read so hidden values never reach the text
+    const source = target.file
+    const updateOcr = (ocr) => {
+      commitScreenshots(screenshotsRef.current.map(shot => (
+        shot.id === id && shot.file === source ? { ...shot, ocr } : shot
+      )))
+    }
+
+    updateOcr({ status: 'running', progress: 0 })
+    try {
+      const result = await recognizeText(source, {
+        onProgress: (progress) => updateOcr({ status: 'running', progress })
+      })
+      updateOcr({
+        status: 'done',
+        text: result.text,
+        confidence: result.confidence,
+        edited: false
+      })
+    } catch (error) {
+      console.error('Text extraction failed:', error)
+      updateOcr({ status: 'failed' })
+    }
+  }, [commitScreenshots])
+
+  const extractAllText = useCallback(() => {
+    screenshotsRef.current
+      .filter(shot => !shot.ocr || shot.ocr.status === 'failed')
+      .forEach(shot => extractScreenshotText(shot.id))
+  }, [extractScreenshotText])
+
+  const updateDetectedText = useCallback((id, text) => {
+    commitScreenshots(screenshotsRef.current.map(shot => (
+      shot.id === id ? { ...shot, ocr: { ...shot.ocr, text, edited: true } } : shot
+    )))
+  }, [commitScreenshots])
+
+  // Process file with validation and append it to the session
   const processFile = useCallback(async (file) => {
+    if (screenshotsRef.current.length >= MAX_SCREENSHOTS) {
+      throw new Error(`You can add up to ${MAX_SCREENSHOTS} screenshots per analysis.`)
+    }
+
+    const validation = await validateFile(file)
+    const screenshot = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      file,
+      originalFile: file,
+      previewUrl: URL.createObjectURL(file),
+      validation,
+      caption: '',
+      masking: null,
+      ocr: null
+    }
+
+    commitScreenshots([...screenshotsRef.current, screenshot])
+
+    if (autoMaskRef.current) {
+      scanScreenshot(screenshot.id)
+    }
+    return screenshot
+  }, [validateFile, commitScreenshots, scanScreenshot])
+
+  // Process several files in order, stopping at the session limit
+  const processFiles = useCallback(async (files) => {
+    const remaining = MAX_SCREENSHOTS - screenshotsRef.current.length
+    const accepted = Array.from(files).slice(0, Math.max(remaining, 0))
+
+    if (accepted.length === 0) {
+      toast.error(`You can add up to ${MAX_SCREENSHOTS} screenshots per analysis.`)
+      return
+    }
+
+    if (accepted.length < files.length) {
+      toast(`Only the first ${accepted.length} file(s) were added (limit ${MAX_SCREENSHOTS}).`, { icon: '⚠️' })
+    }
+
     setIsProcessingFile(true)
     setUploadProgress(0)
     setError(null)
-    
+
+    let added = 0
     try {
-      // Step 1: Validate file (20% of progress)
-      setUploadProgress(10)
-      const validation = await validateFile(file)
-      setFileValidation(validation)
-      setUploadProgress(20)
-      
-      // Step 2: Create preview (10% of progress)
-      const preview = URL.createObjectURL(file)
-      setPreviewUrl(preview)
-      setUploadProgress(30)
-      
-      // Step 3: Set file (final)
-      setSelectedFile(file)
-      setUploadProgress(100)
-      
-      toast.success('File uploaded successfully!')
-      
-    } catch (error) {
-      console.error('File processing failed:', error)
-      cleanupFile()
-      setError(error.message)
-      toast.error(error.message)
+      for (const [index, file] of accepted.entries()) {
+        try {
+          await processFile(file)
+          added += 1
+        } catch (error) {
+          console.error('File processing failed:', error)
+          setError(`${file.name}: ${error.message}`)
+          toast.error(`${file.name}: ${error.message}`)
+        }
+        setUploadProgress(Math.round(((index + 1) / accepted.length) * 100))
+      }
+
+      if (added > 0) {
+        toast.success(added === 1 ? 'Screenshot added!' : `${added} screenshots added!`)
+      }
     } finally {
       setIsProcessingFile(false)
       setTimeout(() => setUploadProgress(0), 500)
     }
-  }, [validateFile])
+  }, [processFile])
 
-  // Cleanup function
-  const cleanupFile = useCallback(() => {
-    if (previewUrl) {
-      URL.revokeObjectURL(previewUrl)
-      setPreviewUrl(null)
+  // Remove one screenshot from the session
+  const removeScreenshot = useCallback((id) => {
+    const target = screenshotsRef.current.find(shot => shot.id === id)
+    if (target) {
+      URL.revokeObjectURL(target.previewUrl)
     }
-    setSelectedFile(null)
+    commitScreenshots(screenshotsRef.current.filter(shot => shot.id !== id))
+  }, [commitScreenshots])
+
+  // Move a screenshot up (-1) or down (+1) in the session order
+  const moveScreenshot = useCallback((id, direction) => {
+    const current = screenshotsRef.current
+    const index = current.findIndex(shot => shot.id === id)
+    const target = index + direction
+    if (index === -1 || target < 0 || target >= current.length) return
+
+    const next = [...current]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    commitScreenshots(next)
+  }, [commitScreenshots])
+
+  const updateCaption = useCallback((id, caption) => {
+    commitScreenshots(screenshotsRef.current.map(shot => (
+      shot.id === id ? { ...shot, caption } : shot
+    )))
+  }, [commitScreenshots])
+
+  // Replace a screenshot with its edited version, re-running validation
+  const saveEditedScreenshot = useCallback(async (editedFile) => {
+    const target = screenshotsRef.current.find(shot => shot.id === editingId)
+    if (!target) return
+
+    try {
+      const validation = await validateFile(editedFile)
+
+      // Masks are burned into the edited image; keep a record of what they hid
+      const maskedBefore = getMaskingSummary(target.masking)
+      replaceScreenshotFile(target.id, editedFile, {
+        originalFile: editedFile,
+        validation,
+        edited: true,
+        masking: maskedBefore?.count > 0
+          ? { status: 'done', regions: [], summary: maskedBefore }
+          : null
+      })
+      setEditingId(null)
+      toast.success('Screenshot updated')
+
+      if (autoMaskRef.current && !(maskedBefore?.count > 0)) {
+        scanScreenshot(target.id)
+      }
+    } catch (error) {
+      console.error('Edited screenshot failed validation:', error)
+      toast.error(error.message)
+    }
+  }, [editingId, validateFile, replaceScreenshotFile, scanScreenshot])
+
+  // Cleanup function
+  const cleanupFiles = useCallback(() => {
+    screenshotsRef.current.forEach(shot => URL.revokeObjectURL(shot.previewUrl))
+    commitScreenshots([])
     setError(null)
-    setFileValidation(null)
     setUploadProgress(0)
-  }, [previewUrl])
+  }, [commitScreenshots])
 
   // File selection handler
   const handleFileSelect = useCallback(async (event) => {
-    const file = event.target.files?.[0]
-    if (file) {
-      await processFile(file)
+    const files = event.target.files
+    if (files?.length) {
+      await processFiles(files)
     }
-  }, [processFile])
+    // Allow selecting the same file again after removing it
+    event.target.value = ''
+  }, [processFiles])
 
   // Drag and drop handlers
   const handleDragEnter = useCallback((event) => {
@@ -249,11 +500,11 @@ const UploadPage = () => {
     dragCounterRef.current = 0
     setDragOver(false)
     
-    const file = event.dataTransfer?.files?.[0]
-    if (file) {
-      await processFile(file)
+    const files = event.dataTransfer?.files
+    if (files?.length) {
+      await processFiles(files)
     }
-  }, [processFile])
+  }, [processFiles])
 
   // Trigger file upload
   const triggerFileUpload = useCallback(() => {
@@ -268,10 +519,181 @@ const UploadPage = () => {
     }
   }, [canAnalyze, navigate])
 
+  // Paste screenshots from the clipboard (e.g. after PrintScreen) anywhere on the page
+  useEffect(() => {
+    if (analysisResult || inputMode !== 'screenshot') return
+
+    const handlePaste = async (event) => {
+      const images = Array.from(event.clipboardData?.items || [])
+        .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+        .map(item => item.getAsFile())
+        .filter(Boolean)
+
+      // Let text pastes (e.g. into the additional info field) through untouched
+      if (images.length === 0) return
+      event.preventDefault()
+
+      if (!canAnalyze) {
+        toast.error('You have reached your analysis limit. Please upgrade to continue.')
+        return
+      }
+      if (isAnalyzing || isProcessingFile) return
+
+      // Clipboard images are all called "image.png", give them useful names
+      const stamp = Date.now()
+      const files = images.map((image, index) => new File(
+        [image],
+        `pasted-screenshot-${stamp}${images.length > 1 ? `-${index + 1}` : ''}.${image.type.split('/')[1] || 'png'}`,
+        { type: image.type, lastModified: stamp }
+      ))
+
+      await processFiles(files)
+    }
+
+    window.addEventListener('paste', handlePaste)
+    return () => window.removeEventListener('paste', handlePaste)
+  }, [analysisResult, inputMode, canAnalyze, isAnalyzing, isProcessingFile, processFiles])
+
+  // Capture a frame from a screen, window or tab, then let the user crop it
+  const captureScreen = useCallback(async () => {
+    if (!canAnalyze) {
+      toast.error('You have reached your analysis limit. Please upgrade to continue.')
+      navigate('/pricing')
+      return
+    }
+
+    setIsCapturing(true)
+    try {
+      const frame = await captureScreenFrame()
+      setCaptureFile(frame)
+    } catch (error) {
+      console.error('Screen capture failed:', error)
+      toast.error(error.message)
+    } finally {
+      setIsCapturing(false)
+    }
+  }, [canAnalyze, navigate])
+
+  const handleCropConfirm = useCallback(async (rect) => {
+    const frame = captureFile
+    setCaptureFile(null)
+    if (!frame) return
+
+    try {
+      const file = rect ? await cropImage(frame, rect) : frame
+      await processFiles([file])
+    } catch (error) {
+      console.error('Cropping capture failed:', error)
+      setError(error.message)
+      toast.error(error.message)
+    }
+  }, [captureFile, processFiles])
+
+  // Text typed, pasted or loaded from a log file, with where it came from
+  const updateErrorText = useCallback((text, source) => {
+    setErrorText(text)
+    setTextSource(source)
+    setError(null)
+  }, [])
+
+  // Apply a streamed analysis event to the progress view
+  const handleAnalysisEvent = useCallback((event) => {
+    if (event.type === 'stage') {
+      const index = ANALYSIS_STAGES.findIndex(stage => stage.id === event.stage)
+      setAnalysisStages(prev => {
+        const next = { ...prev }
+        // A stage starting means every earlier one has finished
+        ANALYSIS_STAGES.slice(0, Math.max(index, 0)).forEach(stage => {
+          next[stage.id] = { status: 'done' }
+        })
+        next[event.stage] = event.status === 'completed'
+          ? { status: 'done' }
+          : { status: 'active', progress: event.progress || 0, loaded: event.loaded, total: event.total }
+        return next
+      })
+    } else if (event.type === 'analysis') {
+      const fields = { ...event }
+      delete fields.type
+      setPartialResult(prev => ({ ...prev, ...fields }))
+    } else if (event.type === 'solution') {
+      setPartialResult(prev => ({
+        ...prev,
+        solutions: [...(prev?.solutions || []), event.solution]
+      }))
+    }
+  }, [])
+
+  // Reset analysis
+  const resetAnalysis = useCallback(() => {
+    cleanupFiles()
+    setErrorText('')
+    setTextSource(null)
+    setAdditionalInfo('')
+    setAnalysisResult(null)
+    setError(null)
+    setUploadProgress(0)
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ''
+    }
+  }, [cleanupFiles])
+
+  // Keep the request in IndexedDB while the backend is unreachable; the
+  // layout sends it once connectivity returns
+  const queueAnalysis = useCallback(async () => {
+    if (!isOfflineQueueSupported()) return false
+
+    try {
+      if (inputMode === 'text') {
+        await enqueueAnalysis({
+          userId: user.uid,
+          type: 'text',
+          title: errorText.trim().split('\n')[0].slice(0, 80),
+          text: errorText,
+          source: textSource,
+          context: additionalInfo
+        })
+      } else {
+        const images = []
+        for (const shot of screenshots) {
+          images.push({
+            image: await convertToBase64(shot.file, shot.validation),
+            caption: shot.caption,
+            masking: getMaskingSummary(shot.masking),
+            detectedText: shot.ocr?.status === 'done' ? shot.ocr.text : undefined
+          })
+        }
+        await enqueueAnalysis({
+          userId: user.uid,
+          type: 'image',
+          title: screenshots.find(shot => shot.caption)?.caption ||
+            `${screenshots.length} screenshot${screenshots.length === 1 ? '' : 's'}`,
+          images,
+          context: additionalInfo
+        })
+      }
+    } catch (error) {
+      console.error('Failed to queue analysis:', error)
+      return false
+    }
+
+    resetAnalysis()
+    toast.success('Could not reach the server - your analysis is queued and will run automatically', { duration: 6000 })
+    return true
+  }, [inputMode, errorText, textSource, screenshots, additionalInfo, user, convertToBase64, resetAnalysis])
+
+  // Abort the running analysis; the API also tells the server to stop
+  const cancelAnalysis = useCallback(() => {
+    if (!analysisControllerRef.current) return
+    setIsCancelling(true)
+    analysisControllerRef.current.abort()
+  }, [])
+
   // Analyze error with proper error handling
   const analyzeError = useCallback(async () => {
-    if (!selectedFile || !fileValidation) {
-      toast.error('Please select a file first')
+    const isTextMode = inputMode === 'text'
+
+    if (isTextMode ? !errorText.trim() : screenshots.length === 0) {
+      toast.error(isTextMode ? 'Please paste some error text first' : 'Please select a file first')
       return
     }
 
@@ -287,22 +709,74 @@ const UploadPage = () => {
       return
     }
 
+    // Never send a screenshot unmasked without the user saying so
+    const unscanned = isTextMode ? [] : screenshots.filter(shot => shot.masking?.status === 'failed')
+    if (!confirmUnmaskedUpload(unscanned.length)) {
+      toast('Use the redact tool on the screenshot to black out anything sensitive first')
+      return
+    }
+
+    // No point trying without a connection
+    if (!checkNetworkStatus().online && await queueAnalysis()) {
+      return
+    }
+
+    const controller = new AbortController()
+    analysisControllerRef.current = controller
+    const streamOptions = { onEvent: handleAnalysisEvent, signal: controller.signal }
+
     setIsAnalyzing(true)
     setUploadProgress(0)
     setError(null)
+    setAnalysisStages({ upload: { status: 'active', progress: 0 } })
+    setPartialResult(null)
     
     try {
-      // Convert file with progress
-      setUploadProgress(20)
-      const base64Image = await convertToBase64(selectedFile, fileValidation)
-      setUploadProgress(60)
-
-      // Send to API
-      const result = await analysisAPI.analyzeError(base64Image, additionalInfo)
-      setUploadProgress(90)
+      let result
+      if (isTextMode) {
+        result = await analysisAPI.analyzeTextStream(errorText, additionalInfo, textSource, streamOptions)
+      } else {
+        // Upload screenshots as binary in session order, reporting the bytes
+        // actually sent; inline base64 is only used if uploads are unsupported
+        const totalBytes = screenshots.reduce((sum, shot) => sum + shot.file.size, 0)
+        let sentBytes = 0
+        let canUpload = true
+        const images = []
+        for (const shot of screenshots) {
+          let uploaded = null
+          if (canUpload) {
+            uploaded = await uploadAPI.uploadFile(shot.file, {
+              signal: controller.signal,
+              onProgress: (loaded) => handleAnalysisEvent({
+                type: 'stage',
+                stage: 'upload',
+                status: 'started',
+                progress: (sentBytes + loaded) / totalBytes,
+                loaded: sentBytes + loaded,
+                total: totalBytes
+              })
+            })
+            canUpload = uploaded !== null
+            if (uploaded?.resumed) {
+              toast.success('Resumed an interrupted upload')
+            }
+          }
+          sentBytes += shot.file.size
+
+          images.push({
+            uploadId: uploaded?.uploadId,
+            image: uploaded ? undefined : await convertToBase64(shot.file, shot.validation),
+            caption: shot.caption,
+            masking: getMaskingSummary(shot.masking),
+            detectedText: shot.ocr?.status === 'done' ? shot.ocr.text : undefined
+          })
+        }
+
+        // Send the whole session as one request
+        result = await analysisAPI.analyzeErrorStream(images, additionalInfo, streamOptions)
+      }
       
       setAnalysisResult(result)
-      setUploadProgress(100)
       
       // Track analysis
       if (isAuthenticated) {
@@ -312,66 +786,15 @@ const UploadPage = () => {
       toast.success('Analysis completed successfully!')
       
     } catch (error) {
+      if (error.cancelled) {
+        toast('Analysis cancelled', { icon: '⏹️' })
+        return
+      }
+
       console.error('Analysis failed:', error)
       
-      // Handle CORS/backend unavailable errors with fallback
-      if (error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
-        // Show demo analysis result for development
-        setAnalysisResult({
-          analysis_id: 'demo-analysis-' + Date.now(),
-          category: 'System Error',
-          severity: 'High',
-          confidence: 0.95,
-          title: 'Demo Analysis: Blue Screen Error',
-          summary: 'This is a demo analysis result shown when the backend is unavailable.',
-          solutions: [
-            {
-              id: '1',
-              title: 'Update Device Drivers',
-              description: 'Outdated or corrupted drivers are a common cause of blue screen errors.',
-              difficulty: 'Easy',
-              steps: [
-                'Press Win + X and select Device Manager',
-                'Look for devices with yellow warning signs',
-                'Right-click and select "Update driver"',
-                'Restart your computer'
-              ],
-              effectiveness: 85,
-              timeToComplete: '10-15 minutes'
-            },
-            {
-              id: '2',
-              title: 'Run Memory Diagnostic',
-              description: 'Check for memory-related issues that could cause system crashes.',
-              difficulty: 'Medium',
-              steps: [
-                'Press Win + R and type "mdsched"',
-                'Select "Restart now and check for problems"',
-                'Your computer will restart and run the test',
-                'Check results after restart'
-              ],
-              effectiveness: 78,
-              timeToComplete: '30-45 minutes'
-            }
-          ],
-          detected_text: 'SYSTEM_SERVICE_EXCEPTION\n0x0000003B\n***STOP: 0x0000003B',
-          causes: ['Faulty hardware', 'Corrupted drivers', 'Memory issues'],
-          prevention_tips: [
-            'Keep drivers updated',
-            'Run regular system maintenance',
-            'Monitor system temperature'
-          ],
-          metadata: {
-            processing_time: 2.5,
-            confidence_breakdown: {
-              text_extraction: 0.98,
-              error_classification: 0.94,
-              solution_matching: 0.92
-            }
-          }
-        })
-        setUploadProgress(100)
-        toast.success('Demo analysis completed! (Backend unavailable)')
+      // Backend unreachable: queue the real request instead of failing
+      if (isNetworkError(error) && await queueAnalysis()) {
         return
       }
       
@@ -379,26 +802,32 @@ const UploadPage = () => {
       setError(errorMessage)
       toast.error(errorMessage)
     } finally {
+      analysisControllerRef.current = null
       setIsAnalyzing(false)
+      setIsCancelling(false)
+      setAnalysisStages({})
+      setPartialResult(null)
       setTimeout(() => setUploadProgress(0), 500)
     }
-  }, [selectedFile, fileValidation, additionalInfo, isAuthenticated, canAnalyze, trackAnalysis, convertToBase64, navigate])
+  }, [inputMode, errorText, textSource, screenshots, additionalInfo, isAuthenticated, canAnalyze, trackAnalysis, convertToBase64, handleAnalysisEvent, queueAnalysis, navigate])
 
-  // Reset analysis
-  const resetAnalysis = useCallback(() => {
-    cleanupFile()
-    setAdditionalInfo('')
-    setAnalysisResult(null)
-    setError(null)
-    setUploadProgress(0)
-    if (fileInputRef.current) {
-      fileInputRef.current.value = ''
-    }
-  }, [cleanupFile])
+
+  const isTextMode = inputMode === 'text'
+  const hasInput = isTextMode ? errorText.trim().length > 0 : screenshots.length > 0
+  // Screenshot preparation only blocks analysis in screenshot mode
+  const isScanning = !isTextMode && screenshots.some(shot => shot.masking?.status === 'scanning')
+  const isReadingText = !isTextMode && screenshots.some(shot => shot.ocr?.status === 'running')
+  const reviewingScreenshot = screenshots.find(shot => shot.id === reviewingMaskId)
 
   // Show analysis results
   if (analysisResult) {
-    return <AnalysisResults result={analysisResult} onReset={resetAnalysis} />
+    return (
+      <AnalysisResults
+        result={analysisResult}
+        screenshots={inputMode === 'screenshot' ? screenshots : []}
+        onReset={resetAnalysis}
+      />
+    )
   }
 
   return (
@@ -458,144 +887,182 @@ const UploadPage = () => {
                 </Alert>
               )}
 
-              {/* File Upload Area */}
-              <div className="relative">
-                {/* Hidden File Input */}
-                <input
-                  ref={fileInputRef}
-                  type="file"
-                  accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
-                  onChange={handleFileSelect}
-                  className="sr-only"
-                  disabled={!canAnalyze || isProcessingFile}
-                />
-
-                {/* Upload Zone */}
-                <div
-                  onDragEnter={handleDragEnter}
-                  onDragLeave={handleDragLeave}
-                  onDragOver={handleDragOver}
-                  onDrop={handleDrop}
-                  className={`
-                    relative border-2 border-dashed rounded-xl p-8 sm:p-12 transition-all duration-200
-                    ${dragOver 
-                      ? 'border-blue-500 bg-blue-50' 
-                      : selectedFile 
-                      ? 'border-green-500 bg-green-50'
-                      : 'border-gray-300 hover:border-gray-400'
-                    }
-                    ${(isProcessingFile || !canAnalyze) ? 'pointer-events-none opacity-75' : 'cursor-pointer'}
-                  `}
-                  onClick={!selectedFile ? triggerFileUpload : undefined}
-                >
-                  {isProcessingFile ? (
-                    // Processing State
-                    <motion.div 
-                      initial={{ opacity: 0 }}
-                      animate={{ opacity: 1 }}
-                      className="text-center"
-                    >
-                      <Loader2 className="h-12 w-12 text-blue-500 mx-auto mb-4 animate-spin" />
-                      <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                        Processing File...
-                      </h3>
-                      <p className="text-gray-600 mb-4">
-                        Validating and preparing your image
-                      </p>
-                      <Progress value={uploadProgress} className="max-w-xs mx-auto" />
-                    </motion.div>
-                  ) : selectedFile ? (
-                    // File Selected State
-                    <motion.div 
-                      initial={{ opacity: 0, scale: 0.95 }}
-                      animate={{ opacity: 1, scale: 1 }}
-                      className="text-center"
+              {/* Input Mode */}
+              <Tabs value={inputMode} onValueChange={setInputMode}>
+                <TabsList className="grid w-full grid-cols-2">
+                  <TabsTrigger value="screenshot" disabled={isAnalyzing}>
+                    <ImageIcon className="h-4 w-4 mr-2" />
+                    Screenshot
+                  </TabsTrigger>
+                  <TabsTrigger value="text" disabled={isAnalyzing}>
+                    <Terminal className="h-4 w-4 mr-2" />
+                    Text or Log File
+                  </TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="screenshot" className="space-y-6 mt-4">
+                  {/* File Upload Area */}
+                  <div className="relative">
+                    {/* Hidden File Input */}
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
+                      multiple
+                      onChange={handleFileSelect}
+                      className="sr-only"
+                      disabled={!canAnalyze || isProcessingFile}
+                    />
+
+                    {/* Upload Zone */}
+                    <div
+                      onDragEnter={handleDragEnter}
+                      onDragLeave={handleDragLeave}
+                      onDragOver={handleDragOver}
+                      onDrop={handleDrop}
+                      className={`
+                        relative border-2 border-dashed rounded-xl p-8 sm:p-12 transition-all duration-200
+                        ${dragOver 
+                          ? 'border-blue-500 bg-blue-50' 
+                          : screenshots.length > 0 
+                          ? 'border-green-500 bg-green-50'
+                          : 'border-gray-300 hover:border-gray-400'
+                        }
+                        ${(isProcessingFile || !canAnalyze) ? 'pointer-events-none opacity-75' : 'cursor-pointer'}
+                      `}
+                      onClick={screenshots.length === 0 ? triggerFileUpload : undefined}
                     >
-                      <div className="grid md:grid-cols-2 gap-6 items-center">
-                        {/* Image Preview */}
-                        <div className="space-y-4">
-                          {previewUrl && (
-                            <div className="relative inline-block">
-                              <img 
-                                src={previewUrl}
-                                alt="Selected image preview"
-                                className="max-w-full max-h-48 rounded-lg shadow-md mx-auto"
-                              />
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation()
-                                  resetAnalysis()
-                                }}
-                                className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-1 hover:bg-red-600 transition-colors"
-                              >
-                                <X className="h-4 w-4" />
-                              </button>
-                            </div>
-                          )}
-                        </div>
-                        
-                        {/* File Info */}
-                        <div className="space-y-3 text-left">
-                          <div className="flex items-center text-green-700">
+                      {isProcessingFile ? (
+                        // Processing State
+                        <motion.div 
+                          initial={{ opacity: 0 }}
+                          animate={{ opacity: 1 }}
+                          className="text-center"
+                        >
+                          <Loader2 className="h-12 w-12 text-blue-500 mx-auto mb-4 animate-spin" />
+                          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                            Processing File...
+                          </h3>
+                          <p className="text-gray-600 mb-4">
+                            Validating and preparing your image
+                          </p>
+                          <Progress value={uploadProgress} className="max-w-xs mx-auto" />
+                        </motion.div>
+                      ) : screenshots.length > 0 ? (
+                        // Session State
+                        <motion.div 
+                          initial={{ opacity: 0, scale: 0.95 }}
+                          animate={{ opacity: 1, scale: 1 }}
+                        >
+                          <div className="flex items-center text-green-700 mb-4">
                             <CheckCircle className="h-5 w-5 mr-2" />
-                            <span className="font-medium">File Ready</span>
+                            <span className="font-medium">
+                              {screenshots.length === 1 ? 'File Ready' : `${screenshots.length} Screenshots Ready`}
+                            </span>
                           </div>
-                          
-                          <div className="space-y-2 text-sm">
-                            <p><span className="font-medium">Name:</span> {selectedFile.name}</p>
-                            <p><span className="font-medium">Size:</span> {(selectedFile.size / 1024 / 1024).toFixed(2)} MB</p>
-                            <p><span className="font-medium">Type:</span> {selectedFile.type}</p>
-                            {fileValidation?.dimensions && (
-                              <p>
-                                <span className="font-medium">Dimensions:</span> {' '}
-                                {fileValidation.dimensions.width} × {fileValidation.dimensions.height}
-                              </p>
-                            )}
-                            {fileValidation?.needsCompression && (
-                              <Badge variant="secondary" className="text-xs">
-                                Will be compressed
-                              </Badge>
-                            )}
+                          <ScreenshotList
+                            screenshots={screenshots}
+                            maxScreenshots={MAX_SCREENSHOTS}
+                            disabled={isAnalyzing}
+                            onMove={moveScreenshot}
+                            onRemove={removeScreenshot}
+                            onCaptionChange={updateCaption}
+                            onEdit={setEditingId}
+                            onReviewMasking={setReviewingMaskId}
+                            onAdd={triggerFileUpload}
+                          />
+                        </motion.div>
+                      ) : (
+                        // Empty State
+                        <motion.div
+                          initial={{ opacity: 0 }}
+                          animate={{ opacity: 1 }}
+                          className="text-center"
+                        >
+                          <div className="flex justify-center space-x-4 mb-6">
+                            <Upload className="h-12 w-12 text-gray-400" />
+                            <ImageIcon className="h-12 w-12 text-gray-400" />
+                            <Camera className="h-12 w-12 text-gray-400" />
                           </div>
-                          
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation()
-                              triggerFileUpload()
-                            }}
-                            className="text-sm text-blue-600 hover:text-blue-800 underline"
-                          >
-                            Choose Different File
-                          </button>
-                        </div>
-                      </div>
-                    </motion.div>
-                  ) : (
-                    // Empty State
-                    <motion.div
-                      initial={{ opacity: 0 }}
-                      animate={{ opacity: 1 }}
-                      className="text-center"
-                    >
-                      <div className="flex justify-center space-x-4 mb-6">
-                        <Upload className="h-12 w-12 text-gray-400" />
-                        <ImageIcon className="h-12 w-12 text-gray-400" />
-                        <Camera className="h-12 w-12 text-gray-400" />
-                      </div>
                       
-                      <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                        Drop your error screenshot here
-                      </h3>
-                      <p className="text-gray-600 mb-2">
-                        or click to browse your files
-                      </p>
-                      <p className="text-sm text-gray-500">
-                        Supports JPG, PNG, GIF, WebP • Max 10MB • Min 50×50px
+                          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                            Drop your error screenshots here
+                          </h3>
+                          <p className="text-gray-600 mb-2">
+                            or click to browse your files
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            Supports JPG, PNG, GIF, WebP • Max 10MB • Min 50×50px • Up to {MAX_SCREENSHOTS} per analysis
+                          </p>
+                        </motion.div>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Other Input Methods */}
+                  <div className="flex flex-col sm:flex-row items-center justify-between gap-3 text-sm text-gray-600">
+                    <span className="flex items-center">
+                      <Clipboard className="h-4 w-4 mr-2" />
+                      Tip: press Ctrl+V (⌘V on Mac) to paste a screenshot
+                    </span>
+                    {isScreenCaptureSupported() && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={captureScreen}
+                        disabled={!canAnalyze || isCapturing || isProcessingFile || isAnalyzing || screenshots.length >= MAX_SCREENSHOTS}
+                      >
+                        {isCapturing ? (
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <Monitor className="h-4 w-4 mr-2" />
+                        )}
+                        Capture Screen
+                      </Button>
+                    )}
+                  </div>
+
+                  {/* Privacy */}
+                  <div className="flex items-start justify-between gap-4 rounded-lg border p-4">
+                    <div>
+                      <label htmlFor="auto-mask" className="text-sm font-medium text-gray-900 flex items-center">
+                        <ShieldCheck className="h-4 w-4 mr-2 text-green-600" />
+                        Automatically hide private information
+                      </label>
+                      <p className="text-xs text-gray-600 mt-1">
+                        Reads the text in your screenshots on this device and blacks out emails, IP addresses,
+                        user folder paths, API keys and serial numbers before anything is uploaded.
                       </p>
-                    </motion.div>
+                    </div>
+                    <Switch
+                      id="auto-mask"
+                      checked={autoMask}
+                      onCheckedChange={toggleAutoMask}
+                      disabled={isAnalyzing}
+                    />
+                  </div>
+
+                  {/* Detected Text */}
+                  {screenshots.length > 0 && (
+                    <DetectedTextPanel
+                      screenshots={screenshots}
+                      disabled={isAnalyzing || isScanning}
+                      onExtract={extractAllText}
+                      onRetry={extractScreenshotText}
+                      onTextChange={updateDetectedText}
+                    />
                   )}
-                </div>
-              </div>
+                </TabsContent>
+
+                <TabsContent value="text" className="mt-4">
+                  <ErrorTextInput
+                    value={errorText}
+                    source={textSource}
+                    disabled={isAnalyzing || !canAnalyze}
+                    onChange={updateErrorText}
+                  />
+                </TabsContent>
+              </Tabs>
 
               {/* Additional Information */}
               <Card className="bg-gray-50">
@@ -628,23 +1095,12 @@ const UploadPage = () => {
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                 >
-                  <Card>
-                    <CardContent className="p-6">
-                      <div className="text-center space-y-4">
-                        <Loader2 className="h-8 w-8 text-blue-500 mx-auto animate-spin" />
-                        <div>
-                          <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                            Analyzing Your Error...
-                          </h3>
-                          <p className="text-gray-600 mb-4">
-                            Our AI is examining your screenshot and finding solutions
-                          </p>
-                        </div>
-                        
-                        <Progress value={uploadProgress} className="max-w-sm mx-auto" />
-                      </div>
-                    </CardContent>
-                  </Card>
+                  <AnalysisProgress
+                    stages={analysisStages}
+                    partial={partialResult}
+                    isCancelling={isCancelling}
+                    onCancel={cancelAnalysis}
+                  />
                 </motion.div>
               )}
 
@@ -652,7 +1108,7 @@ const UploadPage = () => {
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
                 <Button
                   onClick={analyzeError}
-                  disabled={!selectedFile || isAnalyzing || isProcessingFile || !canAnalyze}
+                  disabled={!hasInput || isAnalyzing || isProcessingFile || isScanning || isReadingText || !canAnalyze}
                   size="lg"
                   className="bg-green-600 hover:bg-green-700"
                 >
@@ -661,6 +1117,16 @@ const UploadPage = () => {
                       <Loader2 className="h-4 w-4 mr-2 animate-spin" />
                       Analyzing...
                     </>
+                  ) : isScanning ? (
+                    <>
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      Checking for private info...
+                    </>
+                  ) : isReadingText ? (
+                    <>
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      Reading text...
+                    </>
                   ) : (
                     <>
                       <Zap className="h-4 w-4 mr-2" />
@@ -669,7 +1135,7 @@ const UploadPage = () => {
                   )}
                 </Button>
                 
-                {selectedFile && (
+                {(screenshots.length > 0 || errorText) && (
                   <Button
                     onClick={resetAnalysis}
                     variant="outline"
@@ -702,174 +1168,31 @@ const UploadPage = () => {
           </CardContent>
         </Card>
       </div>
-    </div>
-  )
-}
 
-// Analysis Results Component
-const AnalysisResults = ({ result, onReset }) => {
-  const navigate = useNavigate()
-  const [copiedSolution, setCopiedSolution] = useState(null)
-
-  const copyToClipboard = (text, index) => {
-    navigator.clipboard.writeText(text)
-    setCopiedSolution(index)
-    toast.success('Copied to clipboard!')
-    setTimeout(() => setCopiedSolution(null), 2000)
-  }
-
-  const exportResults = (format) => {
-    const content = format === 'json' 
-      ? JSON.stringify(result, null, 2)
-      : `Error Analysis Results\n\n${result.error_detected}\n\nSolutions:\n${result.solutions.map((s, i) => `${i+1}. ${s.title}\n${s.description}\n\nSteps:\n${s.steps.join('\n')}`).join('\n\n')}`
-    
-    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/plain' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `error-analysis-${Date.now()}.${format === 'json' ? 'json' : 'txt'}`
-    a.click()
-    URL.revokeObjectURL(url)
-    toast.success(`Exported as ${format.toUpperCase()}`)
-  }
+      <ImageCropDialog
+        isOpen={!!captureFile}
+        file={captureFile}
+        title="Crop Screen Capture"
+        onConfirm={handleCropConfirm}
+        onCancel={() => setCaptureFile(null)}
+      />
 
-  return (
-    <motion.div
-      initial={{ opacity: 0 }}
-      animate={{ opacity: 1 }}
-      className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8"
-    >
-      <div className="max-w-4xl mx-auto">
-        {/* Header */}
-        <div className="flex justify-between items-center mb-6">
-          <Button onClick={onReset} variant="ghost" className="flex items-center">
-            <ArrowLeft className="h-4 w-4 mr-2" />
-            Back to Upload
-          </Button>
-          
-          <div className="flex gap-2">
-            <Button 
-              onClick={() => exportResults('json')} 
-              variant="outline"
-              size="sm"
-            >
-              <Download className="h-4 w-4 mr-1" />
-              JSON
-            </Button>
-            <Button 
-              onClick={() => exportResults('text')} 
-              variant="outline"
-              size="sm"
-            >
-              <Download className="h-4 w-4 mr-1" />
-              TXT
-            </Button>
-          </div>
-        </div>
+      <ScreenshotEditor
+        isOpen={!!editingId}
+        file={screenshots.find(shot => shot.id === editingId)?.file}
+        onSave={saveEditedScreenshot}
+        onCancel={() => setEditingId(null)}
+      />
 
-        <Card>
-          <CardHeader>
-            <CardTitle className="text-2xl">Analysis Complete</CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-6">
-            {/* Error Detection */}
-            {result.error_detected && (
-              <Alert>
-                <AlertTriangle className="h-4 w-4" />
-                <AlertDescription>
-                  <strong>Problem Detected:</strong> {result.error_detected}
-                </AlertDescription>
-              </Alert>
-            )}
-
-            {/* Solutions */}
-            {result.solutions && result.solutions.length > 0 && (
-              <div className="space-y-4">
-                <h3 className="text-xl font-semibold text-gray-900">Solutions</h3>
-                {result.solutions.map((solution, index) => (
-                  <motion.div
-                    key={index}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: index * 0.1 }}
-                  >
-                    <Card className="border-l-4 border-l-blue-500">
-                      <CardHeader>
-                        <div className="flex justify-between items-start">
-                          <h4 className="text-lg font-semibold">{solution.title}</h4>
-                          <Button
-                            size="icon"
-                            variant="ghost"
-                            onClick={() => copyToClipboard(
-                              `${solution.title}\n\n${solution.description}\n\nSteps:\n${solution.steps.join('\n')}`,
-                              index
-                            )}
-                          >
-                            {copiedSolution === index ? (
-                              <CheckCircle className="h-4 w-4 text-green-600" />
-                            ) : (
-                              <Copy className="h-4 w-4" />
-                            )}
-                          </Button>
-                        </div>
-                      </CardHeader>
-                      <CardContent>
-                        <p className="text-gray-600 mb-4">{solution.description}</p>
-                        {solution.steps && (
-                          <div>
-                            <h5 className="font-medium mb-2">Steps:</h5>
-                            <ol className="list-decimal list-inside space-y-1 text-sm">
-                              {solution.steps.map((step, stepIndex) => (
-                                <li key={stepIndex} className="text-gray-700">{step}</li>
-                              ))}
-                            </ol>
-                          </div>
-                        )}
-                        
-                        {solution.difficulty && (
-                          <div className="mt-4 flex gap-2">
-                            <Badge variant={
-                              solution.difficulty === 'Easy' ? 'default' :
-                              solution.difficulty === 'Medium' ? 'secondary' : 'destructive'
-                            }>
-                              {solution.difficulty}
-                            </Badge>
-                            {solution.timeEstimate && (
-                              <Badge variant="outline">
-                                ⏱️ {solution.timeEstimate}
-                              </Badge>
-                            )}
-                          </div>
-                        )}
-                      </CardContent>
-                    </Card>
-                  </motion.div>
-                ))}
-              </div>
-            )}
-
-            {/* Actions */}
-            <div className="flex flex-col sm:flex-row gap-4 pt-6 border-t">
-              <Button
-                onClick={() => navigate('/community')}
-                variant="outline"
-                className="flex-1"
-              >
-                <Share2 className="h-4 w-4 mr-2" />
-                Share Solution
-              </Button>
-              <Button
-                onClick={onReset}
-                className="flex-1"
-              >
-                <Upload className="h-4 w-4 mr-2" />
-                New Analysis
-              </Button>
-            </div>
-          </CardContent>
-        </Card>
-      </div>
-    </motion.div>
+      {/* Masking Review */}
+      <MaskingReviewDialog
+        isOpen={!!reviewingScreenshot}
+        file={reviewingScreenshot?.originalFile}
+        regions={reviewingScreenshot?.masking?.regions}
+        onSave={saveMaskingReview}
+        onCancel={() => setReviewingMaskId(null)}
+      />
+    </div>
   )
 }
 
@@ -122,6 +122,10 @@ export default defineConfig(({ mode }) => {
           
           // Asset naming
           assetFileNames: (assetInfo) => {
+            // tesseract.js builds this file name itself from the language code
+            if (assetInfo.name?.endsWith('.traineddata.gz')) {
+              return `assets/tesseract/[name][extname]`
+            }
             const extType = path.extname(assetInfo.name).slice(1)
             if (/png|jpe?g|svg|gif|tiff|bmp|ico/i.test(extType)) {
               return `assets/images/[name]-[hash][extname]`